@@ -9,6 +9,10 @@ const Analytics = {
     charts: {},
     allReviewers: [],           // すべてのレビュアー名
     selectedReviewers: new Set(), // 選択されたレビュアー名
+    reviewerProgress: {},       // レビュアーごとの保存済み問題数と到達した問題インデックス
+    useServerStats: false,      // サーバーの集計（/stats）を使うかどうか
+    serverStatsCache: new Map(), // 除外するレビュアー → サーバーの集計結果
+    ADMIN_TOKEN_KEY: 'admin_token', // sessionStorage のキー（進捗一覧 js/progress.js と共通）
 
     /**
      * 初期化
@@ -18,7 +22,7 @@ const Analytics = {
             await this.loadData();
             this.initializeReviewerFilter();
             this.renderReviewerFilter();
-            this.analyzeData();
+            await this.analyzeData();
             this.renderAll();
             this.setupDownloads();
         } catch (error) {
@@ -30,15 +34,30 @@ const Analytics = {
      * データを読み込み
      */
     async loadData() {
+        // ブラウザに保存したレビュー結果の読み込み（APIが使えない場合に使う）
+        await StorageManager.init();
+
         // 問題データを読み込み
         console.log('問題データを読み込んでいます...');
-        this.questions = await GitHubLoader.fetch('quiz/questions.json');
+        this.questions = await StorageManager.loadQuestions();
+
+        console.log(`問題データ: ${this.questions.length}問`);
+
+        // サーバーで集計できる場合はレビュー結果の全件を取得しない
+        const serverStats = await StorageManager.getStatsFromAPI({ adminToken: this.getAdminToken() });
+        if (serverStats && serverStats.reviewCount > 0) {
+            this.useServerStats = true;
+            this.serverStatsCache.set('', serverStats);
+            this.reviewerProgress = serverStats.reviewers;
+            console.log(`サーバーの集計結果を使用: ${serverStats.reviewCount}件`);
+            return;
+        }
 
         // レビュー結果を読み込み（S3またはlocalStorage）
         console.log('レビュー結果を読み込んでいます...');
         this.reviews = await this.loadReviews();
+        this.reviewerProgress = ReviewStats.calculateReviewerProgress(this.reviews);
 
-        console.log(`問題データ: ${this.questions.length}問`);
         console.log(`レビュー結果: ${this.reviews.length}件`);
 
         if (this.reviews.length === 0) {
@@ -47,25 +66,36 @@ const Analytics = {
     },
 
     /**
-     * レビュー結果を読み込み（API or localStorage）
+     * ダウンロード用にレビュー結果の全件を読み込む（サーバー集計を使っている場合は未取得のため）
+     */
+    async ensureReviewsLoaded() {
+        if (this.reviews.length === 0) {
+            this.reviews = await this.loadReviews();
+        }
+    },
+
+    /**
+     * レビュー結果を読み込み（APIとブラウザの結果を review_id でまとめる）
+     * サーバーに未送信の結果も含め、サーバーで削除されたものは含めません
      */
     async loadReviews() {
+        const localResults = StorageManager.getAllResults();
+
         // まずAPIから取得を試みる
         if (window.AWS_CONFIG && window.AWS_CONFIG.apiEndpoint) {
             try {
-                const reviews = await this.loadFromAPI();
-                if (reviews.length > 0) {
-                    console.log(`APIから${reviews.length}件のレビュー結果を取得しました`);
-                    return reviews;
-                }
+                const serverReviews = await this.loadFromAPI();
+                const reviews = StorageManager.mergeResults(localResults, serverReviews);
+                console.log(`APIから${serverReviews.length}件のレビュー結果を取得しました（ブラウザにだけあるものを含めて${reviews.length}件）`);
+                return reviews;
             } catch (error) {
                 console.warn('APIからの読み込みに失敗しました:', error);
             }
         }
 
-        // APIから取得できない場合はlocalStorageから取得
-        console.log('localStorageからレビュー結果を取得します');
-        return StorageManager.getAllResults();
+        // APIから取得できない場合はブラウザの結果だけを使う
+        console.log('ブラウザに保存したレビュー結果を使います');
+        return localResults;
     },
 
     /**
@@ -77,24 +107,8 @@ const Analytics = {
         }
 
         try {
-            const response = await fetch(AWS_CONFIG.apiEndpoint, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-
-            if (data.success && Array.isArray(data.reviews)) {
-                return data.reviews;
-            } else {
-                throw new Error('APIレスポンスの形式が不正です');
-            }
+            // ページごとに取得して結合（StorageManagerがトークンも付与する、ブラウザの結果とまとめるため削除済みも取得）
+            return await StorageManager.fetchAllReviewsFromAPI({ includeDeleted: true, adminToken: this.getAdminToken() });
 
         } catch (error) {
             console.error('API取得エラー:', error);
@@ -103,64 +117,67 @@ const Analytics = {
     },
 
     /**
-     * データを分析
+     * 進捗一覧・公開用ファイルのダウンロードで入力した管理者トークン
+     * AUTH_REQUIRED の場合、全レビュアーのレビュー・集計の取得に使います（ない場合はレビュアートークンで自分のレビューだけ）
+     * @returns {string|null}
      */
-    analyzeData() {
-        // 問題データをマップ化（高速検索用）
-        const questionMap = new Map();
-        this.questions.forEach(q => {
-            questionMap.set(q.questionID, q);
-        });
+    getAdminToken() {
+        return sessionStorage.getItem(this.ADMIN_TOKEN_KEY);
+    },
 
-        // レビュー結果をquestions.jsonに存在する問題のみに絞る
-        let filteredReviews = this.reviews.filter(review => {
-            const questionId = review.question_id || review.questionId;
-            return questionMap.has(questionId);
-        });
+    /**
+     * データを分析（集計は ReviewStats で計算、サーバー集計が使える場合は /stats から取得）
+     */
+    async analyzeData() {
+        const excludeReviewers = this.allReviewers.filter(reviewer => !this.selectedReviewers.has(reviewer));
 
-        // 選択されたレビュアーでフィルタリング
-        filteredReviews = filteredReviews.filter(review => {
-            const reviewerName = review.reviewer_name || review.reviewerName || 'Unknown';
-            return this.selectedReviewers.has(reviewerName);
-        });
+        const stats = this.useServerStats
+            ? await this.fetchServerStats(excludeReviewers)
+            : ReviewStats.compute(this.reviews, this.questions, { excludeReviewers });
 
-        console.log(`フィルタリング後のレビュー数: ${filteredReviews.length}件`);
+        console.log(`フィルタリング後のレビュー数: ${stats.reviewCount}件`);
 
-        // レビュー結果と問題データを結合
-        this.enrichedReviews = filteredReviews.map(review => {
-            const question = questionMap.get(review.question_id || review.questionId);
-            return {
-                ...review,
-                question: question || {}
-            };
-        });
+        this.authorStats = stats.byAuthor;
+        this.reviewerStats = stats.byReviewer;
+        this.questionStats = stats.byQuestion;
+        this.overallStats = stats.overall;
+        // 古いサーバーの集計結果には superseded がない
+        this.supersededStats = stats.superseded || { count: 0, byQuestion: [] };
+    },
 
-        // authored_by別統計
-        this.authorStats = this.calculateByAuthor();
+    /**
+     * サーバーの集計結果を取得（同じ除外条件の結果は再利用）
+     * @param {Array<string>} excludeReviewers - 除外するレビュアー名
+     */
+    async fetchServerStats(excludeReviewers) {
+        const key = excludeReviewers.join('\n');
 
-        // reviewer別統計
-        this.reviewerStats = this.calculateByReviewer();
+        if (!this.serverStatsCache.has(key)) {
+            const stats = await StorageManager.getStatsFromAPI({ excludeReviewers, adminToken: this.getAdminToken() });
+            if (!stats) {
+                throw new Error('サーバーから集計結果を取得できませんでした');
+            }
+            this.serverStatsCache.set(key, stats);
+        }
 
-        // 問題別統計
-        this.questionStats = this.calculateByQuestion();
+        return this.serverStatsCache.get(key);
+    },
 
-        // 全体統計（レビュアー別統計の後に計算）
-        this.overallStats = this.calculateOverallStats();
+    /**
+     * 選択されたレビュアーのレビュー結果に問題データを結合（ダウンロード用）
+     */
+    async getEnrichedReviews() {
+        await this.ensureReviewsLoaded();
+        const excludeReviewers = this.allReviewers.filter(reviewer => !this.selectedReviewers.has(reviewer));
+        return ReviewStats.enrichReviews(this.reviews, this.questions, excludeReviewers);
     },
 
     /**
      * レビュアーフィルターを初期化
      */
     initializeReviewerFilter() {
-        // すべてのユニークなレビュアー名を取得
-        const reviewerSet = new Set();
-        this.reviews.forEach(review => {
-            const reviewerName = review.reviewer_name || review.reviewerName || 'Unknown';
-            reviewerSet.add(reviewerName);
-        });
-
-        // アルファベット順にソート
-        this.allReviewers = Array.from(reviewerSet).sort();
+        // すべてのレビュアー名をアルファベット順に並べる
+        this.allReviewers = Object.keys(this.reviewerProgress).sort();
 
         // デフォルトではすべてのレビュアーを選択
         this.selectedReviewers = new Set(this.allReviewers);
@@ -177,21 +194,10 @@ const Analytics = {
         const totalQuestions = this.questions.length;
 
         this.allReviewers.forEach(reviewer => {
-            // このレビュアーのS3に保存されている回答を取得
-            const reviewerAnswers = this.reviews.filter(r =>
-                (r.reviewer_name || r.reviewerName) === reviewer
-            );
-
-            // ユニークな問題インデックスを取得
-            const uniqueQuestionIndexes = new Set(
-                reviewerAnswers.map(r => r.question_index !== undefined ? r.question_index : r.questionIndex)
-            );
-            const savedCount = uniqueQuestionIndexes.size;
-
-            // 最大の問題インデックスを取得して、240問目まで到達しているかチェック
-            const maxQuestionIndex = Math.max(
-                ...reviewerAnswers.map(r => r.question_index !== undefined ? r.question_index : r.questionIndex)
-            );
+            // このレビュアーの保存済み問題数（ユニークな問題インデックス）と到達した問題インデックス
+            const { savedCount, maxQuestionIndex } = this.reviewerProgress[reviewer];
+
+            // 240問目まで到達しているかチェック
             const hasReachedEnd = maxQuestionIndex >= totalQuestions - 1;
 
             // 未保存問題数を計算
@@ -286,186 +292,13 @@ const Analytics = {
     /**
      * 分析を再実行
      */
-    refreshAnalysis() {
-        this.analyzeData();
-        this.renderAll();
-    },
-
-    /**
-     * 全体統計を計算（レビュアーの平均正答率）
-     */
-    calculateOverallStats() {
-        // レビュアー別の正答率の平均を計算
-        const reviewers = Object.keys(this.reviewerStats);
-
-        if (reviewers.length === 0) {
-            return { accuracy: 0, reviewerCount: 0 };
+    async refreshAnalysis() {
+        try {
+            await this.analyzeData();
+            this.renderAll();
+        } catch (error) {
+            this.showError(error.message);
         }
-
-        // 各レビュアーの正答率を合計
-        const totalAccuracy = reviewers.reduce((sum, reviewer) => {
-            return sum + parseFloat(this.reviewerStats[reviewer].accuracy);
-        }, 0);
-
-        // 平均正答率を計算
-        const accuracy = (totalAccuracy / reviewers.length).toFixed(1);
-
-        return {
-            accuracy: accuracy,
-            reviewerCount: reviewers.length
-        };
-    },
-
-    /**
-     * authored_by別統計を計算（レビュアーの平均正答率）
-     */
-    calculateByAuthor() {
-        // 作成者×レビュアーごとにグループ化
-        const authorReviewerStats = {};
-        // 作成者ごとの問題数をカウント
-        const authorQuestionCounts = {};
-
-        this.enrichedReviews.forEach(review => {
-            const author = review.question.authored_by;
-            const reviewer = review.reviewer_name || review.reviewerName || 'Unknown';
-
-            // Unknownまたはauthored_byがない場合はスキップ
-            if (!author || author === 'Unknown') {
-                return;
-            }
-
-            if (!authorReviewerStats[author]) {
-                authorReviewerStats[author] = {};
-            }
-
-            if (!authorReviewerStats[author][reviewer]) {
-                authorReviewerStats[author][reviewer] = {
-                    correct: 0,
-                    total: 0
-                };
-            }
-
-            authorReviewerStats[author][reviewer].total++;
-            if (review.is_correct || review.isCorrect) {
-                authorReviewerStats[author][reviewer].correct++;
-            }
-        });
-
-        // 作成者ごとの問題数をカウント（questions.jsonから）
-        this.questions.forEach(q => {
-            const author = q.authored_by;
-            if (author && author !== 'Unknown') {
-                authorQuestionCounts[author] = (authorQuestionCounts[author] || 0) + 1;
-            }
-        });
-
-        // 各作成者について、レビュアーごとの正答率の平均を計算
-        const stats = {};
-
-        Object.keys(authorReviewerStats).forEach(author => {
-            const reviewerStats = authorReviewerStats[author];
-            const reviewers = Object.keys(reviewerStats);
-
-            if (reviewers.length === 0) {
-                return;
-            }
-
-            // 各レビュアーの正答率を計算
-            const accuracies = reviewers.map(reviewer => {
-                const s = reviewerStats[reviewer];
-                return s.total > 0 ? (s.correct / s.total) * 100 : 0;
-            });
-
-            // 平均正答率を計算
-            const avgAccuracy = accuracies.reduce((sum, acc) => sum + acc, 0) / accuracies.length;
-
-            stats[author] = {
-                questionCount: authorQuestionCounts[author] || 0,
-                accuracy: avgAccuracy.toFixed(1),
-                reviewerCount: reviewers.length
-            };
-        });
-
-        return stats;
-    },
-
-    /**
-     * reviewer別統計を計算
-     */
-    calculateByReviewer() {
-        const stats = {};
-
-        this.enrichedReviews.forEach(review => {
-            const reviewer = review.reviewer_name || review.reviewerName || 'Unknown';
-            const questionId = review.question_id || review.questionId;
-
-            if (!stats[reviewer]) {
-                stats[reviewer] = {
-                    correct: 0,
-                    total: 0,
-                    uniqueQuestions: new Set(),
-                    correctQuestions: new Set()
-                };
-            }
-
-            // ユニークな問題のみカウント（最初の回答のみ）
-            if (!stats[reviewer].uniqueQuestions.has(questionId)) {
-                stats[reviewer].uniqueQuestions.add(questionId);
-                stats[reviewer].total++;
-
-                if (review.is_correct || review.isCorrect) {
-                    stats[reviewer].correctQuestions.add(questionId);
-                    stats[reviewer].correct++;
-                }
-            }
-        });
-
-        // 正答率を計算（Setは削除）
-        Object.keys(stats).forEach(reviewer => {
-            const s = stats[reviewer];
-            s.accuracy = s.total > 0 ? ((s.correct / s.total) * 100).toFixed(1) : 0;
-            // Setオブジェクトは削除（返却時には不要）
-            delete s.uniqueQuestions;
-            delete s.correctQuestions;
-        });
-
-        return stats;
-    },
-
-    /**
-     * 問題別統計を計算
-     */
-    calculateByQuestion() {
-        const stats = {};
-
-        this.enrichedReviews.forEach(review => {
-            const questionId = review.question_id || review.questionId;
-
-            if (!stats[questionId]) {
-                stats[questionId] = {
-                    questionId,
-                    question: review.question,
-                    correct: 0,
-                    total: 0
-                };
-            }
-
-            stats[questionId].total++;
-            if (review.is_correct || review.isCorrect) {
-                stats[questionId].correct++;
-            }
-        });
-
-        // 正答率を計算してソート
-        const statsList = Object.values(stats);
-        statsList.forEach(s => {
-            s.accuracy = s.total > 0 ? ((s.correct / s.total) * 100).toFixed(1) : 0;
-        });
-
-        // 正答率の低い順（難しい問題順）にソート
-        statsList.sort((a, b) => parseFloat(a.accuracy) - parseFloat(b.accuracy));
-
-        return statsList;
     },
 
     /**
@@ -478,6 +311,7 @@ const Analytics = {
         this.renderAuthorStats();
         this.renderReviewerStats();
         this.renderQuestionStats();
+        this.renderSupersededStats();
 
         // すべてのセクションを表示
         document.getElementById('overall-stats').style.display = 'block';
@@ -572,6 +406,39 @@ const Analytics = {
         });
     },
 
+    /**
+     * 問題が変更される前の版に対するレビューを描画（ない場合はセクションを表示しない）
+     */
+    renderSupersededStats() {
+        const section = document.getElementById('superseded-section');
+        if (this.supersededStats.count === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('superseded-count').textContent = this.supersededStats.count;
+
+        const tbody = document.getElementById('supersededTableBody');
+        tbody.innerHTML = '';
+
+        this.supersededStats.byQuestion.forEach(stats => {
+            const row = tbody.insertRow();
+            const questionText = stats.question.question || '不明';
+            const shortText = questionText.length > 50
+                ? questionText.substring(0, 50) + '...'
+                : questionText;
+
+            row.innerHTML = `
+                <td>${stats.questionId}</td>
+                <td title="${questionText}">${shortText}</td>
+                <td>${stats.count}</td>
+                <td>${Array.from(new Set(stats.reviewers)).join(', ')}</td>
+            `;
+        });
+
+        section.style.display = 'block';
+    },
+
     /**
      * 棒グラフを描画
      */
@@ -630,143 +497,94 @@ const Analytics = {
      * ダウンロード機能を設定
      */
     setupDownloads() {
+        // 公開用にチェックした場合は、サーバーで匿名化したファイルをダウンロードする
+        const isPublication = () => document.getElementById('anonymizeDownloadCheckbox').checked;
+
         document.getElementById('downloadAllBtn').addEventListener('click', () => {
-            this.downloadJSONL();
+            isPublication() ? this.downloadPublicationFile('jsonl') : this.downloadJSONL();
         });
 
         document.getElementById('downloadQuestionCSVBtn').addEventListener('click', () => {
-            this.downloadQuestionCSV();
+            isPublication() ? this.downloadPublicationFile('csv') : this.downloadQuestionCSV();
+        });
+
+        document.getElementById('downloadTidyCSVBtn').addEventListener('click', () => {
+            isPublication() ? this.downloadPublicationFile('tidy') : this.downloadTidyCSV();
         });
     },
 
+    /**
+     * 公開用のファイル（レビュアー名を仮名に置き換え、コメントを除いたもの）をAPIからダウンロード
+     * 仮名の鍵はサーバーにしかないため、ブラウザでは作成しません
+     * 全レビュアーのファイルは管理者トークンが必要です（進捗一覧で入力したトークンを使う）
+     * @param {string} format - 'jsonl' / 'csv' / 'tidy'
+     */
+    async downloadPublicationFile(format) {
+        const adminToken = sessionStorage.getItem(this.ADMIN_TOKEN_KEY) || (prompt('公開用ファイルのダウンロードには管理者トークンが必要です') || '').trim();
+        if (!adminToken) {
+            return;
+        }
+
+        try {
+            const excludeReviewers = this.allReviewers.filter(reviewer => !this.selectedReviewers.has(reviewer));
+            const file = await StorageManager.fetchExportFromAPI({
+                format,
+                exclude: excludeReviewers.join(','),
+                anonymize: 'true',
+                strip_comments: 'true'
+            }, adminToken);
+            sessionStorage.setItem(this.ADMIN_TOKEN_KEY, adminToken);
+            this.downloadText(file.body, file.contentType, file.filename);
+        } catch (error) {
+            if (error.status === 401 || error.status === 403) {
+                sessionStorage.removeItem(this.ADMIN_TOKEN_KEY);
+            }
+            alert(`❌ 公開用ファイルのダウンロードに失敗しました: ${error.message}`);
+        }
+    },
+
     /**
      * 全データをJSONL形式でダウンロード
      */
-    downloadJSONL() {
-        const lines = this.enrichedReviews.map(review => JSON.stringify(review));
-        const content = lines.join('\n');
-        const blob = new Blob([content], { type: 'application/x-jsonlines' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `sakuraqa-reviews-${new Date().toISOString().split('T')[0]}.jsonl`;
-        a.click();
-        URL.revokeObjectURL(url);
+    async downloadJSONL() {
+        const enrichedReviews = await this.getEnrichedReviews();
+        this.downloadText(ReviewExport.toJSONL(enrichedReviews), 'application/x-jsonlines', ReviewExport.filename('jsonl'));
     },
 
     /**
      * 問題別集計をWide形式のCSVでダウンロード
      */
-    downloadQuestionCSV() {
+    async downloadQuestionCSV() {
+        const enrichedReviews = await this.getEnrichedReviews();
+
         // 選択されたレビュアーのリストを使用
         const reviewers = Array.from(this.selectedReviewers).sort();
+        const csv = ReviewExport.toQuestionCSV(enrichedReviews, this.questions, reviewers);
 
-        // 問題データをマップ化
-        const questionMap = new Map();
-        this.questions.forEach(q => {
-            questionMap.set(q.questionID, q);
-        });
-
-        // レビュー結果をquestion_id × reviewer でグループ化（フィルタ済みのレビューを使用）
-        const reviewsByQuestion = new Map();
-        this.enrichedReviews.forEach(review => {
-            const questionId = review.question_id || review.questionId;
-            const reviewer = review.reviewer_name || review.reviewerName;
-
-            if (!reviewsByQuestion.has(questionId)) {
-                reviewsByQuestion.set(questionId, {});
-            }
-
-            reviewsByQuestion.get(questionId)[reviewer] = {
-                answer: review.answer,
-                is_correct: review.is_correct || review.isCorrect
-            };
-        });
-
-        // CSVヘッダーを生成
-        const headers = [
-            'question_id',
-            'question',
-            'category',
-            'authored_by',
-            'choice_1',
-            'choice_2',
-            'choice_3',
-            'choice_4',
-            'correct_answer'
-        ];
-
-        // レビュアー別の列を追加
-        reviewers.forEach(reviewer => {
-            headers.push(`${reviewer}_answer`);
-            headers.push(`${reviewer}_is_correct`);
-        });
-
-        // CSV行を生成
-        const rows = [headers];
-
-        // すべての問題について行を生成
-        this.questions.forEach(question => {
-            const row = [
-                this.escapeCSV(question.questionID),
-                this.escapeCSV(question.question),
-                this.escapeCSV(question.category),
-                this.escapeCSV(question.authored_by),
-                this.escapeCSV(question.choice[0] || ''),
-                this.escapeCSV(question.choice[1] || ''),
-                this.escapeCSV(question.choice[2] || ''),
-                this.escapeCSV(question.choice[3] || ''),
-                this.escapeCSV(question.answer)
-            ];
-
-            // 各レビュアーの回答を追加
-            const questionReviews = reviewsByQuestion.get(question.questionID) || {};
-            reviewers.forEach(reviewer => {
-                const review = questionReviews[reviewer];
-                if (review) {
-                    row.push(this.escapeCSV(review.answer));
-                    row.push(review.is_correct ? 'true' : 'false');
-                } else {
-                    row.push('null');
-                    row.push('null');
-                }
-            });
-
-            rows.push(row);
-        });
+        this.downloadText(csv, 'text/csv;charset=utf-8;', ReviewExport.filename('csv'));
+    },
 
-        // CSVに変換
-        const csv = rows.map(row => row.join(',')).join('\n');
+    /**
+     * 1回答1行のTidy形式CSVでダウンロード
+     */
+    async downloadTidyCSV() {
+        const enrichedReviews = await this.getEnrichedReviews();
+        this.downloadText(ReviewExport.toTidyCSV(enrichedReviews), 'text/csv;charset=utf-8;', ReviewExport.filename('tidy'));
+    },
 
-        // ダウンロード
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    /**
+     * テキストをファイルとしてダウンロード
+     */
+    downloadText(content, type, filename) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `sakuraqa-questions-${new Date().toISOString().split('T')[0]}.csv`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     },
 
-    /**
-     * CSVフィールドのエスケープ
-     */
-    escapeCSV(value) {
-        if (value === null || value === undefined) {
-            return 'null';
-        }
-
-        const str = String(value);
-
-        // カンマ、改行、ダブルクォートが含まれる場合はダブルクォートで囲む
-        if (str.includes(',') || str.includes('\n') || str.includes('"')) {
-            // ダブルクォートを2つにエスケープ
-            return `"${str.replace(/"/g, '""')}"`;
-        }
-
-        return str;
-    },
-
     /**
      * エラーを表示
      */
@@ -15,6 +15,7 @@ const QuizApp = {
     missingQuestionsMode: false, // 未保存問題モードかどうか
     missingQuestionIndexes: [], // 未保存問題のインデックス配列
     currentMissingIndex: 0, // 未保存問題モードでの現在位置
+    answeredQuestionIds: new Set(), // 回答済みの問題ID（進捗として保存）
 
     /**
      * アプリケーション初期化
@@ -42,6 +43,9 @@ const QuizApp = {
         // UIの初期化
         this.setupUI();
 
+        // ブラウザに保存したレビュー結果の読み込み
+        await StorageManager.init();
+
         // 問題データの読み込み
         await this.loadQuestions();
     },
@@ -61,6 +65,15 @@ const QuizApp = {
 
         // 再試行ボタン
         document.getElementById('retry-btn').addEventListener('click', () => this.loadQuestions());
+
+        // 保存容量の警告
+        window.addEventListener('storage-warning', event => this.showStorageWarning(event.detail.message));
+
+        // 未送信の件数
+        window.addEventListener('outbox-change', event => this.updatePendingUploads(event.detail.pending, event.detail.lastError, event.detail.paused));
+        window.addEventListener('upload-rejected', event => this.showRejectedUploads(event.detail.rejected));
+        window.addEventListener('upload-paused', event => this.showPausedUploads(event.detail.paused));
+        this.updatePendingUploads(StorageManager.getPendingUploadCount());
     },
 
     /**
@@ -70,7 +83,7 @@ const QuizApp = {
         this.showLoading();
 
         try {
-            const data = await GitHubLoader.fetch(this.quizPath);
+            const data = await StorageManager.loadQuestions(this.quizPath);
 
             // データが配列かどうか確認
             if (!Array.isArray(data)) {
@@ -129,13 +142,15 @@ const QuizApp = {
 
             // 通常モード: 進捗があればそこから開始、なければ0から
             const progress = await StorageManager.getProgress(this.reviewerName, this.category);
+            const progressState = ReviewProgress.resolve(progress, this.questions);
+            this.answeredQuestionIds = progressState.answeredIds;
 
             // index.htmlから来た場合は既に確認済み（resume_confirmedフラグをチェック）
             const resumeConfirmed = sessionStorage.getItem('resume_confirmed');
 
-            // 240問目まで到達している場合：未保存問題をチェック
-            if (progress && progress.questionIndex >= this.questions.length - 1 && resumeConfirmed !== 'true') {
-                console.log('240問目まで到達：未保存問題をチェック中...');
+            // 全問回答済みの場合：未保存問題をチェック
+            if (progressState.complete && resumeConfirmed !== 'true') {
+                console.log('全問回答済み：未保存問題をチェック中...');
 
                 // 未保存問題をチェック
                 this.missingQuestionIndexes = await StorageManager.getMissingQuestions(
@@ -179,21 +194,24 @@ const QuizApp = {
                 }
             }
             // 途中まで解いている場合
-            else if (progress && progress.questionIndex >= 0 && progress.questionIndex < this.questions.length) {
+            else if (progressState.answeredCount > 0 && !progressState.complete) {
                 if (resumeConfirmed === 'true') {
                     // index.htmlで既に確認済み
-                    this.currentIndex = progress.questionIndex;
+                    this.currentIndex = progressState.nextIndex;
                     console.log('進捗から再開:', this.currentIndex);
                     sessionStorage.removeItem('resume_confirmed');
                 } else {
                     // 直接アクセスの場合は確認モーダルを表示
-                    const nextQuestion = progress.questionIndex + 1;
+                    const nextQuestion = progressState.nextIndex + 1;
                     const choice = await this.showProgressResumeModal(nextQuestion, this.questions.length);
 
                     if (choice === 'continue') {
-                        this.currentIndex = progress.questionIndex;
+                        this.currentIndex = progressState.nextIndex;
                         console.log('進捗から再開:', this.currentIndex);
                     } else if (choice === 'restart') {
+                        // 回答済みの問題もサーバーの進捗から消す（残すと次に開いたときに戻ってくる）
+                        this.answeredQuestionIds = new Set();
+                        await StorageManager.resetProgress(this.reviewerName, this.category);
                         this.currentIndex = 0;
                         console.log('最初から開始');
                     } else {
@@ -343,19 +361,25 @@ const QuizApp = {
         const correctText = choiceButtons[this.correctAnswerIndex].textContent;
 
         // 結果を保存（コメントは空で保存）
-        this.currentReviewId = StorageManager.saveResult({
-            questionId: question.questionID,
-            questionSet: this.category,
-            questionIndex: this.currentIndex,
-            keyword: question.keyword,
-            category: question.category,
-            questionText: question.question,
-            reviewerName: this.reviewerName,
-            answer: selectedText,        // 選択した選択肢のテキスト
-            correctAnswer: correctText,  // 正解の選択肢のテキスト
-            isCorrect: isCorrect,
-            comment: '' // コメントは後で入力
-        });
+        try {
+            this.currentReviewId = await StorageManager.saveResult({
+                questionId: question.questionID,
+                questionSet: this.category,
+                questionIndex: this.currentIndex,
+                keyword: question.keyword,
+                category: question.category,
+                questionText: question.question,
+                questionVersion: question.version,
+                reviewerName: this.reviewerName,
+                answer: selectedText,        // 選択した選択肢のテキスト
+                correctAnswer: correctText,  // 正解の選択肢のテキスト
+                isCorrect: isCorrect,
+                comment: '' // コメントは後で入力
+            });
+        } catch (error) {
+            alert(`❌ ${error.message}`);
+            return;
+        }
 
         // === 先に結果を表示（ユーザーに即座にフィードバック） ===
 
@@ -408,61 +432,156 @@ const QuizApp = {
     },
 
     /**
-     * サーバーへの保存（再試行付き）
+     * サーバーへの保存
+     * 送信に失敗した場合は StorageManager の送信待ちに追加し、バックグラウンドで再送します（ページを閉じても次に開いたときに再送）
+     * サーバーが受け付けなかった場合（検証エラー・アクセス拒否など）は再送せず、理由を表示します
      * @param {Object} reviewData - レビューデータ
      */
-    async saveToServerWithRetry(reviewData) {
-        const maxRetries = 3;
-        let saveSuccess = false;
-        let retryCount = 0;
-
-        while (!saveSuccess && retryCount < maxRetries) {
-            try {
-                const saveResult = await StorageManager.saveReviewToAPI(reviewData);
-                if (saveResult) {
-                    saveSuccess = true;
-                    console.log('サーバーへの保存に成功しました');
-                    return; // 成功したら終了
-                }
-            } catch (error) {
-                console.error(`API送信エラー (試行${retryCount + 1}回目):`, error);
+    async saveToServer(reviewData) {
+        // 再送では同じ冪等キーを使い、二重に保存されないようにする
+        const options = { idempotencyKey: StorageManager.generateIdempotencyKey(reviewData.review_id) };
+        // リクエスト数の制限の場合はサーバーからの理由を表示する（認証・設定の誤りは送信待ちの一時停止で知らせる）
+        let failureReason = null;
+
+        try {
+            if (await StorageManager.saveReviewToAPI(reviewData, options)) {
+                console.log('サーバーへの保存に成功しました');
+                return;
             }
+        } catch (error) {
+            if (error.name === 'AnswerConflictError') {
+                // 同じ問題に別の回答が保存済み（解き直した場合など）
+                const replace = confirm(
+                    `⚠️ この問題には既に別の回答が保存されています\n\n` +
+                    `保存済みの回答: ${error.existingAnswer}\n` +
+                    `今回の回答: ${reviewData.answer}\n\n` +
+                    `OK: 今回の回答で置き換える\n` +
+                    `キャンセル: 保存済みの回答を残す`
+                );
 
-            retryCount++;
-
-            // 保存失敗時の処理
-            if (!saveSuccess) {
-                if (retryCount < maxRetries) {
-                    // まだ再試行できる場合
-                    const retry = confirm(
-                        `⚠️ 回答の保存に失敗しました（${retryCount}回目）\n\n` +
-                        `お使いのブラウザには保存されていますが、サーバーへの保存に失敗しています。\n\n` +
-                        `もう一度送信しますか？\n\n` +
-                        `OK: もう一度送信する\n` +
-                        `キャンセル: スキップ（後で解き直せます）`
-                    );
+                if (!replace) {
+                    console.warn('保存済みの回答を残しました:', error.existingReviewId);
+                    return;
+                }
 
-                    if (!retry) {
-                        // ユーザーが「スキップ」を選択
-                        console.warn('ユーザーが再試行をキャンセルしました');
-                        break;
+                // 置き換えは別の送信として新しい冪等キーで送る
+                options.reanswer = true;
+                options.idempotencyKey = StorageManager.generateIdempotencyKey(reviewData.review_id);
+                try {
+                    if (await StorageManager.saveReviewToAPI(reviewData, options)) {
+                        console.log('保存済みの回答を置き換えました');
+                        return;
+                    }
+                } catch (retryError) {
+                    console.error('API送信エラー:', retryError);
+                    if (StorageManager.isPermanentError(retryError)) {
+                        this.showSaveRejected(retryError.message);
+                        return;
+                    }
+                    if (StorageManager.isBlockedError(retryError) && !StorageManager.isAuthOrConfigError(retryError)) {
+                        failureReason = retryError.message;
                     }
-                    // retryがtrueの場合はループを続けて再試行
-                } else {
-                    // 最大試行回数に達した場合
-                    alert(
-                        `⚠️ 回答の保存に${maxRetries}回失敗しました\n\n` +
-                        `お使いのブラウザには保存されていますが、サーバーへの保存ができませんでした。\n\n` +
-                        `ネットワーク接続を確認してください。\n\n` +
-                        `この問題は後でまとめて解き直すことができます。`
-                    );
-                    break;
+                }
+            } else {
+                console.error('API送信エラー:', error);
+                if (StorageManager.isPermanentError(error)) {
+                    this.showSaveRejected(error.message);
+                    return;
+                }
+                if (StorageManager.isBlockedError(error) && !StorageManager.isAuthOrConfigError(error)) {
+                    failureReason = error.message;
                 }
             }
         }
 
-        if (!saveSuccess) {
-            console.warn('サーバーへの保存に失敗しました。後で解き直してください。');
+        StorageManager.enqueueReview(reviewData, options);
+        console.warn('サーバーへの保存に失敗したため、送信待ちに追加しました:', reviewData.review_id);
+
+        if (failureReason) {
+            alert(
+                `⚠️ 回答をサーバーに送信できませんでした\n\n` +
+                `お使いのブラウザには保存されています。送信待ちに追加し、自動で再送します。\n\n` +
+                `理由: ${failureReason}`
+            );
+        }
+    },
+
+    /**
+     * サーバーが回答を受け付けなかったことを表示（再送しても保存されないため送信待ちには追加しない）
+     * @param {string} reason - サーバーが受け付けなかった理由
+     */
+    showSaveRejected(reason) {
+        alert(
+            `⚠️ 回答をサーバーに保存できませんでした\n\n` +
+            `お使いのブラウザには保存されていますが、サーバーが受け付けませんでした。\n\n` +
+            `理由: ${reason}`
+        );
+    },
+
+    /**
+     * 送信待ちの再送でサーバーが受け付けなかったものを表示
+     * @param {Array} rejected - StorageManager.rejectOutboxEntry の戻り値の配列
+     */
+    showRejectedUploads(rejected) {
+        const lines = rejected.map(record => {
+            const label = record.type === 'review'
+                ? `回答（問題 ${record.payload.question_id}）`
+                : `進捗（${record.payload.category}）`;
+            return `・${label}\n  理由: ${record.reason}`;
+        });
+
+        alert(
+            `⚠️ 未送信のデータ${rejected.length}件をサーバーが受け付けなかったため、再送を中止しました\n\n` +
+            `${lines.join('\n')}\n\n` +
+            `お使いのブラウザには保存されています。`
+        );
+    },
+
+    /**
+     * 送信待ちの再送を認証・設定の誤りで一時停止したことを表示
+     * @param {Array} paused - StorageManager.pauseOutboxEntry の戻り値の配列
+     */
+    showPausedUploads(paused) {
+        alert(
+            `⚠️ 未送信のデータ${paused.length}件をサーバーに送信できないため、再送を一時停止しました
+
+` +
+            `理由: ${paused[paused.length - 1].lastError}
+
+` +
+            `招待リンク（トークン）やAPIの設定を確認してください。` +
+            `招待リンクから開き直す・設定を直して再読み込みすると、自動で再送します。
+` +
+            `お使いのブラウザには保存されています。`
+        );
+    },
+
+    /**
+     * 保存容量の警告を表示
+     * @param {string} message - 警告メッセージ
+     */
+    showStorageWarning(message) {
+        const warning = document.getElementById('storage-warning');
+        warning.textContent = `⚠️ ${message}`;
+        warning.style.display = 'block';
+    },
+
+    /**
+     * 未送信の件数をヘッダーに表示
+     * @param {number} pending - 未送信のレビュー・進捗の件数
+     * @param {string|null} lastError - 最後に失敗した理由
+     * @param {number} paused - 認証・設定の誤りで再送を一時停止している件数
+     */
+    updatePendingUploads(pending, lastError = null, paused = 0) {
+        const badge = document.getElementById('upload-pending');
+        document.getElementById('upload-pending-count').textContent = pending;
+        badge.hidden = pending === 0;
+        if (paused > 0) {
+            badge.title = `サーバーに未送信です（${lastError}）。招待リンク（トークン）やAPIの設定を直すと再送します`;
+        } else {
+            badge.title = lastError
+                ? `サーバーに未送信です（${lastError}）。自動で再送します`
+                : 'サーバーに未送信です。自動で再送します';
         }
     },
 
@@ -525,20 +644,20 @@ const QuizApp = {
         // コメントを保存してサーバーに送信
         if (this.currentReviewId) {
             const comment = document.getElementById('comment-input').value.trim();
-            StorageManager.updateComment(this.currentReviewId, comment);
+            await StorageManager.updateComment(this.currentReviewId, comment);
 
             // localStorageから最新のレビューデータを取得してサーバーに送信
             const results = StorageManager.getAllResults();
             const reviewData = results.find(r => r.review_id === this.currentReviewId);
             if (reviewData) {
-                // サーバーに送信（再試行付き）
-                await this.saveToServerWithRetry(reviewData);
+                // サーバーに送信（失敗した場合はバックグラウンドで再送）
+                await this.saveToServer(reviewData);
             }
         }
 
         // 進捗を保存（未保存問題モードでは保存しない）
         if (!this.missingQuestionsMode) {
-            await StorageManager.saveProgress(this.reviewerName, this.category, this.currentIndex);
+            await this.saveAnsweredProgress();
         }
 
         // 未保存問題モードの場合
@@ -558,6 +677,18 @@ const QuizApp = {
         }
     },
 
+    /**
+     * 現在の問題を回答済みに加えて進捗を保存
+     */
+    async saveAnsweredProgress() {
+        const questionId = this.questions[this.currentIndex].questionID;
+        this.answeredQuestionIds.add(questionId);
+        await StorageManager.saveProgress(this.reviewerName, this.category, {
+            answeredQuestionIds: Array.from(this.answeredQuestionIds),
+            cursor: questionId
+        });
+    },
+
     /**
      * レビュー完了
      */
@@ -565,14 +696,14 @@ const QuizApp = {
         // 最後の問題のコメントを保存してサーバーに送信
         if (this.currentReviewId) {
             const comment = document.getElementById('comment-input').value.trim();
-            StorageManager.updateComment(this.currentReviewId, comment);
+            await StorageManager.updateComment(this.currentReviewId, comment);
 
             // localStorageから最新のレビューデータを取得してサーバーに送信
             const results = StorageManager.getAllResults();
             const reviewData = results.find(r => r.review_id === this.currentReviewId);
             if (reviewData) {
-                // サーバーに送信（再試行付き）
-                await this.saveToServerWithRetry(reviewData);
+                // サーバーに送信（失敗した場合はバックグラウンドで再送）
+                await this.saveToServer(reviewData);
             }
         }
 
@@ -588,8 +719,8 @@ const QuizApp = {
             return;
         }
 
-        // 通常モード: 進捗を削除（レビュー完了）
-        StorageManager.clearProgress(this.reviewerName, this.category);
+        // 通常モード: 最後の問題まで回答済みとして進捗を保存（次に開いたときは未保存問題の確認になる）
+        await this.saveAnsweredProgress();
 
         const stats = StorageManager.getStatistics();
         const reviewerStats = stats.byReviewer[this.reviewerName];
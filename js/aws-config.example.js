@@ -21,6 +21,11 @@ const AWS_CONFIG = {
     // 形式: https://xxxxxxxxxx.execute-api.ap-northeast-1.amazonaws.com/prod/review
     apiEndpoint: 'YOUR_API_GATEWAY_URL',
 
+    // データセットID（省略可）
+    // 1つのLambdaで複数のデータセットを扱う場合に指定します（例: 'disney', 'food'）
+    // 省略した場合はバケット直下の review.json / progress.json に保存されます
+    datasetId: '',
+
     // S3アップロード機能を有効化するか（true/false）
     // falseの場合はlocalStorageのみに保存されます
     enableS3Upload: true
@@ -0,0 +1,218 @@
+/**
+ * エクスポートモジュール
+ * レビュー結果をJSONL・問題別のWide形式CSV・1回答1行のTidy形式CSVに変換
+ *
+ * 分析ページ（Analytics）のダウンロードとLambdaの /export（lambda/export.mjs）の両方で同じ形式・エスケープを使います。
+ * レビュー結果は ReviewStats.enrichReviews で問題データ（question）を結合したものを渡してください。
+ */
+
+const ReviewExport = {
+    // Tidy形式CSVの列（1回答1行）
+    TIDY_COLUMNS: [
+        'review_id',
+        'question_id',
+        'category',
+        'authored_by',
+        'question',
+        'reviewer_name',
+        'answer',
+        'correct_answer',
+        'is_correct',
+        'timestamp',
+        'comment',
+        'question_bank_version',
+        'question_version'
+    ],
+
+    /**
+     * JSONL（1行1レビュー）
+     * @param {Array} enrichedReviews - 問題データを結合したレビュー結果
+     * @returns {string}
+     */
+    toJSONL(enrichedReviews) {
+        return enrichedReviews.map(review => JSON.stringify(review)).join('\n');
+    },
+
+    /**
+     * 問題別のWide形式CSV（1問1行、レビュアーごとに回答・正誤の列）
+     * 回答していない問題の列は null になります
+     * @param {Array} enrichedReviews - 問題データを結合したレビュー結果
+     * @param {Array} questions - 出力する問題（questions.json の順）
+     * @param {Array<string>} reviewers - 列にするレビュアー名
+     * @returns {string}
+     */
+    toQuestionCSV(enrichedReviews, questions, reviewers) {
+        // レビュー結果をquestion_id × reviewer でグループ化
+        const reviewsByQuestion = new Map();
+        enrichedReviews.forEach(review => {
+            const questionId = review.question_id || review.questionId;
+            const reviewer = review.reviewer_name || review.reviewerName;
+
+            if (!reviewsByQuestion.has(questionId)) {
+                reviewsByQuestion.set(questionId, {});
+            }
+
+            reviewsByQuestion.get(questionId)[reviewer] = {
+                answer: review.answer,
+                is_correct: review.is_correct || review.isCorrect
+            };
+        });
+
+        const headers = [
+            'question_id',
+            'question',
+            'category',
+            'authored_by',
+            'choice_1',
+            'choice_2',
+            'choice_3',
+            'choice_4',
+            'correct_answer'
+        ];
+
+        // レビュアー別の列を追加
+        reviewers.forEach(reviewer => {
+            headers.push(`${reviewer}_answer`);
+            headers.push(`${reviewer}_is_correct`);
+        });
+
+        const rows = questions.map(question => {
+            const row = [
+                question.questionID,
+                question.question,
+                question.category,
+                question.authored_by,
+                question.choice[0] || '',
+                question.choice[1] || '',
+                question.choice[2] || '',
+                question.choice[3] || '',
+                question.answer
+            ];
+
+            // 各レビュアーの回答を追加
+            const questionReviews = reviewsByQuestion.get(question.questionID) || {};
+            reviewers.forEach(reviewer => {
+                const review = questionReviews[reviewer];
+                if (review) {
+                    row.push(review.answer);
+                    row.push(review.is_correct ? 'true' : 'false');
+                } else {
+                    row.push(null);
+                    row.push(null);
+                }
+            });
+
+            return row;
+        });
+
+        return this.toCSV([headers, ...rows]);
+    },
+
+    /**
+     * Tidy形式（Long形式）のCSV（1回答1行、列は TIDY_COLUMNS）
+     * @param {Array} enrichedReviews - 問題データを結合したレビュー結果
+     * @returns {string}
+     */
+    toTidyCSV(enrichedReviews) {
+        const rows = enrichedReviews.map(review => {
+            const question = review.question || {};
+            return [
+                review.review_id,
+                review.question_id,
+                review.category,
+                question.authored_by,
+                question.question,
+                review.reviewer_name,
+                review.answer,
+                review.correct_answer,
+                review.is_correct ? 'true' : 'false',
+                review.timestamp,
+                review.comment || '',
+                review.question_bank_version,
+                review.question_version
+            ];
+        });
+
+        return this.toCSV([this.TIDY_COLUMNS, ...rows]);
+    },
+
+    /**
+     * 公開用にレビュアー名を仮名に置き換え、必要に応じてコメントを除く
+     * 変更履歴・削除の記録（レビュアー名が含まれる）も取り除きます
+     * @param {Array} enrichedReviews - 問題データを結合したレビュー結果
+     * @param {Object} options - オプション
+     * @param {Function} [options.pseudonym] - レビュアー名 → 仮名（指定しない場合は名前を置き換えない）
+     * @param {boolean} [options.stripComments] - コメントを空にする
+     * @returns {Array} 置き換えたレビュー結果
+     */
+    anonymizeReviews(enrichedReviews, { pseudonym = null, stripComments = false } = {}) {
+        return enrichedReviews.map(review => {
+            const { history, updated_by, deleted_by, delete_reason, reviewerName, ...rest } = review;
+            const result = { ...rest };
+
+            if (pseudonym) {
+                result.reviewer_name = pseudonym(review.reviewer_name || reviewerName);
+            } else {
+                result.reviewer_name = review.reviewer_name || reviewerName;
+            }
+            if (stripComments) {
+                result.comment = '';
+            }
+
+            return result;
+        });
+    },
+
+    /**
+     * 行の配列をCSVにする（すべてのフィールドを escapeCSV でエスケープ）
+     * @param {Array<Array>} rows - 1行目をヘッダーとする行の配列
+     * @param {string} [lineEnding] - 改行コード
+     * @returns {string}
+     */
+    toCSV(rows, lineEnding = '\n') {
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join(lineEnding);
+    },
+
+    /**
+     * CSVフィールドのエスケープ
+     * null・undefined は null と出力します
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+
+        const str = String(value);
+
+        // カンマ、改行、ダブルクォートが含まれる場合はダブルクォートで囲む
+        if (str.includes(',') || str.includes('\n') || str.includes('\r') || str.includes('"')) {
+            // ダブルクォートを2つにエスケープ
+            return `"${str.replace(/"/g, '""')}"`;
+        }
+
+        return str;
+    },
+
+    /**
+     * ダウンロード用のファイル名
+     * @param {string} format - 'jsonl' / 'csv'（問題別） / 'tidy'
+     * @param {Date} [date] - 日付
+     * @param {boolean} [anonymized] - 公開用（anonymizeReviews 済み）のファイルか
+     */
+    filename(format, date = new Date(), anonymized = false) {
+        const day = date.toISOString().split('T')[0] + (anonymized ? '-anonymized' : '');
+        const names = {
+            jsonl: `sakuraqa-reviews-${day}.jsonl`,
+            csv: `sakuraqa-questions-${day}.csv`,
+            tidy: `sakuraqa-answers-${day}.csv`
+        };
+        return names[format];
+    }
+};
+
+// ブラウザではグローバルに、Node.js（Lambda）ではモジュールとして公開
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewExport;
+} else {
+    window.ReviewExport = ReviewExport;
+}
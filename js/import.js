@@ -0,0 +1,254 @@
+/**
+ * インポートモジュール
+ * エクスポートしたレビュー結果のファイルを読み込み、検証・重複チェックしてプレビューを作成
+ *
+ * 読み込めるファイル:
+ *   - json  : StorageManager.exportToJSON のバックアップ（レビュー結果の配列、review.json も同じ形式）
+ *   - csv   : StorageManager.exportToCSV のバックアップ（日本語の列名、BOM付き）
+ *   - jsonl : 分析ページの「全データ (JSONL)」（1行1レビュー、問題データ question を含む）
+ * 問題別のWide形式CSV・Tidy形式CSVはレビュー結果の項目が揃っていないため読み込めません。
+ */
+
+const ReviewImport = {
+    // exportToCSV の列名 → レビュー結果のフィールド
+    CSV_COLUMNS: {
+        'レビューID': 'review_id',
+        '問題ID': 'question_id',
+        '問題セット': 'question_set',
+        '問題インデックス': 'question_index',
+        'キーワード': 'keyword',
+        'カテゴリ': 'category',
+        '問題文': 'question_text',
+        'レビューア名': 'reviewer_name',
+        '回答': 'answer',
+        '正解': 'correct_answer',
+        '正誤': 'is_correct',
+        'タイムスタンプ': 'timestamp',
+        'コメント': 'comment'
+    },
+
+    // 以前のバージョンのキャメルケースのフィールド名
+    LEGACY_FIELDS: {
+        reviewId: 'review_id',
+        questionId: 'question_id',
+        reviewerName: 'reviewer_name',
+        isCorrect: 'is_correct',
+        correctAnswer: 'correct_answer'
+    },
+
+    /**
+     * ファイルの形式を判定（拡張子、なければ内容から）
+     * @param {string} filename - ファイル名
+     * @param {string} text - ファイルの内容
+     * @returns {string} 'json' / 'jsonl' / 'csv'
+     */
+    detectFormat(filename, text) {
+        const extension = (filename.split('.').pop() || '').toLowerCase();
+        if (['json', 'jsonl', 'csv'].includes(extension)) {
+            return extension;
+        }
+
+        const head = text.replace(/^\uFEFF/, '').trimStart();
+        if (head.startsWith('[')) {
+            return 'json';
+        }
+        return head.startsWith('{') ? 'jsonl' : 'csv';
+    },
+
+    /**
+     * ファイルの内容をレコードに分ける
+     * @param {string} text - ファイルの内容
+     * @param {string} format - detectFormat の戻り値
+     * @returns {Array<{line: number, record: Object|null, error: string|null}>} line は行番号（json は配列の何番目か、1始まり）
+     * @throws {Error} ファイル全体が読めない場合（JSONの構文エラー・CSVの列名が違うなど）
+     */
+    parseRecords(text, format) {
+        const content = text.replace(/^\uFEFF/, '');
+
+        if (format === 'json') {
+            const data = JSON.parse(content);
+            if (!Array.isArray(data)) {
+                throw new Error('JSONファイルはレビュー結果の配列である必要があります');
+            }
+            return data.map((record, i) => ({ line: i + 1, record, error: null }));
+        }
+
+        if (format === 'jsonl') {
+            return content.split(/\r?\n/)
+                .map((line, i) => ({ line: i + 1, text: line.trim() }))
+                .filter(({ text }) => text !== '')
+                .map(({ line, text }) => {
+                    try {
+                        return { line, record: JSON.parse(text), error: null };
+                    } catch (error) {
+                        return { line, record: null, error: `JSONとして読めません: ${error.message}` };
+                    }
+                });
+        }
+
+        const [headers, ...rows] = this.parseCSV(content);
+        const fields = (headers || []).map(header => this.CSV_COLUMNS[header.trim()]);
+        if (!fields.includes('review_id')) {
+            throw new Error('CSVの列名が違います（レビュー結果のCSVバックアップを選んでください）');
+        }
+
+        return rows
+            .map((row, i) => ({ line: i + 2, row }))
+            .filter(({ row }) => row.some(value => value !== ''))
+            .map(({ line, row }) => {
+                const record = {};
+                fields.forEach((field, i) => {
+                    if (field) {
+                        record[field] = row[i];
+                    }
+                });
+                return { line, record, error: null };
+            });
+    },
+
+    /**
+     * CSVを行・フィールドに分ける（ReviewExport.toCSV の逆、ダブルクォート内のカンマ・改行に対応）
+     * @param {string} text - CSV
+     * @returns {Array<Array<string>>}
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    },
+
+    /**
+     * 読み込んだレコードをレビュー結果の形式にする（ReviewSchema.REVIEW_FIELDS のフィールドだけを残す）
+     * CSVの文字列（問題インデックス・正誤）は数値・真偽値に、null と出力された値は未設定に戻します
+     * @param {Object} raw - 読み込んだレコード
+     * @param {Object} schemaFields - ReviewSchema.REVIEW_FIELDS
+     * @returns {Object}
+     */
+    normalizeRecord(raw, schemaFields) {
+        const source = { ...raw };
+        Object.entries(this.LEGACY_FIELDS).forEach(([legacy, field]) => {
+            if (source[field] === undefined && source[legacy] !== undefined) {
+                source[field] = source[legacy];
+            }
+        });
+
+        const record = {};
+        Object.entries(schemaFields).forEach(([field, rule]) => {
+            let value = source[field];
+            if (value === undefined || value === null || value === 'null') {
+                return;
+            }
+
+            if (rule.type === 'integer' && typeof value === 'string' && /^\d+$/.test(value.trim())) {
+                value = Number(value.trim());
+            } else if (rule.type === 'boolean' && typeof value === 'string') {
+                const text = value.trim();
+                if (text === '正解' || text === 'true') {
+                    value = true;
+                } else if (text === '不正解' || text === 'false') {
+                    value = false;
+                }
+            }
+
+            record[field] = value;
+        });
+
+        return record;
+    },
+
+    /**
+     * インポートのプレビューを作成
+     * ファイル内で review_id が重複するものは最初の1件だけ、ブラウザに保存済みの review_id は取り込みません
+     * @param {string} text - ファイルの内容
+     * @param {string} filename - ファイル名
+     * @param {Object} schema - ReviewSchema
+     * @param {Set<string>} existingIds - ブラウザに保存済みの review_id
+     * @returns {{format: string, total: number, records: Array, existing: number, duplicates: number, invalid: Array<{line: number, review_id: string|null, message: string}>}}
+     *          records は取り込むレビュー結果
+     */
+    buildPreview(text, filename, schema, existingIds) {
+        const format = this.detectFormat(filename, text);
+        const entries = this.parseRecords(text, format);
+        const preview = { format, total: entries.length, records: [], existing: 0, duplicates: 0, invalid: [] };
+        const seenIds = new Set();
+
+        entries.forEach(({ line, record, error }) => {
+            if (error) {
+                preview.invalid.push({ line, review_id: null, message: error });
+                return;
+            }
+
+            if (record && record.deleted_at) {
+                preview.invalid.push({ line, review_id: record.review_id || null, message: '削除済みのレビューです' });
+                return;
+            }
+
+            const review = this.normalizeRecord(record, schema.REVIEW_FIELDS);
+            const errors = schema.validateReview(review);
+            if (errors.length > 0) {
+                preview.invalid.push({ line, review_id: review.review_id || null, message: errors.map(e => e.message).join('; ') });
+                return;
+            }
+
+            if (seenIds.has(review.review_id)) {
+                preview.duplicates++;
+                return;
+            }
+            seenIds.add(review.review_id);
+
+            if (existingIds.has(review.review_id)) {
+                preview.existing++;
+                return;
+            }
+
+            preview.records.push(review);
+        });
+
+        return preview;
+    }
+};
+
+// ブラウザではグローバルに、Node.jsではモジュールとして公開
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewImport;
+} else {
+    window.ReviewImport = ReviewImport;
+}
@@ -0,0 +1,143 @@
+/**
+ * ブラウザ内データベース（IndexedDB）
+ * レビュー結果を1件ずつ保存し、レビュアー・カテゴリ・問題で検索できるようにする
+ */
+
+const LocalDB = {
+    DB_NAME: 'sakuraqa-review',
+    DB_VERSION: 1,
+    RESULTS_STORE: 'results', // レビュー結果（キーは review_id）
+
+    db: null,
+
+    /**
+     * データベースを開く（初回はストアとインデックスを作成）
+     * @returns {Promise<IDBDatabase>}
+     * @throws {Error} IndexedDB が使えない場合（プライベートブラウズの一部など）
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.RESULTS_STORE)) {
+                    const store = db.createObjectStore(this.RESULTS_STORE, { keyPath: 'review_id' });
+                    store.createIndex('reviewer_name', 'reviewer_name');
+                    store.createIndex('category', 'category');
+                    store.createIndex('question_id', 'question_id');
+                    store.createIndex('reviewer_category', ['reviewer_name', 'category']);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+        });
+
+        return this.db;
+    },
+
+    /**
+     * ストアのすべてのレコードを取得
+     * @param {string} storeName - ストア名
+     * @returns {Promise<Array>}
+     */
+    async getAll(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAll());
+    },
+
+    /**
+     * インデックスで検索
+     * @param {string} storeName - ストア名
+     * @param {string} indexName - インデックス名
+     * @param {*} query - 値（reviewer_category は [レビュアー名, カテゴリ]）
+     * @returns {Promise<Array>}
+     */
+    async getAllByIndex(storeName, indexName, query) {
+        return this.request(storeName, 'readonly', store => store.index(indexName).getAll(query));
+    },
+
+    /**
+     * レコードを保存（同じキーのレコードは置き換え）
+     * @param {string} storeName - ストア名
+     * @param {Object|Array} records - レコード（配列の場合は1つのトランザクションでまとめて保存）
+     * @returns {Promise<void>}
+     * @throws {DOMException} 容量が不足している場合は name が 'QuotaExceededError'
+     */
+    async put(storeName, records) {
+        const list = Array.isArray(records) ? records : [records];
+        await this.transaction(storeName, 'readwrite', store => {
+            list.forEach(record => store.put(record));
+        });
+    },
+
+    /**
+     * レコードを削除
+     * @param {string} storeName - ストア名
+     * @param {Array<string>} keys - キー
+     * @returns {Promise<void>}
+     */
+    async delete(storeName, keys) {
+        await this.transaction(storeName, 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+    },
+
+    /**
+     * ストアのすべてのレコードを削除
+     * @param {string} storeName - ストア名
+     * @returns {Promise<void>}
+     */
+    async clear(storeName) {
+        await this.transaction(storeName, 'readwrite', store => store.clear());
+    },
+
+    /**
+     * 容量不足によるエラーかどうか
+     * @param {Error} error - エラー
+     * @returns {boolean}
+     */
+    isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    },
+
+    /**
+     * 1つのリクエストを実行して結果を返す
+     */
+    async request(storeName, mode, fn) {
+        let result;
+        await this.transaction(storeName, mode, store => {
+            const request = fn(store);
+            request.onsuccess = () => {
+                result = request.result;
+            };
+        });
+        return result;
+    },
+
+    /**
+     * トランザクションを実行（完了するまで待つ）
+     */
+    async transaction(storeName, mode, fn) {
+        const db = await this.open();
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            tx.oncomplete = () => resolve();
+            // 容量不足は put ではなくトランザクションの中断として通知される
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+            tx.onerror = () => reject(tx.error);
+            fn(tx.objectStore(storeName));
+        });
+    }
+};
+
+// グローバルに公開
+window.LocalDB = LocalDB;
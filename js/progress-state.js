@@ -0,0 +1,164 @@
+/**
+ * 進捗モジュール
+ * 進捗（progress.json の1件）を回答済みの問題IDの集合と、最後に回答した問題ID（cursor）で表す
+ *
+ *   { reviewerName, category, answeredQuestionIds: ['Q001', ...], cursor: 'Q012', timestamp }
+ *
+ * 問題の位置ではなくIDで記録するため、questions.json の問題を並べ替えたり追加したりしても進捗は崩れません。
+ * 以前の形式（questionIndex: 最後に回答した問題の位置）の進捗は、現在の問題データの先頭から questionIndex 番目までを回答済みとみなします。
+ *
+ * ブラウザ（再開・未保存問題の確認）とLambda（PUT /progress・GET /progress/all）、scripts/migrate-progress.mjs で同じ計算を使います。
+ */
+
+const ReviewProgress = {
+    /**
+     * 進捗を現在の問題データに当てはめる
+     * @param {Object|null} progress - 進捗
+     * @param {Array} categoryQuestions - カテゴリの問題（出題順）
+     * @returns {{answeredIds: Set<string>, answeredCount: number, cursorIndex: number, nextIndex: number, complete: boolean}}
+     *          answeredCount は現在の問題データにある回答済みの問題数、cursorIndex は最後に回答した問題の位置（問題データにない場合は -1）、
+     *          nextIndex は次に解く問題の位置（cursor より後の最初の未回答、なければ先頭から探す。すべて回答済みなら -1）
+     */
+    resolve(progress, categoryQuestions) {
+        const questionIds = categoryQuestions.map(q => q.questionID);
+        const answeredIds = new Set(this.answeredIds(progress, questionIds));
+        const cursorIndex = questionIds.indexOf(this.cursorId(progress, questionIds));
+
+        const unanswered = questionIds
+            .map((id, index) => (answeredIds.has(id) ? -1 : index))
+            .filter(index => index !== -1);
+        const nextIndex = unanswered.find(index => index > cursorIndex) ?? unanswered[0] ?? -1;
+
+        return {
+            answeredIds,
+            answeredCount: questionIds.filter(id => answeredIds.has(id)).length,
+            cursorIndex,
+            nextIndex,
+            complete: questionIds.length > 0 && unanswered.length === 0
+        };
+    },
+
+    /**
+     * 回答済みの問題ID
+     * @param {Object|null} progress - 進捗
+     * @param {Array<string>} questionIds - カテゴリの問題ID（出題順、以前の形式の進捗の変換に使う）
+     * @returns {Array<string>}
+     */
+    answeredIds(progress, questionIds) {
+        if (!progress) {
+            return [];
+        }
+        if (Array.isArray(progress.answeredQuestionIds)) {
+            return progress.answeredQuestionIds;
+        }
+        if (Number.isInteger(progress.questionIndex)) {
+            return questionIds.slice(0, progress.questionIndex + 1);
+        }
+        return [];
+    },
+
+    /**
+     * 最後に回答した問題ID
+     * @param {Object|null} progress - 進捗
+     * @param {Array<string>} questionIds - カテゴリの問題ID（出題順、以前の形式の進捗の変換に使う）
+     * @returns {string|null}
+     */
+    cursorId(progress, questionIds) {
+        if (!progress) {
+            return null;
+        }
+        if (progress.cursor) {
+            return progress.cursor;
+        }
+        return Number.isInteger(progress.questionIndex) ? questionIds[progress.questionIndex] || null : null;
+    },
+
+    /**
+     * 以前の形式の進捗を含むか（変換に問題データが必要か）
+     * @param {...Object} progresses - 進捗
+     * @returns {boolean}
+     */
+    isLegacy(...progresses) {
+        return progresses.some(progress => progress && !Array.isArray(progress.answeredQuestionIds));
+    },
+
+    /**
+     * 保存済みの進捗と新しい進捗をまとめる（回答済みの問題は和集合、cursor は新しい方）
+     * 別の端末・送信待ちからの古い進捗で回答済みの問題が消えないようにします
+     * @param {Object|null} stored - 保存済みの進捗
+     * @param {Object} incoming - 新しい進捗
+     * @param {Array<string>} [questionIds] - カテゴリの問題ID（以前の形式の進捗を含む場合に必要）
+     * @returns {Object} 進捗（timestamp は付けない）
+     */
+    merge(stored, incoming, questionIds = []) {
+        const answered = new Set([
+            ...this.answeredIds(stored, questionIds),
+            ...this.answeredIds(incoming, questionIds)
+        ]);
+
+        return {
+            reviewerName: incoming.reviewerName,
+            category: incoming.category,
+            answeredQuestionIds: Array.from(answered),
+            cursor: this.cursorId(incoming, questionIds) || this.cursorId(stored, questionIds)
+        };
+    },
+
+    /**
+     * 回答済みから問題を外す（レビューを削除した場合）
+     * cursor はそのまま残します（再開するのは cursor より後の最初の未回答の問題）
+     * @param {Object} progress - 進捗
+     * @param {string} questionId - 外す問題ID
+     * @param {Array<string>} [questionIds] - カテゴリの問題ID（以前の形式の進捗の場合に必要）
+     * @returns {Object} 進捗（timestamp は付けない）
+     */
+    remove(progress, questionId, questionIds = []) {
+        return {
+            reviewerName: progress.reviewerName,
+            category: progress.category,
+            answeredQuestionIds: this.answeredIds(progress, questionIds).filter(id => id !== questionId),
+            cursor: this.cursorId(progress, questionIds)
+        };
+    },
+
+    /**
+     * レビュー結果から進捗を作る（削除済みのレビューは除く）
+     * cursor は最後に保存したレビューの問題です
+     * @param {Array} reviews - review.json の内容
+     * @returns {Object} "レビュアー__カテゴリ" → 進捗
+     */
+    fromReviews(reviews) {
+        const progressMap = {};
+
+        reviews.filter(review => !review.deleted_at).forEach(review => {
+            const key = `${review.reviewer_name}__${review.category}`;
+            if (!progressMap[key]) {
+                progressMap[key] = {
+                    reviewerName: review.reviewer_name,
+                    category: review.category,
+                    answeredQuestionIds: [],
+                    cursor: null,
+                    timestamp: null
+                };
+            }
+
+            const progress = progressMap[key];
+            if (!progress.answeredQuestionIds.includes(review.question_id)) {
+                progress.answeredQuestionIds.push(review.question_id);
+            }
+            if (!progress.timestamp || review.timestamp > progress.timestamp) {
+                progress.cursor = review.question_id;
+                progress.timestamp = review.timestamp;
+            }
+        });
+
+        return progressMap;
+    }
+};
+
+// ブラウザではグローバルに、Node.js（Lambda）ではモジュールとして公開
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewProgress;
+} else {
+    window.ReviewProgress = ReviewProgress;
+}
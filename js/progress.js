@@ -0,0 +1,174 @@
+/**
+ * 進捗一覧
+ * 全レビュアー・カテゴリの進捗と保存済み件数を表示（管理者用）
+ */
+
+const ProgressOverview = {
+    ADMIN_TOKEN_KEY: 'admin_token', // sessionStorage のキー（タブを閉じると消える）
+    IDLE_WARNING_DAYS: 7,           // この日数以上更新がない未完了の進捗を強調表示
+
+    STATUS_LABELS: {
+        completed: '完了',
+        needs_attention: '要確認',
+        in_progress: '進行中'
+    },
+
+    entries: [],
+
+    /**
+     * 初期化
+     */
+    init() {
+        document.getElementById('tokenForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const token = document.getElementById('adminTokenInput').value.trim();
+            if (token) {
+                sessionStorage.setItem(this.ADMIN_TOKEN_KEY, token);
+                this.load();
+            }
+        });
+
+        document.getElementById('statusFilter').addEventListener('change', () => this.renderTable());
+        document.getElementById('reloadBtn').addEventListener('click', () => this.load());
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            sessionStorage.removeItem(this.ADMIN_TOKEN_KEY);
+            this.showTokenForm();
+        });
+
+        if (sessionStorage.getItem(this.ADMIN_TOKEN_KEY)) {
+            this.load();
+        } else {
+            this.showTokenForm();
+        }
+    },
+
+    /**
+     * 進捗一覧を読み込んで表示
+     */
+    async load() {
+        this.hideError();
+
+        try {
+            this.entries = await StorageManager.getAllProgressFromAPI(sessionStorage.getItem(this.ADMIN_TOKEN_KEY));
+            console.log(`進捗一覧: ${this.entries.length}件`);
+
+            document.getElementById('token-section').style.display = 'none';
+            this.renderSummary();
+            this.renderTable();
+            document.getElementById('summary-section').style.display = 'block';
+            document.getElementById('list-section').style.display = 'block';
+
+        } catch (error) {
+            if (error.name === 'UnauthorizedError') {
+                sessionStorage.removeItem(this.ADMIN_TOKEN_KEY);
+                this.showTokenForm();
+            }
+            this.showError(error.message);
+        }
+    },
+
+    /**
+     * 状態ごとの件数を描画
+     */
+    renderSummary() {
+        const counts = { needs_attention: 0, in_progress: 0, completed: 0 };
+        this.entries.forEach(entry => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        });
+
+        const reviewers = new Set(this.entries.map(entry => entry.reviewer));
+
+        document.getElementById('summaryGrid').innerHTML = `
+            <div class="summary-card">
+                <div class="summary-value">${reviewers.size}</div>
+                <div>レビュアー</div>
+            </div>
+            ${Object.entries(counts).map(([status, count]) => `
+                <div class="summary-card ${status}">
+                    <div class="summary-value">${count}</div>
+                    <div>${this.STATUS_LABELS[status]}</div>
+                </div>
+            `).join('')}
+        `;
+    },
+
+    /**
+     * 進捗一覧のテーブルを描画（要確認 → 進行中 → 完了の順）
+     */
+    renderTable() {
+        const statusFilter = document.getElementById('statusFilter').value;
+        const order = Object.keys(this.STATUS_LABELS).reverse();
+        const entries = this.entries
+            .filter(entry => !statusFilter || entry.status === statusFilter)
+            .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+        const tbody = document.getElementById('progressTableBody');
+        tbody.innerHTML = '';
+
+        entries.forEach(entry => {
+            const row = tbody.insertRow();
+            const current = entry.answered_count !== null && entry.answered_count !== undefined
+                ? `回答 ${entry.answered_count} / ${entry.total_questions}`
+                : '-';
+
+            row.innerHTML = `
+                <td>${this.escapeHtml(entry.reviewer)}</td>
+                <td>${this.escapeHtml(entry.category)}</td>
+                <td>${current}</td>
+                <td>${entry.saved_count} / ${entry.total_questions}</td>
+                <td>${entry.missing_count}</td>
+                <td>${this.formatActivity(entry)}</td>
+                <td><span class="status-badge ${entry.status}">${this.STATUS_LABELS[entry.status]}</span></td>
+            `;
+        });
+    },
+
+    /**
+     * 最終更新日時（しばらく更新がない未完了の進捗は警告を付ける）
+     */
+    formatActivity(entry) {
+        if (!entry.last_activity_at) {
+            return '-';
+        }
+
+        const date = new Date(entry.last_activity_at);
+        const idleDays = Math.floor((Date.now() - date.getTime()) / (24 * 60 * 60 * 1000));
+        const text = date.toLocaleString('ja-JP');
+
+        if (entry.status !== 'completed' && idleDays >= this.IDLE_WARNING_DAYS) {
+            return `${text}<br><span class="idle-warning">${idleDays}日間更新なし</span>`;
+        }
+        return text;
+    },
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    showTokenForm() {
+        document.getElementById('token-section').style.display = 'block';
+        document.getElementById('summary-section').style.display = 'none';
+        document.getElementById('list-section').style.display = 'none';
+    },
+
+    showError(message) {
+        const container = document.getElementById('error-container');
+        container.innerHTML = `
+            <div class="error-message">
+                <strong>エラー:</strong> ${message}
+            </div>
+        `;
+        container.style.display = 'block';
+    },
+
+    hideError() {
+        document.getElementById('error-container').style.display = 'none';
+    }
+};
+
+// ページ読み込み時に初期化
+document.addEventListener('DOMContentLoaded', () => {
+    ProgressOverview.init();
+});
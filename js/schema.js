@@ -0,0 +1,133 @@
+/**
+ * スキーマ定義モジュール
+ * レビュー結果・進捗データの形式を定義し、検証する
+ *
+ * ブラウザ（StorageManager）とLambda（lambda/index.mjs）の両方で同じ定義を使います。
+ */
+
+const ReviewSchema = {
+    // レビュー結果（review.json の1件）
+    REVIEW_FIELDS: {
+        review_id:      { type: 'string', required: true, maxLength: 100 },
+        question_id:    { type: 'string', required: true, maxLength: 100 },
+        question_set:   { type: 'string', required: true, maxLength: 200 },
+        question_index: { type: 'integer', required: true, min: 0 },
+        keyword:        { type: 'string', required: false, maxLength: 200 },
+        category:       { type: 'string', required: true, maxLength: 200 },
+        question_text:  { type: 'string', required: true, maxLength: 2000 },
+        reviewer_name:  { type: 'string', required: true, maxLength: 100 },
+        answer:         { type: 'string', required: true, maxLength: 1000 },
+        correct_answer: { type: 'string', required: true, maxLength: 1000 },
+        is_correct:     { type: 'boolean', required: true },
+        timestamp:      { type: 'timestamp', required: true },
+        comment:        { type: 'string', required: false, maxLength: 2000 },
+        question_version: { type: 'string', required: false, maxLength: 64 }
+    },
+
+    // 進捗（progress.json の1件、形式は js/progress-state.js を参照）
+    PROGRESS_FIELDS: {
+        reviewerName:        { type: 'string', required: true, maxLength: 100 },
+        category:            { type: 'string', required: true, maxLength: 200 },
+        answeredQuestionIds: { type: 'stringArray', required: false, maxItems: 10000, maxLength: 100 },
+        cursor:              { type: 'string', required: false, maxLength: 100 },
+        questionIndex:       { type: 'integer', required: false, min: 0 } // 以前の形式（最後に回答した問題の位置）
+    },
+
+    /**
+     * レビュー結果を検証
+     * @param {Object} record - レビュー結果
+     * @returns {Array<{field: string, message: string}>} エラーの配列（問題なければ空）
+     */
+    validateReview(record) {
+        return this.validate(record, this.REVIEW_FIELDS);
+    },
+
+    /**
+     * 進捗を検証
+     * @param {Object} record - 進捗データ
+     * @returns {Array<{field: string, message: string}>} エラーの配列（問題なければ空）
+     */
+    validateProgress(record) {
+        const errors = this.validate(record, this.PROGRESS_FIELDS);
+        if (errors.length === 0 && record.answeredQuestionIds === undefined && record.questionIndex === undefined) {
+            errors.push({ field: 'answeredQuestionIds', message: 'Missing required field: answeredQuestionIds' });
+        }
+        return errors;
+    },
+
+    /**
+     * フィールド定義に従って検証
+     * @param {Object} record - 検証するデータ
+     * @param {Object} fields - フィールド定義
+     * @returns {Array<{field: string, message: string}>} エラーの配列
+     */
+    validate(record, fields) {
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            return [{ field: '', message: 'Request body must be a JSON object' }];
+        }
+
+        const errors = [];
+
+        Object.entries(fields).forEach(([field, rule]) => {
+            const value = record[field];
+
+            if (value === undefined || value === null) {
+                if (rule.required) {
+                    errors.push({ field, message: `Missing required field: ${field}` });
+                }
+                return;
+            }
+
+            switch (rule.type) {
+                case 'string':
+                    if (typeof value !== 'string') {
+                        errors.push({ field, message: `${field} must be a string` });
+                    } else if (rule.required && value.trim() === '') {
+                        errors.push({ field, message: `${field} must not be empty` });
+                    } else if (rule.maxLength && value.length > rule.maxLength) {
+                        errors.push({ field, message: `${field} must be at most ${rule.maxLength} characters` });
+                    }
+                    break;
+
+                case 'integer':
+                    if (typeof value !== 'number' || !Number.isInteger(value)) {
+                        errors.push({ field, message: `${field} must be an integer` });
+                    } else if (rule.min !== undefined && value < rule.min) {
+                        errors.push({ field, message: `${field} must be >= ${rule.min}` });
+                    }
+                    break;
+
+                case 'boolean':
+                    if (typeof value !== 'boolean') {
+                        errors.push({ field, message: `${field} must be a boolean` });
+                    }
+                    break;
+
+                case 'stringArray':
+                    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+                        errors.push({ field, message: `${field} must be an array of non-empty strings` });
+                    } else if (rule.maxItems && value.length > rule.maxItems) {
+                        errors.push({ field, message: `${field} must have at most ${rule.maxItems} items` });
+                    } else if (rule.maxLength && value.some(item => item.length > rule.maxLength)) {
+                        errors.push({ field, message: `${field} items must be at most ${rule.maxLength} characters` });
+                    }
+                    break;
+
+                case 'timestamp':
+                    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+                        errors.push({ field, message: `${field} must be an ISO 8601 timestamp` });
+                    }
+                    break;
+            }
+        });
+
+        return errors;
+    }
+};
+
+// ブラウザではグローバルに、Node.js（Lambda）ではモジュールとして公開
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewSchema;
+} else {
+    window.ReviewSchema = ReviewSchema;
+}
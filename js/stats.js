@@ -0,0 +1,325 @@
+/**
+ * 集計モジュール
+ * レビュー結果から作成者別・レビュアー別・問題別・カテゴリ別の正答率を計算
+ *
+ * 分析ページ（Analytics）とLambdaの /stats（lambda/stats.mjs）の両方で同じ計算を使います。
+ */
+
+const ReviewStats = {
+    /**
+     * すべての集計を計算
+     * @param {Array} reviews - レビュー結果
+     * @param {Array} questions - 問題データ（questions.json）
+     * @param {Object} options - オプション
+     * @param {Array<string>} [options.excludeReviewers] - 集計から除外するレビュアー名
+     * @returns {Object} { overall, byAuthor, byReviewer, byQuestion, byCategory, superseded, reviewers, reviewCount }
+     */
+    compute(reviews, questions, options = {}) {
+        const enrichedReviews = this.enrichReviews(reviews, questions, options.excludeReviewers || []);
+        const byReviewer = this.calculateByReviewer(enrichedReviews);
+
+        return {
+            overall: this.calculateOverall(byReviewer),
+            byAuthor: this.calculateByAuthor(enrichedReviews, questions),
+            byReviewer,
+            byQuestion: this.calculateByQuestion(enrichedReviews),
+            byCategory: this.calculateByCategory(enrichedReviews),
+            superseded: this.calculateSuperseded(enrichedReviews),
+            // レビュアーの一覧と進み具合（除外に関係なくすべてのレビュアー）
+            reviewers: this.calculateReviewerProgress(reviews),
+            reviewCount: enrichedReviews.length
+        };
+    },
+
+    /**
+     * 問題データにある問題だけに絞り、除外するレビュアーを取り除いて問題データを結合
+     * @param {Array} reviews - レビュー結果
+     * @param {Array} questions - 問題データ
+     * @param {Array<string>} excludeReviewers - 除外するレビュアー名
+     * @returns {Array} 問題データ（question）を付けたレビュー結果
+     */
+    enrichReviews(reviews, questions, excludeReviewers = []) {
+        const questionMap = new Map(questions.map(q => [q.questionID, q]));
+        const excluded = new Set(excludeReviewers);
+
+        return reviews
+            .filter(review => questionMap.has(this.getQuestionId(review)))
+            .filter(review => !excluded.has(this.getReviewerName(review)))
+            .map(review => ({
+                ...review,
+                question: questionMap.get(this.getQuestionId(review)) || {}
+            }));
+    },
+
+    /**
+     * 全体統計（レビュアーの平均正答率）
+     * @param {Object} byReviewer - calculateByReviewer の戻り値
+     */
+    calculateOverall(byReviewer) {
+        const reviewers = Object.keys(byReviewer);
+
+        if (reviewers.length === 0) {
+            return { accuracy: 0, reviewerCount: 0 };
+        }
+
+        // 各レビュアーの正答率を合計
+        const totalAccuracy = reviewers.reduce((sum, reviewer) => {
+            return sum + parseFloat(byReviewer[reviewer].accuracy);
+        }, 0);
+
+        return {
+            accuracy: (totalAccuracy / reviewers.length).toFixed(1),
+            reviewerCount: reviewers.length
+        };
+    },
+
+    /**
+     * authored_by別統計（作成者ごとに、レビュアーの正答率の平均）
+     * @param {Array} enrichedReviews - enrichReviews の戻り値
+     * @param {Array} questions - 問題データ
+     */
+    calculateByAuthor(enrichedReviews, questions) {
+        // 作成者×レビュアーごとにグループ化
+        const authorReviewerStats = {};
+        // 作成者ごとの問題数
+        const authorQuestionCounts = {};
+
+        enrichedReviews.forEach(review => {
+            const author = review.question.authored_by;
+            const reviewer = this.getReviewerName(review);
+
+            // Unknownまたはauthored_byがない場合はスキップ
+            if (!author || author === 'Unknown') {
+                return;
+            }
+
+            if (!authorReviewerStats[author]) {
+                authorReviewerStats[author] = {};
+            }
+            if (!authorReviewerStats[author][reviewer]) {
+                authorReviewerStats[author][reviewer] = { correct: 0, total: 0 };
+            }
+
+            authorReviewerStats[author][reviewer].total++;
+            if (this.isCorrect(review)) {
+                authorReviewerStats[author][reviewer].correct++;
+            }
+        });
+
+        questions.forEach(q => {
+            const author = q.authored_by;
+            if (author && author !== 'Unknown') {
+                authorQuestionCounts[author] = (authorQuestionCounts[author] || 0) + 1;
+            }
+        });
+
+        const stats = {};
+
+        Object.keys(authorReviewerStats).forEach(author => {
+            const reviewerStats = authorReviewerStats[author];
+            const reviewers = Object.keys(reviewerStats);
+
+            if (reviewers.length === 0) {
+                return;
+            }
+
+            // 各レビュアーの正答率の平均
+            const accuracies = reviewers.map(reviewer => {
+                const s = reviewerStats[reviewer];
+                return s.total > 0 ? (s.correct / s.total) * 100 : 0;
+            });
+            const avgAccuracy = accuracies.reduce((sum, acc) => sum + acc, 0) / accuracies.length;
+
+            stats[author] = {
+                questionCount: authorQuestionCounts[author] || 0,
+                accuracy: avgAccuracy.toFixed(1),
+                reviewerCount: reviewers.length
+            };
+        });
+
+        return stats;
+    },
+
+    /**
+     * reviewer別統計（同じ問題は最初の回答のみ数える）
+     * @param {Array} enrichedReviews - enrichReviews の戻り値
+     */
+    calculateByReviewer(enrichedReviews) {
+        const stats = {};
+        const answered = {};
+
+        enrichedReviews.forEach(review => {
+            const reviewer = this.getReviewerName(review);
+            const questionId = this.getQuestionId(review);
+
+            if (!stats[reviewer]) {
+                stats[reviewer] = { correct: 0, total: 0 };
+                answered[reviewer] = new Set();
+            }
+
+            if (!answered[reviewer].has(questionId)) {
+                answered[reviewer].add(questionId);
+                stats[reviewer].total++;
+                if (this.isCorrect(review)) {
+                    stats[reviewer].correct++;
+                }
+            }
+        });
+
+        Object.values(stats).forEach(s => {
+            s.accuracy = s.total > 0 ? ((s.correct / s.total) * 100).toFixed(1) : 0;
+        });
+
+        return stats;
+    },
+
+    /**
+     * 問題別統計（正答率の低い順）
+     * @param {Array} enrichedReviews - enrichReviews の戻り値
+     */
+    calculateByQuestion(enrichedReviews) {
+        const stats = {};
+
+        enrichedReviews.forEach(review => {
+            const questionId = this.getQuestionId(review);
+
+            if (!stats[questionId]) {
+                stats[questionId] = {
+                    questionId,
+                    question: review.question,
+                    correct: 0,
+                    total: 0
+                };
+            }
+
+            stats[questionId].total++;
+            if (this.isCorrect(review)) {
+                stats[questionId].correct++;
+            }
+        });
+
+        const statsList = Object.values(stats);
+        statsList.forEach(s => {
+            s.accuracy = s.total > 0 ? ((s.correct / s.total) * 100).toFixed(1) : 0;
+        });
+
+        // 正答率の低い順（難しい問題順）
+        statsList.sort((a, b) => parseFloat(a.accuracy) - parseFloat(b.accuracy));
+
+        return statsList;
+    },
+
+    /**
+     * カテゴリ別統計
+     * @param {Array} enrichedReviews - enrichReviews の戻り値
+     */
+    calculateByCategory(enrichedReviews) {
+        const stats = {};
+
+        enrichedReviews.forEach(review => {
+            const category = review.question.category || review.category || 'Unknown';
+
+            if (!stats[category]) {
+                stats[category] = { correct: 0, total: 0 };
+            }
+
+            stats[category].total++;
+            if (this.isCorrect(review)) {
+                stats[category].correct++;
+            }
+        });
+
+        Object.values(stats).forEach(s => {
+            s.accuracy = s.total > 0 ? ((s.correct / s.total) * 100).toFixed(1) : 0;
+        });
+
+        return stats;
+    },
+
+    /**
+     * 問題が変更される前の版に対するレビュー
+     * レビューの question_version と現在の問題の version が異なるものを問題ごとにまとめます
+     * （どちらかがない古いデータは判定しません）
+     * @param {Array} enrichedReviews - enrichReviews の戻り値
+     * @returns {Object} { count, byQuestion: [{ questionId, question, currentVersion, count, reviewers }] }
+     */
+    calculateSuperseded(enrichedReviews) {
+        const stats = {};
+        let count = 0;
+
+        enrichedReviews.forEach(review => {
+            const currentVersion = review.question.version;
+            if (!review.question_version || !currentVersion || review.question_version === currentVersion) {
+                return;
+            }
+
+            const questionId = this.getQuestionId(review);
+            if (!stats[questionId]) {
+                stats[questionId] = {
+                    questionId,
+                    question: review.question,
+                    currentVersion,
+                    count: 0,
+                    reviewers: []
+                };
+            }
+
+            stats[questionId].count++;
+            stats[questionId].reviewers.push(this.getReviewerName(review));
+            count++;
+        });
+
+        return {
+            count,
+            byQuestion: Object.values(stats).sort((a, b) => b.count - a.count)
+        };
+    },
+
+    /**
+     * レビュアーごとの保存済み問題数と到達した問題インデックス
+     * @param {Array} reviews - レビュー結果
+     * @returns {Object} { [reviewer]: { savedCount, maxQuestionIndex } }
+     */
+    calculateReviewerProgress(reviews) {
+        const indexes = {};
+
+        reviews.forEach(review => {
+            const reviewer = this.getReviewerName(review);
+            const questionIndex = review.question_index !== undefined ? review.question_index : review.questionIndex;
+
+            if (!indexes[reviewer]) {
+                indexes[reviewer] = new Set();
+            }
+            indexes[reviewer].add(questionIndex);
+        });
+
+        const progress = {};
+        Object.entries(indexes).forEach(([reviewer, set]) => {
+            progress[reviewer] = {
+                savedCount: set.size,
+                maxQuestionIndex: Math.max(...set)
+            };
+        });
+
+        return progress;
+    },
+
+    getReviewerName(review) {
+        return review.reviewer_name || review.reviewerName || 'Unknown';
+    },
+
+    getQuestionId(review) {
+        return review.question_id || review.questionId;
+    },
+
+    isCorrect(review) {
+        return Boolean(review.is_correct || review.isCorrect);
+    }
+};
+
+// ブラウザではグローバルに、Node.js（Lambda）ではモジュールとして公開
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewStats;
+} else {
+    window.ReviewStats = ReviewStats;
+}
@@ -4,15 +4,148 @@
  */
 
 const StorageManager = {
-    STORAGE_KEY: 'review_results',
+    STORAGE_KEY: 'review_results', // 以前のlocalStorageのキー（IndexedDBに移行する）
     PROGRESS_KEY: 'review_progress',
+    AUTH_TOKEN_KEY: 'reviewer_token',
+    QUESTIONS_PATH: 'quiz/questions.json', // APIが使えない場合に読み込む問題データ
+    API_PAGE_SIZE: 1000, // GET /review の1ページあたりの件数
+    API_BATCH_SIZE: 500, // POST /review/batch の1リクエストあたりの件数
+    OUTBOX_KEY: 'upload_outbox', // サーバーに未送信のレビュー・進捗
+    OUTBOX_RETRY_BASE_MS: 5000, // 未送信データの再送間隔（失敗するたびに2倍）
+    OUTBOX_RETRY_MAX_MS: 10 * 60 * 1000, // 再送間隔の上限
+    REJECTED_UPLOADS_KEY: 'upload_rejected', // サーバーが受け付けなかった送信待ち（理由付き）
+    MAX_REJECTED_UPLOADS: 100, // 残しておく件数
+    STORAGE_WARNING_RATIO: 0.9, // 保存容量の使用率がこれを超えたら警告
+    SYNC_FIELDS: ['answer', 'comment', 'is_correct', 'correct_answer', 'question_version'], // 同期で比較するフィールド
+    outboxTimer: null,
+    outboxFlushing: null,
+    results: null, // レビュー結果（init で IndexedDB から読み込む）
+    initializing: null,
+    useIndexedDB: false, // IndexedDB が使えない場合は以前と同じく localStorage に保存
+    storageWarned: null, // 最後に表示した保存容量の警告
     s3: null, // S3クライアント（初期化後に設定）
 
+    /**
+     * 初期化（レビュー結果を IndexedDB から読み込む）
+     * localStorage に以前の形式（review_results）のデータがあれば、初回だけ IndexedDB に移行します
+     * レビュー結果を読み書きするページは、最初にこれを呼んでください（複数回呼んでも読み込みは1回だけ）
+     * @returns {Promise<void>}
+     */
+    init() {
+        if (!this.initializing) {
+            this.initializing = this.loadResults();
+        }
+        return this.initializing;
+    },
+
+    /**
+     * レビュー結果を IndexedDB から読み込む（init から呼ぶ）
+     */
+    async loadResults() {
+        const legacyResults = this.readLegacyResults();
+
+        try {
+            await LocalDB.open();
+
+            if (legacyResults.length > 0) {
+                await LocalDB.put(LocalDB.RESULTS_STORE, legacyResults);
+                localStorage.removeItem(this.STORAGE_KEY);
+                console.log(`localStorageのレビュー結果をIndexedDBに移行しました: ${legacyResults.length}件`);
+            }
+
+            this.results = await LocalDB.getAll(LocalDB.RESULTS_STORE);
+            this.useIndexedDB = true;
+
+        } catch (error) {
+            console.warn('IndexedDBが使えないため、localStorageに保存します:', error);
+            this.results = legacyResults;
+            this.useIndexedDB = false;
+        }
+
+        this.checkStorageQuota();
+    },
+
+    /**
+     * 以前の形式（localStorage の review_results）のレビュー結果を読み込む
+     * @returns {Array}
+     */
+    readLegacyResults() {
+        try {
+            const data = localStorage.getItem(this.STORAGE_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('読み込みエラー:', error);
+            return [];
+        }
+    },
+
+    /**
+     * レビュー結果を1件保存（IndexedDB、使えない場合は localStorage）
+     * 容量が不足している場合はエラーにせず、レビュアーに警告します（このページを開いている間は結果を保持し、サーバーには送信される）
+     * @param {Object} record - レビュー結果
+     */
+    async persistResult(record) {
+        try {
+            if (this.useIndexedDB) {
+                await LocalDB.put(LocalDB.RESULTS_STORE, record);
+            } else {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.results));
+            }
+        } catch (error) {
+            if (!LocalDB.isQuotaError(error)) {
+                throw error;
+            }
+            this.warnStorage(
+                'ブラウザの保存容量が不足しているため、回答をこのブラウザに保存できませんでした。' +
+                '回答はサーバーに送信されます。ブラウザの設定から不要なサイトデータを削除してください。'
+            );
+            return;
+        }
+
+        this.checkStorageQuota();
+    },
+
+    /**
+     * 保存容量の使用率を確認し、残りが少なければ警告
+     */
+    async checkStorageQuota() {
+        if (this.storageWarned || typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return;
+        }
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            if (quota && usage / quota >= this.STORAGE_WARNING_RATIO) {
+                this.warnStorage(
+                    `ブラウザの保存容量が残り少なくなっています（使用率 ${Math.round(usage / quota * 100)}%）。` +
+                    'ブラウザの設定から不要なサイトデータを削除してください。'
+                );
+            }
+        } catch (error) {
+            console.warn('保存容量の確認に失敗しました:', error);
+        }
+    },
+
+    /**
+     * 保存容量についてレビュアーに警告（同じ警告はページごとに1回）
+     * window の 'storage-warning' イベント（detail.message）で通知します
+     * @param {string} message - 警告メッセージ
+     */
+    warnStorage(message) {
+        console.warn(message);
+        if (this.storageWarned === message) {
+            return;
+        }
+        this.storageWarned = message;
+        window.dispatchEvent(new CustomEvent('storage-warning', { detail: { message } }));
+    },
+
     /**
      * レビュー結果を保存
      * @param {Object} result - レビュー結果
+     * @returns {Promise<string>} レビューID
      */
-    saveResult(result) {
+    async saveResult(result) {
         try {
             const results = this.getAllResults();
 
@@ -35,44 +168,78 @@ const StorageManager = {
                 comment: result.comment || ''
             };
 
-            results.push(reviewResult);
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(results));
+            // 回答した問題の版（APIから問題を読み込んだ場合のみ）
+            if (result.questionVersion) {
+                reviewResult.question_version = result.questionVersion;
+            }
+
+            // 送信前にサーバーと同じスキーマで検証
+            const errors = ReviewSchema.validateReview(reviewResult);
+            if (errors.length > 0) {
+                const validationError = new Error(`レビュー結果の形式が不正です: ${this.formatValidationErrors(errors)}`);
+                validationError.name = 'ValidationError';
+                validationError.errors = errors;
+                throw validationError;
+            }
+
+            this.results = [...results, reviewResult];
+            await this.persistResult(reviewResult);
 
             console.log('レビュー結果を保存しました:', reviewId);
             return reviewId;
         } catch (error) {
             console.error('保存エラー:', error);
+            if (error.name === 'ValidationError') {
+                throw error;
+            }
             throw new Error('レビュー結果の保存に失敗しました');
         }
     },
 
+    /**
+     * 送信ごとの冪等キーを生成（同じ送信の再試行には同じキーを使う）
+     * @param {string} reviewId - レビューID
+     * @returns {string} 冪等キー
+     */
+    generateIdempotencyKey(reviewId) {
+        return `${reviewId}_${Date.now()}_${this.generateRandomString(8)}`;
+    },
+
+    /**
+     * スキーマ検証エラーを表示用の文字列にする
+     * @param {Array<{field: string, message: string}>} errors - ReviewSchema の検証結果
+     * @returns {string}
+     */
+    formatValidationErrors(errors) {
+        return errors.map(e => e.message).join('; ');
+    },
+
     /**
      * すべてのレビュー結果を取得
      * @returns {Array} レビュー結果の配列
      */
     getAllResults() {
-        try {
-            const data = localStorage.getItem(this.STORAGE_KEY);
-            return data ? JSON.parse(data) : [];
-        } catch (error) {
-            console.error('読み込みエラー:', error);
-            return [];
+        if (!this.results) {
+            // init の前（以前の形式のデータだけを読む）
+            return this.readLegacyResults();
         }
+        return [...this.results];
     },
 
     /**
      * 特定のレビューのコメントを更新
      * @param {string} reviewId - レビューID
      * @param {string} comment - コメント
+     * @returns {Promise<boolean>} 更新したかどうか
      */
-    updateComment(reviewId, comment) {
+    async updateComment(reviewId, comment) {
         try {
-            const results = this.getAllResults();
-            const index = results.findIndex(r => r.review_id === reviewId);
+            const index = this.getAllResults().findIndex(r => r.review_id === reviewId);
 
             if (index !== -1) {
-                results[index].comment = comment;
-                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(results));
+                const updated = { ...this.results[index], comment };
+                this.results[index] = updated;
+                await this.persistResult(updated);
                 console.log('コメントを更新しました:', reviewId);
                 return true;
             } else {
@@ -113,6 +280,33 @@ const StorageManager = {
         return filtered;
     },
 
+    /**
+     * 条件に合うレビュー結果を IndexedDB のインデックスで検索
+     * IndexedDB が使えない場合は filterResults と同じです
+     * @param {Object} filters - フィルター条件（filterResults を参照）
+     * @returns {Promise<Array>} 条件に合う結果
+     */
+    async queryResults(filters = {}) {
+        if (!this.useIndexedDB || (!filters.reviewerName && !filters.category)) {
+            return this.filterResults(filters);
+        }
+
+        const [indexName, query] = filters.reviewerName && filters.category
+            ? ['reviewer_category', [filters.reviewerName, filters.category]]
+            : filters.reviewerName ? ['reviewer_name', filters.reviewerName] : ['category', filters.category];
+
+        let results = await LocalDB.getAllByIndex(LocalDB.RESULTS_STORE, indexName, query);
+
+        if (filters.questionSet) {
+            results = results.filter(r => r.question_set === filters.questionSet);
+        }
+        if (filters.isCorrect !== undefined) {
+            results = results.filter(r => r.is_correct === filters.isCorrect);
+        }
+
+        return results;
+    },
+
     /**
      * 統計情報を取得
      * @returns {Object} 統計情報
@@ -245,27 +439,24 @@ const StorageManager = {
             'コメント'
         ];
 
-        // CSVデータ
+        // CSVデータ（エスケープは分析ページ・/export と共通の ReviewExport.escapeCSV）
         const rows = results.map(r => [
             r.review_id,
             r.question_id,
             r.question_set,
             r.question_index,
-            r.keyword,
+            r.keyword || '',
             r.category,
-            `"${r.question_text.replace(/"/g, '""')}"`,
+            r.question_text,
             r.reviewer_name,
-            `"${r.answer.replace(/"/g, '""')}"`,
-            `"${r.correct_answer.replace(/"/g, '""')}"`,
+            r.answer,
+            r.correct_answer,
             r.is_correct ? '正解' : '不正解',
             r.timestamp,
-            r.comment ? `"${r.comment.replace(/"/g, '""')}"` : ''
+            r.comment || ''
         ]);
 
-        const csvContent = [
-            headers.join(','),
-            ...rows.map(row => row.join(','))
-        ].join('\r\n');
+        const csvContent = ReviewExport.toCSV([headers, ...rows], '\r\n');
 
         // BOM付きUTF-8でエンコード（Excel対応）
         const bom = '\uFEFF';
@@ -279,8 +470,9 @@ const StorageManager = {
     /**
      * すべてのデータを削除
      * @param {boolean} confirm - 確認ダイアログをスキップ
+     * @returns {Promise<boolean>} 削除したかどうか
      */
-    clearAll(confirm = true) {
+    async clearAll(confirm = true) {
         if (confirm) {
             const userConfirm = window.confirm('すべてのレビュー結果を削除してもよろしいですか？この操作は取り消せません。');
             if (!userConfirm) {
@@ -289,6 +481,11 @@ const StorageManager = {
         }
 
         localStorage.removeItem(this.STORAGE_KEY);
+        if (this.useIndexedDB) {
+            await LocalDB.clear(LocalDB.RESULTS_STORE);
+        }
+        this.results = [];
+        this.storageWarned = null;
         console.log('すべてのデータを削除しました');
         return true;
     },
@@ -343,9 +540,13 @@ const StorageManager = {
      * 進捗を保存（API + localStorage）
      * @param {string} reviewerName - レビュアー名
      * @param {string} category - カテゴリ
-     * @param {number} questionIndex - 現在の問題インデックス
+     * @param {Object} state - 進捗（形式は js/progress-state.js を参照）
+     * @param {Array<string>} state.answeredQuestionIds - 回答済みの問題ID
+     * @param {string|null} state.cursor - 最後に回答した問題ID
+     * @param {Object} [options] - オプション
+     * @param {boolean} [options.replace] - サーバーの進捗とまとめずに置き換える（resetProgress を参照）
      */
-    async saveProgress(reviewerName, category, questionIndex) {
+    async saveProgress(reviewerName, category, { answeredQuestionIds, cursor }, options = {}) {
         try {
             // localStorageに保存（フォールバック）
             const progressData = this.getAllProgress();
@@ -353,21 +554,33 @@ const StorageManager = {
             progressData[key] = {
                 reviewerName,
                 category,
-                questionIndex,
+                answeredQuestionIds,
+                cursor,
                 timestamp: new Date().toISOString()
             };
             localStorage.setItem(this.PROGRESS_KEY, JSON.stringify(progressData));
-            console.log('進捗をlocalStorageに保存しました:', key, questionIndex);
+            console.log('進捗をlocalStorageに保存しました:', key, cursor);
 
-            // APIに保存を試みる
-            if (typeof AWS_CONFIG !== 'undefined' && AWS_CONFIG.apiEndpoint && AWS_CONFIG.enableS3Upload) {
-                await this.saveProgressToAPI(reviewerName, category, questionIndex);
+            // 送信待ちに追加してAPIに保存を試みる（失敗した場合はバックグラウンドで再送）
+            if (this.isApiEnabled()) {
+                this.enqueueProgress({ reviewerName, category, answeredQuestionIds, cursor, ...(options.replace ? { replace: true } : {}) });
+                await this.flushOutbox();
             }
         } catch (error) {
             console.error('進捗保存エラー:', error);
         }
     },
 
+    /**
+     * 進捗を初期化（最初からやり直す場合）
+     * サーバーは回答済みの問題を保存済みの進捗とまとめるため、replace を指定して置き換えます
+     * @param {string} reviewerName - レビュアー名
+     * @param {string} category - カテゴリ
+     */
+    async resetProgress(reviewerName, category) {
+        await this.saveProgress(reviewerName, category, { answeredQuestionIds: [], cursor: null }, { replace: true });
+    },
+
     /**
      * 進捗を取得（API優先、localStorageフォールバック）
      * @param {string} reviewerName - レビュアー名
@@ -424,6 +637,8 @@ const StorageManager = {
             const key = `${reviewerName}__${category}`;
             delete progressData[key];
             localStorage.setItem(this.PROGRESS_KEY, JSON.stringify(progressData));
+            // 送信待ちの進捗も不要になる
+            this.removeFromOutbox(`progress:${key}`);
             console.log('進捗を削除しました:', key);
         } catch (error) {
             console.error('進捗削除エラー:', error);
@@ -431,31 +646,29 @@ const StorageManager = {
     },
 
     /**
-     * 進捗をAPIに保存
-     * @param {string} reviewerName - レビュアー名
-     * @param {string} category - カテゴリ
-     * @param {number} questionIndex - 現在の問題インデックス
+     * 進捗をAPIに保存（サーバーは保存済みの進捗と回答済みの問題をまとめる。replace の場合は置き換える）
+     * @param {Object} progress - { reviewerName, category, answeredQuestionIds, cursor, replace }
      * @returns {Promise<boolean>} 成功したかどうか
      */
-    async saveProgressToAPI(reviewerName, category, questionIndex) {
+    async saveProgressToAPI(progress) {
         try {
-            const progressEndpoint = AWS_CONFIG.apiEndpoint.replace('/review', '/progress');
+            const progressEndpoint = this.getApiUrl('/progress');
+
+            const errors = ReviewSchema.validateProgress(progress);
+            if (errors.length > 0) {
+                const validationError = new Error(`進捗の形式が不正です: ${this.formatValidationErrors(errors)}`);
+                validationError.name = 'ValidationError';
+                throw validationError;
+            }
 
             const response = await fetch(progressEndpoint, {
                 method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    reviewerName,
-                    category,
-                    questionIndex
-                })
+                headers: this.getApiHeaders(),
+                body: JSON.stringify(progress)
             });
 
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+                throw await this.createApiError(response);
             }
 
             const result = await response.json();
@@ -464,6 +677,10 @@ const StorageManager = {
 
         } catch (error) {
             console.error('進捗API保存エラー:', error);
+            // 再送しても保存されないエラー・認証や設定の誤り・リクエスト数の制限は呼び出し元（送信待ち）で扱う
+            if (this.isPermanentError(error) || this.isAuthOrConfigError(error) || this.isBlockedError(error)) {
+                throw error;
+            }
             return false;
         }
     },
@@ -476,14 +693,12 @@ const StorageManager = {
      */
     async getProgressFromAPI(reviewerName, category) {
         try {
-            const progressEndpoint = AWS_CONFIG.apiEndpoint.replace('/review', '/progress');
+            const progressEndpoint = this.getApiUrl('/progress');
             const url = `${progressEndpoint}?reviewer=${encodeURIComponent(reviewerName)}&category=${encodeURIComponent(category)}`;
 
             const response = await fetch(url, {
                 method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                }
+                headers: this.getApiHeaders()
             });
 
             if (!response.ok) {
@@ -499,12 +714,172 @@ const StorageManager = {
         }
     },
 
+    /**
+     * APIのURLを取得
+     * AWS_CONFIG.apiEndpoint（…/review）の末尾を別のルートに置き換えます
+     * @param {string} route - ルート（例: '/progress'）
+     * @returns {string} URL
+     */
+    getApiUrl(route) {
+        return AWS_CONFIG.apiEndpoint.replace(/\/review$/, route);
+    },
+
+    /**
+     * APIリクエスト用のヘッダーを取得（トークン・データセットIDがあれば自動で付与）
+     * @returns {Object} ヘッダー
+     */
+    getApiHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+        };
+
+        const token = this.getAuthToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        if (typeof AWS_CONFIG !== 'undefined' && AWS_CONFIG.datasetId) {
+            headers['X-Dataset-Id'] = AWS_CONFIG.datasetId;
+        }
+
+        return headers;
+    },
+
+    /**
+     * APIのエラーレスポンスからエラーを作成
+     * アクセス拒否（403）・リクエスト数の制限（429）は、レビュアーに表示できるメッセージにします
+     * @param {Response} response - fetch のレスポンス
+     * @returns {Promise<Error>} name が 'ApiError' のエラー（status にステータスコード、data にレスポンスの本文）
+     */
+    async createApiError(response) {
+        let errorData = {};
+        try {
+            errorData = await response.json();
+        } catch (e) {
+            // 本文がJSONでない場合（API Gatewayのエラーなど）
+        }
+
+        let message = errorData.message || `HTTP error! status: ${response.status}`;
+        if (response.status === 429) {
+            const retryAfter = Number(response.headers.get('Retry-After')) || errorData.retry_after || 60;
+            message = `送信回数が多すぎるため、一時的に制限されています。${retryAfter}秒ほど待ってからもう一度お試しください`;
+        } else if (response.status === 403) {
+            message = `サーバーへのアクセスが許可されていません（${errorData.message || 'Forbidden'}）`;
+        }
+
+        const error = new Error(message);
+        error.name = 'ApiError';
+        error.status = response.status;
+        error.data = errorData;
+        return error;
+    },
+
+    /**
+     * アクセス拒否（403）・リクエスト数の制限（429）によるエラーかどうか
+     * @param {Error} error - エラー
+     * @returns {boolean}
+     */
+    isBlockedError(error) {
+        return error.name === 'ApiError' && (error.status === 403 || error.status === 429);
+    },
+
+    /**
+     * 再送しても保存されないエラーかどうか
+     * 送信前の検証エラーと、408（タイムアウト）・429（リクエスト数の制限）・認証や設定の誤り（isAuthOrConfigError）以外の4xx
+     * （検証エラー・未知の問題・削除済みのレビュー・別の回答が保存済みなど）
+     * @param {Error} error - エラー
+     * @returns {boolean}
+     */
+    isPermanentError(error) {
+        if (error.name === 'ValidationError') {
+            return true;
+        }
+        return error.name === 'ApiError' && error.status >= 400 && error.status < 500
+            && error.status !== 408 && error.status !== 429 && !this.isAuthOrConfigError(error);
+    },
+
+    /**
+     * 認証・設定の誤りによるエラーかどうか
+     * 401（トークンの期限切れ・失効）・403（アクセス拒否）・404（データセット・エンドポイントの誤り）は、
+     * トークンや設定を直せば保存できるため、送信待ちに残して一時停止します（pauseOutboxEntry を参照）
+     * @param {Error} error - エラー
+     * @returns {boolean}
+     */
+    isAuthOrConfigError(error) {
+        return error.name === 'ApiError' && [401, 403, 404].includes(error.status);
+    },
+
+    /**
+     * レビュアートークンを取得
+     * @returns {string|null} トークン
+     */
+    getAuthToken() {
+        return localStorage.getItem(this.AUTH_TOKEN_KEY);
+    },
+
+    /**
+     * レビュアートークンを保存（招待リンクの ?token= から）
+     * @param {string} token - トークン
+     */
+    setAuthToken(token) {
+        localStorage.setItem(this.AUTH_TOKEN_KEY, token);
+        // 古いトークンで一時停止していた送信待ちを再送する
+        this.scheduleOutboxFlush();
+    },
+
+    /**
+     * レビュアートークンを削除
+     */
+    clearAuthToken() {
+        localStorage.removeItem(this.AUTH_TOKEN_KEY);
+    },
+
+    /**
+     * トークンに対応するレビュアー名をAPIから取得
+     * @returns {Promise<string|null>} レビュアー名（トークンがない・無効な場合はnull）
+     */
+    async getCurrentReviewerFromAPI() {
+        if (!this.getAuthToken() || typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.apiEndpoint) {
+            return null;
+        }
+
+        try {
+            const response = await fetch(this.getApiUrl('/me'), {
+                method: 'GET',
+                headers: this.getApiHeaders()
+            });
+
+            if (response.status === 401) {
+                // 無効・失効したトークンは削除する
+                console.warn('レビュアートークンが無効です');
+                this.clearAuthToken();
+                return null;
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            return result.success ? result.reviewerName : null;
+
+        } catch (error) {
+            console.error('レビュアー情報取得エラー:', error);
+            return null;
+        }
+    },
+
     /**
      * レビュー結果をAPIに送信（1問ごと）
      * @param {Object} reviewData - レビューデータ
+     * @param {Object} [options] - オプション
+     * @param {string} [options.idempotencyKey] - 冪等キー（再送時に同じキーを使うと最初の結果が返る）
+     * @param {boolean} [options.reanswer] - 同じ問題の保存済みの回答を置き換えるか
      * @returns {Promise<boolean>} 成功したかどうか
+     * @throws {Error} 同じ問題に別の回答が保存済みの場合は AnswerConflictError（existingAnswer に保存済みの回答）、
+     *                 アクセス拒否（403）・リクエスト数の制限（429）の場合は ApiError
      */
-    async saveReviewToAPI(reviewData) {
+    async saveReviewToAPI(reviewData, options = {}) {
         // AWS_CONFIGが定義されていない、またはS3アップロードが無効の場合
         if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.enableS3Upload) {
             console.log('API保存機能は無効です（localStorageのみ使用）');
@@ -517,25 +892,59 @@ const StorageManager = {
             return false;
         }
 
+        // サーバーと同じスキーマで検証（不正なデータは送信しない）
+        const errors = ReviewSchema.validateReview(reviewData);
+        if (errors.length > 0) {
+            console.error('レビューデータの形式が不正なため送信しません:', errors);
+            const validationError = new Error(`レビューデータの形式が不正です: ${this.formatValidationErrors(errors)}`);
+            validationError.name = 'ValidationError';
+            throw validationError;
+        }
+
         try {
+            const headers = this.getApiHeaders();
+            if (options.idempotencyKey) {
+                headers['Idempotency-Key'] = options.idempotencyKey;
+            }
+
             const response = await fetch(AWS_CONFIG.apiEndpoint, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(reviewData)
+                headers,
+                body: JSON.stringify(options.reanswer ? { ...reviewData, reanswer: true } : reviewData)
             });
 
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+                const apiError = await this.createApiError(response);
+                const errorData = apiError.data;
+                if (errorData.errors) {
+                    console.error('サーバーでの検証エラー:', errorData.errors);
+                }
+                if (response.status === 409 && errorData.error === 'Answer conflict') {
+                    const conflictError = new Error(errorData.message);
+                    conflictError.name = 'AnswerConflictError';
+                    conflictError.existingAnswer = errorData.existing_answer;
+                    conflictError.existingReviewId = errorData.existing_review_id;
+                    throw conflictError;
+                }
+                throw apiError;
             }
 
             const result = await response.json();
             console.log('APIに保存成功:', result);
+            if (result.status === 'duplicate') {
+                console.log('同じ回答が保存済みのため、保存済みのレビューに反映しました:', result.review_id);
+            }
+            if (result.grading_mismatch) {
+                // 手元の questions.json がサーバーの問題バンクと異なる可能性がある
+                console.warn('サーバーの正誤判定がブラウザの判定と異なります:', result.review_id, result.is_correct);
+            }
             return true;
 
         } catch (error) {
+            // 別の回答が保存済み・再送しても保存されないエラー・認証や設定の誤り・リクエスト数の制限は呼び出し元でレビュアーに知らせる
+            if (error.name === 'AnswerConflictError' || this.isPermanentError(error) || this.isAuthOrConfigError(error) || this.isBlockedError(error)) {
+                throw error;
+            }
             console.error('API保存エラー:', error);
             // エラーでもlocalStorageには保存されているので、falseを返すだけ
             return false;
@@ -543,83 +952,1024 @@ const StorageManager = {
     },
 
     /**
-     * S3からレビューデータを取得
-     * @returns {Promise<Array>} レビューデータの配列
+     * レビュー結果をAPIにまとめて送信（POST /review/batch）
+     * review_id ごとに追加・更新されるため、送信済みのレビューを含めて再送しても問題ありません
+     * @param {Array} reviews - レビューデータの配列
+     * @returns {Promise<Object|null>} { created, updated, unchanged, duplicate, reanswered, conflict, deleted, forbidden, invalid, results }（送信できなかった場合はnull）
      */
-    async getReviewsFromAPI() {
-        // AWS_CONFIGが定義されていない、またはS3アップロードが無効の場合
-        if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.enableS3Upload) {
-            console.log('API取得機能は無効です');
-            return [];
+    async saveReviewsBatchToAPI(reviews) {
+        if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.enableS3Upload || !AWS_CONFIG.apiEndpoint) {
+            return null;
         }
 
-        // APIエンドポイントが設定されているか確認
-        if (!AWS_CONFIG.apiEndpoint) {
-            console.warn('APIエンドポイントが設定されていません');
-            return [];
-        }
+        const summary = { created: 0, updated: 0, unchanged: 0, duplicate: 0, reanswered: 0, conflict: 0, deleted: 0, forbidden: 0, invalid: 0, results: [] };
 
         try {
-            const response = await fetch(AWS_CONFIG.apiEndpoint, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
+            for (let start = 0; start < reviews.length; start += this.API_BATCH_SIZE) {
+                const chunk = reviews.slice(start, start + this.API_BATCH_SIZE);
+
+                const response = await fetch(this.getApiUrl('/review/batch'), {
+                    method: 'POST',
+                    headers: this.getApiHeaders(),
+                    body: JSON.stringify({ reviews: chunk })
+                });
+
+                if (!response.ok) {
+                    throw await this.createApiError(response);
                 }
-            });
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const result = await response.json();
+                ['created', 'updated', 'unchanged', 'duplicate', 'reanswered', 'conflict', 'deleted', 'forbidden', 'invalid'].forEach(status => {
+                    summary[status] += result[status] || 0;
+                });
+                summary.results.push(...result.results.map(r => ({ ...r, index: start + r.index })));
             }
 
-            const result = await response.json();
-            console.log('S3からレビューデータを取得:', result);
-            return result.success && result.reviews ? result.reviews : [];
+            console.log(`APIにまとめて保存: 追加${summary.created}件 / 更新${summary.updated}件 / 変更なし${summary.unchanged}件 / 重複${summary.duplicate}件 / 別の回答あり${summary.conflict}件 / 削除済み${summary.deleted}件 / 他のレビュアー${summary.forbidden}件 / 不正${summary.invalid}件`);
+            if (summary.invalid > 0) {
+                console.warn('保存できなかったレビュー:', summary.results.filter(r => r.status === 'invalid'));
+            }
+            if (summary.forbidden > 0) {
+                console.warn('他のレビュアーのレビューのため保存しなかったレビュー:', summary.results.filter(r => r.status === 'forbidden'));
+            }
+            if (summary.conflict > 0) {
+                // 同じ問題に別の回答が保存済み（置き換える場合は1件ずつ reanswer を指定して送信する）
+                console.warn('別の回答が保存済みのため保存しなかったレビュー:', summary.results.filter(r => r.status === 'conflict'));
+            }
+            return summary;
 
         } catch (error) {
-            console.error('S3レビューデータ取得エラー:', error);
-            return [];
+            console.error('API一括保存エラー:', error);
+            return null;
         }
     },
 
     /**
-     * 特定のレビュアー・カテゴリでS3に保存されていない問題を特定
-     * @param {string} reviewerName - レビュアー名
-     * @param {string} category - カテゴリ
-     * @param {Array} allQuestions - 全問題の配列
-     * @returns {Promise<Array>} 未保存の問題インデックスの配列
+     * localStorageのレビュー結果をAPIに再送
+     * 1問ごとの送信に失敗した回答も、解き直さずにサーバーへ保存できます
+     * @param {Object} filters - 再送するレビューの条件（filterResults を参照）
+     * @returns {Promise<Object|null>} saveReviewsBatchToAPI の結果
      */
-    async getMissingQuestions(reviewerName, category, allQuestions) {
-        try {
-            // S3からレビューデータを取得
-            const s3Reviews = await this.getReviewsFromAPI();
-
-            // 該当レビュアー・カテゴリのレビューをフィルタリング
-            const relevantReviews = s3Reviews.filter(r =>
-                r.reviewer_name === reviewerName && r.category === category
-            );
-
-            console.log(`${reviewerName}の${category}カテゴリ: S3に${relevantReviews.length}問保存済み`);
-
-            // S3に保存されている問題インデックスのセット
-            const savedIndexes = new Set(relevantReviews.map(r => r.question_index));
+    async flushResultsToAPI(filters = {}) {
+        await this.init();
+        const results = await this.queryResults(filters);
+        if (results.length === 0) {
+            return null;
+        }
 
-            // 全問題のインデックスから、保存されていないものを抽出
-            const missingIndexes = [];
-            for (let i = 0; i < allQuestions.length; i++) {
-                if (!savedIndexes.has(i)) {
-                    missingIndexes.push(i);
-                }
-            }
+        return await this.saveReviewsBatchToAPI(results);
+    },
 
-            console.log('未保存の問題インデックス:', missingIndexes);
-            return missingIndexes;
+    /**
+     * APIへの保存が有効かどうか
+     * @returns {boolean}
+     */
+    isApiEnabled() {
+        return typeof AWS_CONFIG !== 'undefined' && !!AWS_CONFIG.enableS3Upload && !!AWS_CONFIG.apiEndpoint;
+    },
 
+    /**
+     * 送信待ち（アウトボックス）の一覧を取得
+     * サーバーへの送信に失敗したレビュー・進捗は localStorage に残し、ページを再読み込みしても再送されます
+     * @returns {Array} { key, id, type: 'review'|'progress', payload, idempotencyKey, reanswer, attempts, nextAttemptAt, lastError, queuedAt, pausedFor } の配列
+     *          pausedFor は認証・設定の誤りで一時停止した場合の送信先（getConnectionKey）
+     */
+    getOutbox() {
+        try {
+            const data = localStorage.getItem(this.OUTBOX_KEY);
+            return data ? JSON.parse(data) : [];
         } catch (error) {
-            console.error('未保存問題の特定エラー:', error);
+            console.error('送信待ち読み込みエラー:', error);
             return [];
         }
-    }
-};
+    },
 
-// グローバルに公開
-window.StorageManager = StorageManager;
+    /**
+     * 送信待ちの一覧を保存
+     * 件数の変化は window の 'outbox-change' イベント（detail.pending に件数、detail.paused に一時停止中の件数）で通知します
+     * @param {Array} entries - 送信待ちの一覧
+     */
+    saveOutbox(entries) {
+        try {
+            localStorage.setItem(this.OUTBOX_KEY, JSON.stringify(entries));
+        } catch (error) {
+            if (!LocalDB.isQuotaError(error)) {
+                throw error;
+            }
+            this.warnStorage('ブラウザの保存容量が不足しているため、未送信のデータを保存できませんでした。ページを閉じずに送信が終わるまでお待ちください。');
+        }
+        window.dispatchEvent(new CustomEvent('outbox-change', {
+            detail: {
+                pending: entries.length,
+                paused: entries.filter(e => this.isOutboxEntryPaused(e)).length,
+                lastError: entries.map(e => e.lastError).filter(Boolean).pop() || null
+            }
+        }));
+    },
+
+    /**
+     * 未送信のレビュー・進捗の件数
+     * @returns {number}
+     */
+    getPendingUploadCount() {
+        return this.getOutbox().length;
+    },
+
+    /**
+     * 送信待ちに追加（同じ key のものは置き換える）
+     * @param {string} key - まとめる単位（review:<review_id> / progress:<レビュアー>__<カテゴリ>）
+     * @param {Object} entry - type, payload など
+     */
+    addToOutbox(key, entry) {
+        const entries = this.getOutbox().filter(e => e.key !== key);
+        entries.push({
+            key,
+            id: `${Date.now()}-${this.generateRandomString(6)}`,
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            queuedAt: new Date().toISOString(),
+            ...entry
+        });
+        this.saveOutbox(entries);
+    },
+
+    /**
+     * 送信待ちから削除
+     * @param {string} key - addToOutbox の key
+     * @param {string} [id] - 指定した場合、送信中に置き換えられていなければ削除する
+     */
+    removeFromOutbox(key, id = null) {
+        const entries = this.getOutbox();
+        const remaining = entries.filter(e => e.key !== key || (id && e.id !== id));
+        if (remaining.length !== entries.length) {
+            this.saveOutbox(remaining);
+        }
+    },
+
+    /**
+     * レビューを送信待ちに追加
+     * 同じ review_id のレビューが送信待ちの場合は新しい内容で置き換えます
+     * @param {Object} reviewData - レビューデータ
+     * @param {Object} [options] - saveReviewToAPI のオプション（idempotencyKey, reanswer）
+     */
+    enqueueReview(reviewData, options = {}) {
+        if (!this.isApiEnabled()) {
+            return;
+        }
+
+        // サーバーで受け付けられない形式のものは再送しても保存されない
+        const errors = ReviewSchema.validateReview(reviewData);
+        if (errors.length > 0) {
+            console.error('レビューデータの形式が不正なため送信待ちに追加しません:', errors);
+            return;
+        }
+
+        this.addToOutbox(`review:${reviewData.review_id}`, {
+            type: 'review',
+            payload: reviewData,
+            idempotencyKey: options.idempotencyKey || this.generateIdempotencyKey(reviewData.review_id),
+            reanswer: !!options.reanswer
+        });
+        this.scheduleOutboxFlush();
+    },
+
+    /**
+     * 進捗を送信待ちに追加（同じレビュアー・カテゴリは最新の進捗だけを送る）
+     * 送信前の初期化（replace）を新しい進捗で置き換える場合は、新しい進捗も replace で送ります
+     * @param {Object} progress - { reviewerName, category, answeredQuestionIds, cursor, replace }
+     */
+    enqueueProgress(progress) {
+        const key = `progress:${progress.reviewerName}__${progress.category}`;
+        const pendingReplace = this.getOutbox().some(e => e.key === key && e.payload.replace);
+
+        this.addToOutbox(key, {
+            type: 'progress',
+            payload: pendingReplace ? { ...progress, replace: true } : progress
+        });
+        this.scheduleOutboxFlush();
+    },
+
+    /**
+     * 送信待ちのレビュー・進捗を送信（再送の時刻になったものだけ）
+     * 複数回呼ばれても同時には1回だけ送信します
+     * @param {Object} [options] - オプション
+     * @param {boolean} [options.force] - 再送の時刻を待たずにすべて送信する（オンラインに戻った場合など）
+     * @returns {Promise<number>} 残っている未送信の件数
+     */
+    async flushOutbox(options = {}) {
+        if (!this.outboxFlushing) {
+            this.outboxFlushing = this.sendOutboxEntries(options).finally(() => {
+                this.outboxFlushing = null;
+                this.scheduleOutboxFlush();
+            });
+        }
+        await this.outboxFlushing;
+        return this.getPendingUploadCount();
+    },
+
+    /**
+     * 送信待ちを古い順に送信
+     * @param {Object} options - flushOutbox のオプション
+     */
+    async sendOutboxEntries(options) {
+        if (!this.isApiEnabled()) {
+            return;
+        }
+
+        const now = Date.now();
+        const outbox = this.getOutbox();
+        // 認証・設定の誤りで一時停止したものは、トークン・設定が変わるまで送らない
+        const due = outbox.filter(e => !this.isOutboxEntryPaused(e) && (options.force || e.nextAttemptAt <= now));
+        const wasPaused = outbox.some(e => this.isOutboxEntryPaused(e));
+        const rejected = [];
+        const paused = [];
+
+        for (const entry of due) {
+            let retryAfterMs = null;
+            let errorMessage = null;
+
+            try {
+                const sent = entry.type === 'review'
+                    ? await this.saveReviewToAPI(entry.payload, { idempotencyKey: entry.idempotencyKey, reanswer: entry.reanswer })
+                    : await this.saveProgressToAPI(entry.payload);
+
+                if (sent) {
+                    this.removeFromOutbox(entry.key, entry.id);
+                    continue;
+                }
+                errorMessage = 'サーバーに接続できませんでした';
+
+            } catch (error) {
+                if (error.name === 'AnswerConflictError') {
+                    // 別の回答が保存済み（置き換えるかどうかはレビュアーが決めるため、バックグラウンドでは再送しない）
+                    console.warn('別の回答が保存済みのため送信待ちから外しました:', entry.payload.review_id, error.existingAnswer);
+                    this.removeFromOutbox(entry.key, entry.id);
+                    continue;
+                }
+                if (this.isAuthOrConfigError(error)) {
+                    // トークンの失効・データセットの誤りなどは、直るまで送信待ちに残して一時停止する
+                    paused.push(this.pauseOutboxEntry(entry, error.message));
+                    continue;
+                }
+                if (this.isPermanentError(error)) {
+                    // 検証エラー・削除済みなどは再送しても保存されないため、理由を付けて送信待ちから外す
+                    rejected.push(this.rejectOutboxEntry(entry, error.message));
+                    continue;
+                }
+                if (error.status === 429) {
+                    retryAfterMs = (Number(error.data?.retry_after) || 60) * 1000;
+                }
+                errorMessage = error.message;
+            }
+
+            this.postponeOutboxEntry(entry, errorMessage, retryAfterMs);
+        }
+
+        if (rejected.length > 0) {
+            window.dispatchEvent(new CustomEvent('upload-rejected', { detail: { rejected } }));
+        }
+        // 一時停止を知らせるのは最初の1回だけ（その後の回答も同じ理由で一時停止する）
+        const newlyPaused = paused.filter(Boolean);
+        if (newlyPaused.length > 0 && !wasPaused) {
+            window.dispatchEvent(new CustomEvent('upload-paused', { detail: { paused: newlyPaused } }));
+        }
+    },
+
+    /**
+     * 送信待ちを一時停止（認証・設定の誤りの場合）
+     * トークンや送信先（getConnectionKey）が変わると再送します
+     * @param {Object} entry - 送信待ち
+     * @param {string} reason - 失敗の理由
+     * @returns {Object|null} 一時停止した送信待ち（送信中に置き換え・削除された場合はnull）
+     */
+    pauseOutboxEntry(entry, reason) {
+        const entries = this.getOutbox();
+        const current = entries.find(e => e.key === entry.key && e.id === entry.id);
+        if (!current) {
+            return null;
+        }
+
+        current.attempts++;
+        current.lastError = reason;
+        current.pausedFor = this.getConnectionKey();
+        this.saveOutbox(entries);
+        console.warn('認証・設定の誤りのため、送信待ちの再送を一時停止しました:', current.key, reason);
+        return current;
+    },
+
+    /**
+     * 送信待ちが一時停止中かどうか（一時停止したときからトークン・送信先が変わっていない）
+     * @param {Object} entry - 送信待ち
+     * @returns {boolean}
+     */
+    isOutboxEntryPaused(entry) {
+        return !!entry.pausedFor && entry.pausedFor === this.getConnectionKey();
+    },
+
+    /**
+     * 送信先（APIエンドポイント・データセット）とトークンの組み合わせを表す文字列
+     * トークンを送信待ちに残さないようにハッシュにします
+     * @returns {string}
+     */
+    getConnectionKey() {
+        const config = typeof AWS_CONFIG !== 'undefined' ? AWS_CONFIG : {};
+        const source = [config.apiEndpoint || '', config.datasetId || '', this.getAuthToken() || ''].join('\n');
+        let hash = 0;
+        for (let i = 0; i < source.length; i++) {
+            hash = (hash * 31 + source.charCodeAt(i)) | 0;
+        }
+        return hash.toString(36);
+    },
+
+    /**
+     * サーバーが受け付けなかった送信待ちを外し、理由と一緒に残す
+     * レビュー結果はブラウザに保存されたままです
+     * @param {Object} entry - 送信待ち
+     * @param {string} reason - サーバーが受け付けなかった理由
+     * @returns {Object} 残した記録 { key, type, payload, reason, attempts, queuedAt, rejectedAt }
+     */
+    rejectOutboxEntry(entry, reason) {
+        this.removeFromOutbox(entry.key, entry.id);
+
+        const record = {
+            key: entry.key,
+            type: entry.type,
+            payload: entry.payload,
+            reason,
+            attempts: entry.attempts + 1,
+            queuedAt: entry.queuedAt,
+            rejectedAt: new Date().toISOString()
+        };
+
+        try {
+            const records = [...this.getRejectedUploads(), record].slice(-this.MAX_REJECTED_UPLOADS);
+            localStorage.setItem(this.REJECTED_UPLOADS_KEY, JSON.stringify(records));
+        } catch (error) {
+            console.error('受け付けられなかった送信待ちの保存エラー:', error);
+        }
+
+        console.error('サーバーが受け付けなかったため送信待ちから外しました:', entry.key, reason);
+        return record;
+    },
+
+    /**
+     * サーバーが受け付けなかった送信待ちの記録
+     * @returns {Array} rejectOutboxEntry の戻り値の配列（古い順）
+     */
+    getRejectedUploads() {
+        try {
+            const data = localStorage.getItem(this.REJECTED_UPLOADS_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('受け付けられなかった送信待ちの読み込みエラー:', error);
+            return [];
+        }
+    },
+
+    /**
+     * 送信に失敗した送信待ちの次の再送時刻を設定
+     * @param {Object} entry - 送信待ち
+     * @param {string} errorMessage - 失敗の理由
+     * @param {number|null} retryAfterMs - サーバーから指定された待ち時間
+     */
+    postponeOutboxEntry(entry, errorMessage, retryAfterMs) {
+        const entries = this.getOutbox();
+        const current = entries.find(e => e.key === entry.key && e.id === entry.id);
+        if (!current) {
+            // 送信中に置き換え・削除された
+            return;
+        }
+
+        current.attempts++;
+        const backoff = Math.min(this.OUTBOX_RETRY_BASE_MS * 2 ** (current.attempts - 1), this.OUTBOX_RETRY_MAX_MS);
+        current.nextAttemptAt = Date.now() + Math.max(backoff, retryAfterMs || 0);
+        current.lastError = errorMessage;
+        delete current.pausedFor;
+        this.saveOutbox(entries);
+        console.warn(`送信待ちの再送に失敗しました（${current.attempts}回目）:`, current.key, errorMessage);
+    },
+
+    /**
+     * 次に再送の時刻になる送信待ちに合わせてタイマーを設定
+     */
+    scheduleOutboxFlush() {
+        clearTimeout(this.outboxTimer);
+        this.outboxTimer = null;
+
+        const entries = this.getOutbox().filter(e => !this.isOutboxEntryPaused(e));
+        if (entries.length === 0 || !this.isApiEnabled()) {
+            return;
+        }
+
+        const nextAttemptAt = Math.min(...entries.map(e => e.nextAttemptAt));
+        this.outboxTimer = setTimeout(() => this.flushOutbox(), Math.max(0, nextAttemptAt - Date.now()));
+    },
+
+    /**
+     * ブラウザのレビュー結果とサーバーのレビューを review_id で突き合わせる
+     * @param {Array} localResults - ブラウザのレビュー結果
+     * @param {Array} serverReviews - サーバーのレビュー（削除済みを含めて取得したもの）
+     * @returns {{localOnly: Array, serverOnly: Array, deletedOnServer: Array, changed: Array<{local: Object, server: Object, fields: Array<string>}>}}
+     *          serverOnly は削除済みを除く。changed は SYNC_FIELDS のいずれかが異なるもの
+     */
+    compareResults(localResults, serverReviews) {
+        const serverById = new Map(serverReviews.map(r => [r.review_id, r]));
+        const localIds = new Set(localResults.map(r => r.review_id));
+        const comparison = { localOnly: [], serverOnly: [], deletedOnServer: [], changed: [] };
+
+        localResults.forEach(local => {
+            const server = serverById.get(local.review_id);
+            if (!server) {
+                comparison.localOnly.push(local);
+            } else if (server.deleted_at) {
+                comparison.deletedOnServer.push(local);
+            } else {
+                const fields = this.SYNC_FIELDS.filter(field => (local[field] ?? '') !== (server[field] ?? ''));
+                if (fields.length > 0) {
+                    comparison.changed.push({ local, server, fields });
+                }
+            }
+        });
+
+        serverReviews.forEach(server => {
+            if (!localIds.has(server.review_id) && !server.deleted_at) {
+                comparison.serverOnly.push(server);
+            }
+        });
+
+        return comparison;
+    },
+
+    /**
+     * ブラウザのレビュー結果とサーバーのレビューを1つにまとめる（表示用、どちらも変更しない）
+     * 両方にあるものはサーバーの内容を使い、サーバーで削除されたものは含めません
+     * ブラウザにだけあるもののうち、同じレビュアー・問題のレビューがサーバーに別の review_id で保存されているもの
+     * （同期前の二重送信・別の回答）も、同じ問題を2回数えないように含めません
+     * @param {Array} localResults - ブラウザのレビュー結果
+     * @param {Array} serverReviews - サーバーのレビュー（削除済みを含めて取得したもの）
+     * @returns {Array}
+     */
+    mergeResults(localResults, serverReviews) {
+        const { localOnly } = this.compareResults(localResults, serverReviews);
+        const activeReviews = serverReviews.filter(r => !r.deleted_at);
+        const serverKeys = new Set(activeReviews.map(r => this.reviewerQuestionKey(r)));
+        return [...activeReviews, ...localOnly.filter(r => !serverKeys.has(this.reviewerQuestionKey(r)))];
+    },
+
+    /**
+     * レビュアー・問題ごとのキー（サーバーは1人1問につき1件のレビューを保存する）
+     * @param {Object} review - レビュー
+     * @returns {string}
+     */
+    reviewerQuestionKey(review) {
+        return `${review.reviewer_name}__${review.question_id}`;
+    },
+
+    /**
+     * レビュアーのレビューをサーバーと同期
+     *
+     * review_id で突き合わせ、次のように処理します（別の端末で回答した場合も同じ履歴になる）:
+     *   - ブラウザにだけあるもの: サーバーに送信（POST /review/batch）
+     *   - サーバーにだけあるもの: ブラウザに取り込む
+     *   - サーバーで削除されたもの: ブラウザからも削除
+     *   - 内容が異なるもの: サーバーの内容で置き換える（送信待ちのものはブラウザの内容を送信する）
+     *   - 送信したが同じ問題のレビューがサーバーに別の review_id で保存済みだったもの（二重送信・別の回答）:
+     *     ブラウザのレビューを外し、サーバーのレビューに揃える（同じ問題のレビューが2件にならないように）
+     * 回答・コメントが異なっていたものと、同じ問題に別の回答が保存済みで送信できなかったものは conflicts で返します。
+     * @param {string} reviewerName - レビュアー名
+     * @returns {Promise<Object|null>} { pushed, pulled, updated, removed, merged, conflicts: [{review_id, question_id, field, local, server, kept}] }
+     *                                 merged は二重送信としてサーバーのレビューにまとめた件数（APIが使えない場合はnull）
+     */
+    async syncWithServer(reviewerName) {
+        if (!this.isApiEnabled()) {
+            return null;
+        }
+
+        await this.init();
+
+        let serverReviews;
+        try {
+            serverReviews = await this.fetchAllReviewsFromAPI({ reviewer: reviewerName, includeDeleted: true });
+        } catch (error) {
+            console.error('同期のためのレビュー取得エラー:', error);
+            return null;
+        }
+
+        const localResults = await this.queryResults({ reviewerName });
+        const comparison = this.compareResults(localResults, serverReviews);
+        const pendingIds = new Set(this.getOutbox().filter(e => e.type === 'review').map(e => e.payload.review_id));
+        const summary = { pushed: 0, pulled: 0, updated: 0, removed: 0, merged: 0, conflicts: [] };
+
+        // 内容が異なるもの（送信待ちでなければサーバーが新しい: 管理者の変更・別の端末での変更など）
+        const replacements = [];
+        comparison.changed.forEach(({ local, server, fields }) => {
+            const kept = pendingIds.has(local.review_id) ? 'local' : 'server';
+            fields.filter(field => field === 'answer' || field === 'comment').forEach(field => {
+                summary.conflicts.push({
+                    review_id: local.review_id,
+                    question_id: local.question_id,
+                    field,
+                    local: local[field],
+                    server: server[field],
+                    kept
+                });
+            });
+            if (kept === 'server') {
+                replacements.push(server);
+            }
+        });
+
+        // サーバーにだけあるものを取り込み、内容が異なるものを置き換える（変更履歴はブラウザに持たない）
+        const pulled = [...comparison.serverOnly, ...replacements].map(({ history, ...review }) => review);
+        await this.storeResults(pulled);
+        summary.pulled = comparison.serverOnly.length;
+        summary.updated = replacements.length;
+
+        // サーバーで削除されたもの
+        await this.removeResults(comparison.deletedOnServer.map(r => r.review_id));
+        summary.removed = comparison.deletedOnServer.length;
+
+        // ブラウザにだけあるものを送信
+        if (comparison.localOnly.length > 0) {
+            const batch = await this.saveReviewsBatchToAPI(comparison.localOnly);
+            if (batch) {
+                summary.pushed = batch.created + batch.updated + batch.reanswered;
+
+                // サーバーに別の review_id で保存済みだったものは、ブラウザのレビューをサーバーのレビューに置き換える
+                const serverById = new Map(serverReviews.map(r => [r.review_id, r]));
+                const obsoleteIds = [];
+                const adopted = [];
+                batch.results.forEach(r => {
+                    const local = comparison.localOnly[r.index];
+                    if (r.status === 'duplicate') {
+                        // 同じ回答（コメントはサーバーでも追加されている）
+                        const stored = serverById.get(r.stored_review_id);
+                        adopted.push(stored
+                            ? { ...stored, comment: local.comment || stored.comment }
+                            : { ...local, review_id: r.stored_review_id });
+                        obsoleteIds.push(local.review_id);
+                        summary.merged++;
+                    } else if (r.status === 'conflict') {
+                        // 別の回答（サーバーの回答を残す。サーバーのレビューはサーバーにだけあるものとして取り込み済み）
+                        obsoleteIds.push(local.review_id);
+                        summary.conflicts.push({
+                            review_id: local.review_id,
+                            question_id: local.question_id,
+                            field: 'answer',
+                            local: local.answer,
+                            server: r.existing_answer,
+                            kept: 'server'
+                        });
+                    }
+                });
+
+                await this.storeResults(adopted.map(({ history, ...review }) => review));
+                await this.removeResults(obsoleteIds);
+                obsoleteIds.forEach(reviewId => this.removeFromOutbox(`review:${reviewId}`));
+            }
+        }
+
+        console.log(`サーバーと同期: 送信${summary.pushed}件 / 取り込み${summary.pulled}件 / 更新${summary.updated}件 / 削除${summary.removed}件 / まとめた重複${summary.merged}件 / 不一致${summary.conflicts.length}件`);
+        if (summary.conflicts.length > 0) {
+            console.warn('ブラウザとサーバーで内容が異なっていたレビュー:', summary.conflicts);
+        }
+        return summary;
+    },
+
+    /**
+     * レビュー結果をまとめて保存（同じ review_id のものは置き換え）
+     * @param {Array} records - レビュー結果
+     */
+    async storeResults(records) {
+        if (records.length === 0) {
+            return;
+        }
+
+        const byId = new Map(this.results.map(r => [r.review_id, r]));
+        records.forEach(record => byId.set(record.review_id, record));
+        this.results = Array.from(byId.values());
+
+        try {
+            if (this.useIndexedDB) {
+                await LocalDB.put(LocalDB.RESULTS_STORE, records);
+            } else {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.results));
+            }
+        } catch (error) {
+            if (!LocalDB.isQuotaError(error)) {
+                throw error;
+            }
+            this.warnStorage('ブラウザの保存容量が不足しているため、サーバーのレビューをこのブラウザに保存できませんでした。');
+        }
+    },
+
+    /**
+     * バックアップファイルの読み込みのプレビューを作成（まだ保存しない）
+     * @param {File} file - 選択したファイル（exportToJSON / exportToCSV / 分析ページのJSONL）
+     * @param {string|null} [reviewerName] - ログイン中（入力中）のレビュアー名
+     * @returns {Promise<Object>} ReviewImport.buildPreview の戻り値に foreign（records のうち他のレビュアーのレビュー。サーバーには送信しない）を加えたもの
+     * @throws {Error} ファイル全体が読めない場合
+     */
+    async previewImport(file, reviewerName = null) {
+        await this.init();
+        const existingIds = new Set(this.getAllResults().map(r => r.review_id));
+        const preview = ReviewImport.buildPreview(await file.text(), file.name, ReviewSchema, existingIds);
+        preview.foreign = preview.records.filter(r => !this.isOwnReview(r, reviewerName));
+        return preview;
+    },
+
+    /**
+     * プレビューしたレビュー結果をブラウザに保存（必要に応じてAPIにも送信）
+     * APIには reviewerName のレビューだけを送信します（他のレビュアーのレビューはトークンのレビュアーの回答として保存されてしまうため）
+     * @param {Array} records - previewImport の records
+     * @param {Object} [options] - オプション
+     * @param {boolean} [options.upload] - APIにも送信する（POST /review/batch）
+     * @param {string|null} [options.reviewerName] - ログイン中（入力中）のレビュアー名（ない場合は送信しない）
+     * @returns {Promise<{imported: number, upload: Object|null, notUploaded: number}>} upload は saveReviewsBatchToAPI の結果（送信しない・できなかった場合はnull）、
+     *          notUploaded は他のレビュアーのため送信しなかった件数
+     */
+    async importResults(records, options = {}) {
+        await this.init();
+        await this.storeResults(records);
+        console.log(`バックアップからレビュー結果を読み込みました: ${records.length}件`);
+
+        const own = records.filter(r => this.isOwnReview(r, options.reviewerName));
+        const upload = options.upload && own.length > 0 ? await this.saveReviewsBatchToAPI(own) : null;
+        return { imported: records.length, upload, notUploaded: options.upload ? records.length - own.length : 0 };
+    },
+
+    /**
+     * レビュアー本人のレビューかどうか
+     * @param {Object} review - レビュー結果
+     * @param {string|null} reviewerName - レビュアー名
+     * @returns {boolean}
+     */
+    isOwnReview(review, reviewerName) {
+        return !!reviewerName && review.reviewer_name === reviewerName;
+    },
+
+    /**
+     * レビュー結果を削除
+     * @param {Array<string>} reviewIds - レビューID
+     */
+    async removeResults(reviewIds) {
+        if (reviewIds.length === 0) {
+            return;
+        }
+
+        const ids = new Set(reviewIds);
+        this.results = this.results.filter(r => !ids.has(r.review_id));
+
+        if (this.useIndexedDB) {
+            await LocalDB.delete(LocalDB.RESULTS_STORE, reviewIds);
+        } else {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.results));
+        }
+    },
+
+    /**
+     * 問題データを読み込む
+     * 標準の問題データはAPI（GET /questions）から版付きで取得し、APIが使えない場合はファイルを読み込みます
+     * @param {string} [path] - 問題データのパスまたはGitHub URL
+     * @returns {Promise<Array>} 問題の配列（APIから取得した場合は各問題に version が付く）
+     */
+    async loadQuestions(path = this.QUESTIONS_PATH) {
+        if (path === this.QUESTIONS_PATH) {
+            const bank = await this.getQuestionsFromAPI();
+            if (bank) {
+                return bank.questions;
+            }
+        }
+
+        return GitHubLoader.fetch(path);
+    },
+
+    /**
+     * 問題バンクをAPI（GET /questions）から取得
+     * 変更がなければブラウザのキャッシュが使われます（ETag）
+     * @returns {Promise<{questions: Array, version: string}|null>} APIが使えない場合はnull
+     */
+    async getQuestionsFromAPI() {
+        if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.apiEndpoint) {
+            return null;
+        }
+
+        try {
+            const response = await fetch(this.getApiUrl('/questions'), {
+                method: 'GET',
+                headers: this.getApiHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            console.log(`問題バンクをAPIから取得（版: ${result.version}）`);
+            return result.success ? { questions: result.questions, version: result.version } : null;
+
+        } catch (error) {
+            console.error('問題バンクAPI取得エラー:', error);
+            return null;
+        }
+    },
+
+    /**
+     * 集計結果をAPI（GET /stats）から取得
+     * @param {Object} options - オプション
+     * @param {Array<string>} [options.excludeReviewers] - 集計から除外するレビュアー名
+     * @param {string} [options.adminToken] - 管理者トークン（AUTH_REQUIRED の場合は必要）
+     * @returns {Promise<Object|null>} ReviewStats.compute と同じ形式の集計結果（APIが使えない場合はnull）
+     */
+    async getStatsFromAPI(options = {}) {
+        if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.apiEndpoint) {
+            return null;
+        }
+
+        try {
+            const params = new URLSearchParams();
+            if (options.excludeReviewers && options.excludeReviewers.length > 0) {
+                params.set('exclude', options.excludeReviewers.join(','));
+            }
+
+            const headers = this.getApiHeaders();
+            if (options.adminToken) {
+                headers['Authorization'] = `Bearer ${options.adminToken}`;
+            }
+
+            const response = await fetch(`${this.getApiUrl('/stats')}?${params.toString()}`, {
+                method: 'GET',
+                headers
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            console.log(`サーバーの集計結果を取得（キャッシュ: ${result.cached ? 'あり' : 'なし'}）`);
+            return result.success ? result.stats : null;
+
+        } catch (error) {
+            console.error('集計API取得エラー:', error);
+            return null;
+        }
+    },
+
+    /**
+     * エクスポートファイルをAPI（GET /export）から取得
+     * レビュアートークンでは自分のレビューだけ、管理者トークンではすべてのレビューが対象になります
+     * @param {Object} params - クエリパラメータ（format, exclude, anonymize, strip_comments など）
+     * @param {string} [adminToken] - 管理者トークン（指定しない場合はレビュアートークン）
+     * @returns {Promise<{body: string, contentType: string, filename: string}>}
+     */
+    async fetchExportFromAPI(params, adminToken = null) {
+        if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.apiEndpoint) {
+            throw new Error('APIエンドポイントが設定されていません');
+        }
+
+        const headers = this.getApiHeaders();
+        if (adminToken) {
+            headers['Authorization'] = `Bearer ${adminToken}`;
+        }
+
+        const response = await fetch(`${this.getApiUrl('/export')}?${new URLSearchParams(params).toString()}`, {
+            method: 'GET',
+            headers
+        });
+
+        if (!response.ok) {
+            throw await this.createApiError(response);
+        }
+
+        // Content-Disposition: attachment; filename="..."
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+
+        return {
+            body: await response.text(),
+            contentType: response.headers.get('Content-Type') || 'text/plain',
+            filename: match ? match[1] : ReviewExport.filename(params.format)
+        };
+    },
+
+    /**
+     * 全レビュアー・カテゴリの進捗一覧をAPIから取得（管理者のみ）
+     * @param {string} adminToken - 管理者トークン（ADMIN_TOKEN）
+     * @returns {Promise<Array>} 進捗一覧（GET /progress/all の progress）
+     */
+    async getAllProgressFromAPI(adminToken) {
+        if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.apiEndpoint) {
+            throw new Error('APIエンドポイントが設定されていません');
+        }
+
+        const response = await fetch(this.getApiUrl('/progress/all'), {
+            method: 'GET',
+            headers: {
+                ...this.getApiHeaders(),
+                'Authorization': `Bearer ${adminToken}`
+            }
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            const error = new Error('管理者トークンが正しくありません');
+            error.name = 'UnauthorizedError';
+            throw error;
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const result = await response.json();
+        return result.progress || [];
+    },
+
+    /**
+     * S3からレビューデータを取得
+     * @param {Object} filters - サーバー側で絞り込む条件（fetchAllReviewsFromAPI を参照）
+     * @returns {Promise<Array>} レビューデータの配列
+     */
+    async getReviewsFromAPI(filters = {}) {
+        // AWS_CONFIGが定義されていない、またはS3アップロードが無効の場合
+        if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.enableS3Upload) {
+            console.log('API取得機能は無効です');
+            return [];
+        }
+
+        // APIエンドポイントが設定されているか確認
+        if (!AWS_CONFIG.apiEndpoint) {
+            console.warn('APIエンドポイントが設定されていません');
+            return [];
+        }
+
+        try {
+            const reviews = await this.fetchAllReviewsFromAPI(filters);
+            console.log(`S3からレビューデータを取得: ${reviews.length}件`);
+            return reviews;
+
+        } catch (error) {
+            console.error('S3レビューデータ取得エラー:', error);
+            return [];
+        }
+    },
+
+    /**
+     * APIからレビューデータをページごとに取得して結合（失敗時は例外を投げる）
+     * @param {Object} filters - 絞り込み条件
+     * @param {string} [filters.reviewer] - レビュアー名
+     * @param {string} [filters.category] - カテゴリ
+     * @param {string} [filters.questionId] - 問題ID
+     * @param {string} [filters.author] - 問題作成者
+     * @param {string} [filters.since] - この日時以降（ISO 8601）
+     * @param {string} [filters.until] - この日時より前（ISO 8601）
+     * @param {Array<string>} [filters.fields] - 取得するフィールド
+     * @param {boolean} [filters.includeDeleted] - 削除済みのレビュー（deleted_at あり）も取得する
+     * @param {string} [filters.adminToken] - 管理者トークン（AUTH_REQUIRED の場合、レビュアートークンでは自分のレビューだけ取得できる）
+     * @returns {Promise<Array>} レビューデータの配列
+     */
+    async fetchAllReviewsFromAPI(filters = {}) {
+        const params = new URLSearchParams();
+        if (filters.reviewer) params.set('reviewer', filters.reviewer);
+        if (filters.category) params.set('category', filters.category);
+        if (filters.questionId) params.set('question_id', filters.questionId);
+        if (filters.author) params.set('author', filters.author);
+        if (filters.since) params.set('since', filters.since);
+        if (filters.until) params.set('until', filters.until);
+        if (filters.fields) params.set('fields', filters.fields.join(','));
+        if (filters.includeDeleted) params.set('include_deleted', 'true');
+        params.set('limit', String(this.API_PAGE_SIZE));
+
+        const headers = this.getApiHeaders();
+        if (filters.adminToken) {
+            headers['Authorization'] = `Bearer ${filters.adminToken}`;
+        }
+
+        const reviews = [];
+        let cursor = null;
+
+        do {
+            if (cursor) {
+                params.set('cursor', cursor);
+            }
+
+            const response = await fetch(`${AWS_CONFIG.apiEndpoint}?${params.toString()}`, {
+                method: 'GET',
+                headers
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!result.success || !Array.isArray(result.reviews)) {
+                throw new Error('APIレスポンスの形式が不正です');
+            }
+
+            reviews.push(...result.reviews);
+            cursor = result.next_cursor || null;
+        } while (cursor);
+
+        return reviews;
+    },
+
+    /**
+     * 特定のレビュアー・カテゴリでS3に保存されていない問題を特定
+     * @param {string} reviewerName - レビュアー名
+     * @param {string} category - カテゴリ
+     * @param {Array} allQuestions - 全問題の配列
+     * @returns {Promise<Array>} 未保存の問題インデックスの配列
+     */
+    async getMissingQuestions(reviewerName, category, allQuestions) {
+        try {
+            // ブラウザに残っている回答を先にサーバーへ再送（送信に失敗していた回答は解き直さずに済む）
+            await this.flushResultsToAPI({ reviewerName, category });
+
+            // サーバー側で計算した未保存問題を取得（問題IDを手元の問題配列のインデックスに変換）
+            const serverMissing = await this.getMissingQuestionsFromAPI(reviewerName, category);
+            if (serverMissing) {
+                const indexById = new Map(allQuestions.map((q, i) => [q.questionID, i]));
+                const missingIndexes = serverMissing
+                    .map(m => indexById.get(m.question_id))
+                    .filter(index => index !== undefined)
+                    .sort((a, b) => a - b);
+
+                if (missingIndexes.length !== serverMissing.length) {
+                    console.warn('サーバーの問題バンクに手元の問題データにない問題があります');
+                }
+
+                console.log('未保存の問題インデックス（サーバー計算）:', missingIndexes);
+                return missingIndexes;
+            }
+
+            // 該当レビュアー・カテゴリのレビューだけをS3から取得
+            const relevantReviews = await this.getReviewsFromAPI({
+                reviewer: reviewerName,
+                category,
+                fields: ['question_id']
+            });
+
+            console.log(`${reviewerName}の${category}カテゴリ: S3に${relevantReviews.length}問保存済み`);
+
+            // S3に保存されている問題ID（位置ではなくIDで比べるため、問題を並べ替えても正しく判定できる）
+            const savedIds = new Set(relevantReviews.map(r => r.question_id));
+
+            // 全問題から、保存されていないものの位置を抽出
+            const missingIndexes = [];
+            allQuestions.forEach((question, i) => {
+                if (!savedIds.has(question.questionID)) {
+                    missingIndexes.push(i);
+                }
+            });
+
+            console.log('未保存の問題インデックス:', missingIndexes);
+            return missingIndexes;
+
+        } catch (error) {
+            console.error('未保存問題の特定エラー:', error);
+            return [];
+        }
+    },
+
+    /**
+     * 未保存の問題をAPI（GET /review/missing）から取得
+     * @param {string} reviewerName - レビュアー名
+     * @param {string} category - カテゴリ
+     * @returns {Promise<Array|null>} [{question_id, question_index}]（APIが使えない場合はnull）
+     */
+    async getMissingQuestionsFromAPI(reviewerName, category) {
+        if (typeof AWS_CONFIG === 'undefined' || !AWS_CONFIG.enableS3Upload || !AWS_CONFIG.apiEndpoint) {
+            return null;
+        }
+
+        try {
+            const url = `${this.getApiUrl('/review/missing')}?reviewer=${encodeURIComponent(reviewerName)}&category=${encodeURIComponent(category)}`;
+
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: this.getApiHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            console.log(`${reviewerName}の${category}カテゴリ: ${result.total_questions}問中${result.saved_count}問保存済み`);
+            return result.success && Array.isArray(result.missing) ? result.missing : null;
+
+        } catch (error) {
+            console.error('未保存問題API取得エラー:', error);
+            return null;
+        }
+    }
+};
+
+// グローバルに公開
+window.StorageManager = StorageManager;
+
+// 前回までに送信できなかったレビュー・進捗を再送（オンラインに戻った場合はすぐに再送）
+window.addEventListener('online', () => StorageManager.flushOutbox({ force: true }));
+StorageManager.scheduleOutboxFlush();
@@ -0,0 +1,92 @@
+/**
+ * レビュアー認証
+ *
+ * レビュアーごとにAPIトークンを発行し、リクエストの Authorization: Bearer <token> を検証します。
+ * トークン自体は保存せず、SHA-256ハッシュだけを reviewers.json に保存します。
+ *
+ * reviewers.json の形式:
+ *   { "<reviewerName>": { reviewerName, tokenHash, createdAt, revokedAt } }
+ *
+ * 管理者は環境変数 ADMIN_TOKEN と同じトークンで認証します（レビュアーの発行・失効に使用）。
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+
+export const REVIEWERS_FILE_KEY = 'reviewers.json';
+
+/**
+ * 認証に失敗したことを表すエラー（401を返す）
+ */
+export function unauthorizedError(message) {
+    const error = new Error(message);
+    error.name = 'UnauthorizedError';
+    return error;
+}
+
+/**
+ * 新しいトークンを生成
+ * @returns {string} トークン（"sqa_" + ランダム文字列）
+ */
+export function generateToken() {
+    return `sqa_${randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * トークンのハッシュを計算
+ * @param {string} token - トークン
+ * @returns {string} SHA-256（hex）
+ */
+export function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * リクエストヘッダーからBearerトークンを取り出す
+ * @param {Object} event - Lambdaイベント
+ * @returns {string|null} トークン
+ */
+export function getBearerToken(event) {
+    const headers = event.headers || {};
+    const headerName = Object.keys(headers).find(name => name.toLowerCase() === 'authorization');
+    const value = headerName ? headers[headerName] : '';
+    const match = /^Bearer\s+(.+)$/i.exec(value || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * リクエストを認証
+ * トークンがない場合はnull、無効なトークンの場合は UnauthorizedError を投げます
+ * @param {Object} event - Lambdaイベント
+ * @param {Function} loadReviewers - reviewers.json を読み込む関数
+ * @param {string} [adminToken] - 管理者トークン（ADMIN_TOKEN）
+ * @returns {Promise<{reviewerName: string|null, isAdmin: boolean}|null>}
+ */
+export async function authenticate(event, loadReviewers, adminToken = process.env.ADMIN_TOKEN) {
+    const token = getBearerToken(event);
+    if (!token) {
+        return null;
+    }
+
+    if (adminToken && safeEqual(token, adminToken)) {
+        return { reviewerName: null, isAdmin: true };
+    }
+
+    const tokenHash = hashToken(token);
+    const reviewers = await loadReviewers();
+    const account = Object.values(reviewers).find(r => r.tokenHash && safeEqual(r.tokenHash, tokenHash));
+
+    if (!account) {
+        throw unauthorizedError('Invalid token');
+    }
+    if (account.revokedAt) {
+        throw unauthorizedError('Token has been revoked');
+    }
+
+    return { reviewerName: account.reviewerName, isAdmin: false };
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
@@ -0,0 +1,54 @@
+/**
+ * CORSの許可するオリジン
+ *
+ * 環境変数 CORS_ALLOWED_ORIGINS（カンマ区切り）に設定したオリジンからのリクエストだけを許可し、
+ * Access-Control-Allow-Origin にはリクエストのオリジンをそのまま返します（Vary: Origin 付き）。
+ * 未設定の場合は従来どおり * を返します。
+ *   例: CORS_ALLOWED_ORIGINS=https://kuramitsulab.github.io,http://localhost:8000
+ *
+ * Origin ヘッダーのないリクエスト（curl やスクリプト）はオリジンの確認を行いません。
+ */
+
+/**
+ * 許可するオリジン（未設定の場合はnull = すべて許可）
+ */
+export function getAllowedOrigins(env = process.env) {
+    const origins = (env.CORS_ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+    return origins.length > 0 ? origins : null;
+}
+
+/**
+ * リクエストの Origin ヘッダー
+ * @param {Object} event - Lambdaイベント
+ * @returns {string|null}
+ */
+export function getRequestOrigin(event) {
+    return Object.entries(event.headers || {})
+        .find(([name]) => name.toLowerCase() === 'origin')?.[1] || null;
+}
+
+/**
+ * オリジンに応じたCORSヘッダー
+ * @param {string|null} origin - リクエストのオリジン
+ * @param {Array<string>|null} allowedOrigins - getAllowedOrigins の戻り値
+ * @returns {{allowed: boolean, headers: Object}} allowed が false の場合は403を返す
+ */
+export function resolveCors(origin, allowedOrigins = getAllowedOrigins()) {
+    if (!allowedOrigins) {
+        return { allowed: true, headers: { 'Access-Control-Allow-Origin': '*' } };
+    }
+
+    // オリジンによってレスポンスが変わるため、キャッシュがオリジンごとに分かれるようにする
+    const headers = { 'Vary': 'Origin' };
+
+    if (!origin) {
+        return { allowed: true, headers };
+    }
+    if (!allowedOrigins.includes(origin)) {
+        return { allowed: false, headers };
+    }
+    return { allowed: true, headers: { ...headers, 'Access-Control-Allow-Origin': origin } };
+}
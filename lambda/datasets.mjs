@@ -0,0 +1,105 @@
+/**
+ * データセットごとの保存先
+ *
+ * 1つのデプロイで複数のベンチマーク（ディズニー・食・日本の食文化など）を扱えるように、
+ * レビュー結果・進捗・問題バンクをデータセットIDごとに分けて保存します。
+ *   datasets/<データセットID>/review.json, progress.json, questions.json
+ * データセットを指定しない場合は従来どおりバケット直下の review.json などを使います。
+ *
+ * データセットIDはクエリパラメータ dataset またはヘッダー X-Dataset-Id で指定します。
+ * 環境変数 DATASET_IDS（カンマ区切り）を設定すると、それ以外のデータセットIDは受け付けません。
+ */
+
+export const DATASET_PREFIX = 'datasets/';
+
+export const DATASET_HEADER = 'x-dataset-id';
+
+// 英数字で始まる英数字・ハイフン・アンダースコア（S3のキーにそのまま使う）
+const DATASET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * データセットIDが不正な場合のエラー（400を返す）
+ */
+export function invalidDatasetError(message) {
+    const error = new Error(message);
+    error.name = 'InvalidDatasetError';
+    return error;
+}
+
+/**
+ * リクエストのデータセットIDを取得
+ * @param {Object} event - Lambdaイベント
+ * @param {Object} [env] - 環境変数
+ * @returns {string|null} データセットID（指定なしの場合はnull）
+ */
+export function resolveDataset(event, env = process.env) {
+    const fromQuery = event.queryStringParameters?.dataset;
+    const fromHeader = Object.entries(event.headers || {})
+        .find(([name]) => name.toLowerCase() === DATASET_HEADER)?.[1];
+
+    if (fromQuery && fromHeader && fromQuery !== fromHeader) {
+        throw invalidDatasetError('dataset query parameter and X-Dataset-Id header do not match');
+    }
+
+    const datasetId = fromQuery || fromHeader || null;
+    if (!datasetId) {
+        return null;
+    }
+
+    if (!DATASET_ID_PATTERN.test(datasetId)) {
+        throw invalidDatasetError('dataset must be 1-64 letters, digits, "-" or "_"');
+    }
+
+    const allowed = getAllowedDatasets(env);
+    if (allowed && !allowed.includes(datasetId)) {
+        throw invalidDatasetError(`Unknown dataset: ${datasetId}`);
+    }
+
+    return datasetId;
+}
+
+/**
+ * 受け付けるデータセットID（DATASET_IDS が未設定の場合はnull = 制限なし）
+ */
+export function getAllowedDatasets(env = process.env) {
+    const ids = (env.DATASET_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+    return ids.length > 0 ? ids : null;
+}
+
+/**
+ * 運用中のデータセットID（DATASET_IDS が設定されていればそれ、なければストレージの datasets/ の下にあるもの）
+ * データセット指定なし（バケット直下）は含みません
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {Object} [env] - 環境変数
+ * @returns {Promise<Array<string>>}
+ */
+export async function listDatasetIds(storage, env = process.env) {
+    const allowed = getAllowedDatasets(env);
+    if (allowed) {
+        return allowed;
+    }
+
+    const items = await storage.list(DATASET_PREFIX);
+    const ids = new Set(items.map(item => item.key.slice(DATASET_PREFIX.length).split('/')[0]));
+    return Array.from(ids).sort();
+}
+
+/**
+ * データセットの保存先のキー
+ * @param {string|null} datasetId - データセットID
+ * @returns {{datasetId: string|null, review: string, progress: string, questions: string, idempotency: string}}
+ */
+export function datasetKeys(datasetId) {
+    const prefix = datasetId ? `${DATASET_PREFIX}${datasetId}/` : '';
+
+    return {
+        datasetId,
+        review: `${prefix}review.json`,
+        progress: `${prefix}progress.json`,
+        questions: `${prefix}questions.json`,
+        idempotency: `${prefix}idempotency.json`
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * レビュアーのデータの消去（DELETE /me/data）
+ *
+ * review.json のレビュー（論理削除ではなくレコードごと）と progress.json の進捗を消去します。
+ * 書き込み前のスナップショット（snapshots/）にも同じレビュアーのデータが残るため、
+ * スナップショットからも消去し、レビュアー名を含む集計結果のキャッシュ（cache/stats/）は削除します。
+ * reviewers.json の登録（トークン）は消去しません（管理者が DELETE /reviewers で取り消します）。
+ */
+
+import { listSnapshots } from './snapshots.mjs';
+import { statsCachePrefix } from './stats.mjs';
+
+// スナップショットの書き換えが競合した場合の最大再試行回数
+const MAX_SCRUB_RETRIES = 3;
+
+/**
+ * review.json の内容からレビュアーのレビューを取り除く（reviews を直接変更）
+ * @param {Array} reviews - review.json の内容
+ * @param {string} reviewerName - レビュアー名
+ * @returns {number} 取り除いた件数
+ */
+export function eraseReviews(reviews, reviewerName) {
+    const before = reviews.length;
+    const kept = reviews.filter(review => (review.reviewer_name || review.reviewerName) !== reviewerName);
+    reviews.splice(0, reviews.length, ...kept);
+    return before - kept.length;
+}
+
+/**
+ * progress.json の内容からレビュアーの進捗を取り除く（progressData を直接変更）
+ * @param {Object} progressData - progress.json の内容（"レビュアー__カテゴリ" → 進捗）
+ * @param {string} reviewerName - レビュアー名
+ * @returns {number} 取り除いた件数
+ */
+export function eraseProgress(progressData, reviewerName) {
+    const keys = Object.keys(progressData).filter(key =>
+        progressData[key]?.reviewerName === reviewerName || key.startsWith(`${reviewerName}__`)
+    );
+    keys.forEach(key => delete progressData[key]);
+    return keys.length;
+}
+
+/**
+ * スナップショットからレビュアーのデータを取り除く
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} key - 元のオブジェクトキー（review.json / progress.json）
+ * @param {string} reviewerName - レビュアー名
+ * @returns {Promise<number>} 書き換えたスナップショットの数
+ */
+export async function scrubSnapshots(storage, key, reviewerName) {
+    let scrubbed = 0;
+
+    for (const snapshot of await listSnapshots(storage, key)) {
+        for (let attempt = 1; attempt <= MAX_SCRUB_RETRIES; attempt++) {
+            const object = await storage.get(snapshot.key);
+            if (!object) {
+                break;
+            }
+
+            const data = JSON.parse(object.body);
+            const removed = Array.isArray(data) ? eraseReviews(data, reviewerName) : eraseProgress(data, reviewerName);
+            if (removed === 0) {
+                break;
+            }
+
+            try {
+                await storage.put(snapshot.key, JSON.stringify(data, null, 2), {
+                    contentType: 'application/json',
+                    ifMatch: object.etag,
+                    metadata: { 'snapshot-of': key }
+                });
+                scrubbed++;
+                break;
+            } catch (error) {
+                if (error.name !== 'PreconditionFailed' || attempt === MAX_SCRUB_RETRIES) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    return scrubbed;
+}
+
+/**
+ * review.json の集計結果のキャッシュを削除
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} reviewFileKey - review.json のキー
+ * @returns {Promise<number>} 削除したキャッシュの数
+ */
+export async function clearStatsCache(storage, reviewFileKey) {
+    const items = await storage.list(statsCachePrefix(reviewFileKey));
+    for (const item of items) {
+        await storage.delete(item.key);
+    }
+    return items.length;
+}
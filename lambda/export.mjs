@@ -0,0 +1,109 @@
+/**
+ * GET /export のクエリパラメータとファイルの作成
+ *
+ * 形式・エスケープは分析ページのダウンロードと共通（js/export.js の ReviewExport）です。
+ *
+ *   format   : jsonl（デフォルト、全データ）/ csv（問題別のWide形式、1問1行）/ tidy（1回答1行）
+ *   reviewer : レビュアー名
+ *   category : カテゴリ（category または question_set が一致。csv はそのカテゴリの問題だけを出力）
+ *   exclude  : 除外するレビュアー名（カンマ区切り）
+ *   anonymize      : true の場合、レビュアー名を仮名（reviewer-<ハッシュ>）に置き換える（公開用）
+ *   strip_comments : true の場合、コメントを空にする
+ *
+ * 仮名は環境変数 PSEUDONYM_SECRET を鍵にしたHMACなので、同じレビュアーはいつ出力しても同じ仮名になり、
+ * 鍵を知らなければレビュアー名の一覧から逆算することもできません。
+ */
+
+import { createHmac } from 'node:crypto';
+
+import { createRequire } from 'node:module';
+import { invalidQueryError, filterReviews, parseBooleanParam } from './review-query.mjs';
+import { parseStatsQuery } from './stats.mjs';
+import { getCategoryQuestions } from './questions.mjs';
+
+const require = createRequire(import.meta.url);
+const ReviewStats = require('../js/stats.js');
+const ReviewExport = require('../js/export.js');
+
+export const EXPORT_FORMATS = ['jsonl', 'csv', 'tidy'];
+
+const CONTENT_TYPES = {
+    jsonl: 'application/x-jsonlines; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    tidy: 'text/csv; charset=utf-8'
+};
+
+/**
+ * クエリパラメータを解析
+ * @param {Object} params - queryStringParameters
+ * @returns {{format: string, reviewer: string|null, category: string|null, excludeReviewers: Array<string>}}
+ */
+export function parseExportQuery(params = {}) {
+    const format = params.format || 'jsonl';
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw invalidQueryError(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    return {
+        format,
+        reviewer: params.reviewer || null,
+        category: params.category || params.question_set || null,
+        excludeReviewers: parseStatsQuery(params).excludeReviewers,
+        anonymize: parseBooleanParam(params.anonymize),
+        stripComments: parseBooleanParam(params.strip_comments)
+    };
+}
+
+/**
+ * レビュアー名の仮名
+ * @param {string} reviewerName - レビュアー名
+ * @param {string} secret - 鍵（PSEUDONYM_SECRET）
+ * @returns {string}
+ */
+export function reviewerPseudonym(reviewerName, secret) {
+    return `reviewer-${createHmac('sha256', secret).update(reviewerName).digest('hex').slice(0, 10)}`;
+}
+
+/**
+ * エクスポートするファイルを作成
+ * 削除済みのレビューと変更履歴（history）は含めません
+ * @param {Array} reviews - review.json の内容
+ * @param {Object} bank - 問題バンク
+ * @param {Object} query - parseExportQuery の戻り値
+ * @param {Object} [env] - 環境変数
+ * @returns {{contentType: string, filename: string, body: string, count: number}}
+ */
+export function buildExport(reviews, bank, query, env = process.env) {
+    if (query.anonymize && !env.PSEUDONYM_SECRET) {
+        throw new Error('PSEUDONYM_SECRET is not set');
+    }
+
+    const matched = filterReviews(reviews, { reviewer: query.reviewer, category: query.category })
+        .map(({ history, ...review }) => review);
+    let enrichedReviews = ReviewStats.enrichReviews(matched, bank.questions, query.excludeReviewers);
+
+    if (query.anonymize || query.stripComments) {
+        enrichedReviews = ReviewExport.anonymizeReviews(enrichedReviews, {
+            pseudonym: query.anonymize ? name => reviewerPseudonym(name, env.PSEUDONYM_SECRET) : null,
+            stripComments: query.stripComments
+        });
+    }
+
+    let body;
+    if (query.format === 'csv') {
+        const questions = query.category ? getCategoryQuestions(bank, query.category) : bank.questions;
+        const reviewers = Array.from(new Set(enrichedReviews.map(r => ReviewStats.getReviewerName(r)))).sort();
+        body = ReviewExport.toQuestionCSV(enrichedReviews, questions, reviewers);
+    } else if (query.format === 'tidy') {
+        body = ReviewExport.toTidyCSV(enrichedReviews);
+    } else {
+        body = ReviewExport.toJSONL(enrichedReviews);
+    }
+
+    return {
+        contentType: CONTENT_TYPES[query.format],
+        filename: ReviewExport.filename(query.format, new Date(), query.anonymize),
+        body,
+        count: enrichedReviews.length
+    };
+}
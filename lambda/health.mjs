@@ -0,0 +1,51 @@
+/**
+ * GET /health の状態確認
+ *
+ * ストレージに接続できるかと、データセットごとの review.json / progress.json / questions.json の大きさを返します。
+ * 本文は読まずに head だけを使うため、ファイルが大きくても軽く確認できます。
+ * データセットは環境変数 DATASET_IDS に設定したもの（未設定の場合はストレージの datasets/ にあるもの）と、データセット指定なし（null）です。
+ */
+
+import { datasetKeys, listDatasetIds } from './datasets.mjs';
+
+const DATASET_FILES = ['review', 'progress', 'questions'];
+
+/**
+ * 状態を確認
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {Object} [env] - 環境変数
+ * @returns {Promise<{status: string, storage: Object, datasets: Array}>} status はストレージに接続できない場合 'unavailable'
+ */
+export async function checkHealth(storage, env = process.env) {
+    const startedAt = Date.now();
+    const datasets = [];
+
+    try {
+        const datasetIds = await listDatasetIds(storage, env);
+
+        for (const datasetId of [null, ...datasetIds]) {
+            const keys = datasetKeys(datasetId);
+            const files = {};
+
+            for (const name of DATASET_FILES) {
+                const object = await storage.head(keys[name]);
+                files[name] = object ? { bytes: object.size, last_modified: object.lastModified } : null;
+            }
+
+            datasets.push({ dataset: datasetId, ...files });
+        }
+
+        return {
+            status: 'ok',
+            storage: { backend: storage.name, reachable: true, latency_ms: Date.now() - startedAt },
+            datasets
+        };
+
+    } catch (error) {
+        return {
+            status: 'unavailable',
+            storage: { backend: storage.name, reachable: false, latency_ms: Date.now() - startedAt, error: error.name },
+            datasets
+        };
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * POST /review の冪等キー（Idempotency-Key ヘッダー）
+ *
+ * 再試行・二重クリックで同じ送信が繰り返された場合に、最初のレスポンスをそのまま返します。
+ * キーごとのリクエスト内容のハッシュとレスポンスを idempotency.json（データセットごと）に一定時間保存します。
+ *   { "<キー>": { request_hash, status_code, body, created_at } }
+ * 同じキーで内容の異なるリクエストが送られた場合は 422 を返します。
+ */
+
+import { createHash } from 'node:crypto';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// レスポンスを保存しておく時間
+export const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 英数字と「-」「_」「:」「.」（クライアントが生成するランダムな文字列を想定）
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/;
+
+/**
+ * 冪等キーが不正・使い回しの場合のエラー
+ * @param {number} statusCode - 400（形式が不正）/ 422（別の内容で使用済み）
+ */
+export function idempotencyError(statusCode, message) {
+    const error = new Error(message);
+    error.name = 'IdempotencyError';
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * リクエストの冪等キーを取得
+ * @param {Object} event - Lambdaイベント
+ * @returns {string|null} キー（ヘッダーがない場合はnull）
+ */
+export function getIdempotencyKey(event) {
+    const key = Object.entries(event.headers || {})
+        .find(([name]) => name.toLowerCase() === IDEMPOTENCY_HEADER)?.[1];
+
+    if (!key) {
+        return null;
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        throw idempotencyError(400, 'Idempotency-Key must be 8-128 letters, digits, "-", "_", ":" or "."');
+    }
+    return key;
+}
+
+/**
+ * リクエスト内容のハッシュ（同じキーで同じ内容が送られたかの確認用）
+ * @param {string} reviewer - 送信者（トークンのレビュアー名など）
+ * @param {Object} body - リクエストボディ
+ */
+export function requestHash(reviewer, body) {
+    return createHash('sha256').update(JSON.stringify([reviewer, body])).digest('hex');
+}
+
+/**
+ * 保存済みのレスポンスを探す
+ * @param {Object} entries - idempotency.json の内容
+ * @param {string} key - 冪等キー
+ * @param {string} hash - requestHash の戻り値
+ * @param {Date} [now] - 現在時刻
+ * @returns {{statusCode: number, body: string}|null} 期限内のレスポンス（なければnull）
+ */
+export function findStoredResponse(entries, key, hash, now = new Date()) {
+    const entry = entries[key];
+    if (!entry || isExpired(entry, now)) {
+        return null;
+    }
+    if (entry.request_hash !== hash) {
+        throw idempotencyError(422, 'Idempotency-Key has already been used for a different request');
+    }
+    return { statusCode: entry.status_code, body: entry.body };
+}
+
+/**
+ * レスポンスを保存し、期限切れのものを削除（entries を直接変更）
+ * @param {Object} entries - idempotency.json の内容
+ * @param {string} key - 冪等キー
+ * @param {string} hash - requestHash の戻り値
+ * @param {{statusCode: number, body: string}} response - 保存するレスポンス
+ * @param {Date} [now] - 現在時刻
+ */
+export function storeResponse(entries, key, hash, response, now = new Date()) {
+    Object.keys(entries).forEach(storedKey => {
+        if (isExpired(entries[storedKey], now)) {
+            delete entries[storedKey];
+        }
+    });
+
+    entries[key] = {
+        request_hash: hash,
+        status_code: response.statusCode,
+        body: response.body,
+        created_at: now.toISOString()
+    };
+}
+
+function isExpired(entry, now) {
+    return now.getTime() - Date.parse(entry.created_at) > IDEMPOTENCY_TTL_MS;
+}
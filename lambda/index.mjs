@@ -2,28 +2,98 @@
  * Lambda関数: レビュー結果をS3のreview.jsonに追記
  *
  * API Gateway経由で呼び出され、1問回答するごとにレビューデータを追加します
+ * review.json / progress.json はETagを使った条件付き書き込みで更新するため、
+ * 同時に複数のレビュアーが送信しても書き込みが失われることはありません
+ *
+ * 保存先は環境変数 STORAGE_BACKEND で切り替えられます（storage.mjs を参照）
+ */
+
+import { createRequire } from 'node:module';
+import { randomUUID } from 'node:crypto';
+import { createStorage } from './storage.mjs';
+import { authenticate, generateToken, hashToken, unauthorizedError, REVIEWERS_FILE_KEY } from './auth.mjs';
+import { loadQuestionBank, getCategoryQuestions } from './questions.mjs';
+import { parseReviewQuery, applyReviewQuery, needsQuestionBank, filterReviews } from './review-query.mjs';
+import { parseStatsQuery, getStats } from './stats.mjs';
+import { readJsonObject, updateJsonObject } from './json-object.mjs';
+import { buildProgressOverview } from './progress-overview.mjs';
+import { resolveDataset, datasetKeys, listDatasetIds } from './datasets.mjs';
+import { getIdempotencyKey, requestHash, findStoredResponse, storeResponse } from './idempotency.mjs';
+import { getRequestOrigin, resolveCors } from './cors.mjs';
+import { rateLimitIdentity, consumeRateLimit, getRateLimit } from './rate-limit.mjs';
+import { parseExportQuery, buildExport } from './export.mjs';
+import { PATCHABLE_FIELDS, isDeleted, contentEquals, applyChange, markDeleted, actorName } from './review-audit.mjs';
+import { log, runWithLogContext, addLogFields } from './logger.mjs';
+import { checkHealth } from './health.mjs';
+import { eraseReviews, eraseProgress, scrubSnapshots, clearStatsCache } from './erasure.mjs';
+
+// レビュー結果・進捗のスキーマはクライアントと共通（js/schema.js）
+const ReviewSchema = createRequire(import.meta.url)('../js/schema.js');
+// 進捗（回答済みの問題IDの集合）の計算もクライアントと共通（js/progress-state.js）
+const ReviewProgress = createRequire(import.meta.url)('../js/progress-state.js');
+
+let storage = createStorage();
+
+// POST /review/batch で一度に受け付ける最大件数
+const MAX_BATCH_SIZE = 500;
+
+// true の場合、レビュー・進捗の保存にレビュアートークンを必須にする
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+
+/**
+ * ストレージアダプターを差し替える（テスト・開発サーバー用）
+ * @param {Object} adapter - storage.mjs のアダプター
+ */
+export function setStorage(adapter) {
+    storage = adapter;
+}
+
+/**
+ * Lambdaのハンドラー
+ * リクエストごとにIDを付け、処理の最後にステータス・処理時間を1行のログに残します（logger.mjs を参照）
  */
+export const handler = async (event, context = {}) => {
+    const requestId = context.awsRequestId || event.requestContext?.requestId || randomUUID();
+    const path = event.requestContext?.http?.path || event.path || event.rawPath || '/review';
+    const method = event.httpMethod || event.requestContext?.http?.method;
 
-import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+    return runWithLogContext({ request_id: requestId, method, route: path }, async () => {
+        const startedAt = Date.now();
 
-const s3Client = new S3Client({ region: process.env.AWS_REGION || 'ap-northeast-1' });
-const BUCKET_NAME = process.env.S3_BUCKET_NAME || 'sakuraqa-review-results';
-const REVIEW_FILE_KEY = 'review.json';
-const PROGRESS_FILE_KEY = 'progress.json';
+        try {
+            const response = await routeRequest(event, method, path);
+            log.info('Request completed', { status: response.statusCode, latency_ms: Date.now() - startedAt });
+            return { ...response, headers: { ...response.headers, 'X-Request-Id': requestId } };
 
-export const handler = async (event) => {
-    console.log('Received event:', JSON.stringify(event, null, 2));
+        } catch (error) {
+            log.error('Request failed', error, { latency_ms: Date.now() - startedAt });
+            throw error;
+        }
+    });
+};
 
-    // CORSヘッダー
+/**
+ * パスとメソッドに応じて各処理に振り分ける
+ */
+async function routeRequest(event, method, path) {
+    // CORSヘッダー（許可するオリジンは環境変数 CORS_ALLOWED_ORIGINS。cors.mjs を参照）
+    const origin = getRequestOrigin(event);
+    const cors = resolveCors(origin);
     const headers = {
-        'Access-Control-Allow-Origin': '*', // 本番環境では特定のオリジンに制限してください
-        'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
-        'Access-Control-Allow-Methods': 'GET,POST,PUT,OPTIONS',
+        ...cors.headers,
+        'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,X-Dataset-Id,Idempotency-Key',
+        'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+        'Access-Control-Expose-Headers': 'Retry-After,Idempotent-Replayed,Content-Disposition,X-Request-Id',
         'Content-Type': 'application/json'
     };
 
+    if (!cors.allowed) {
+        log.warn('Rejected request from origin', { origin });
+        return forbiddenResponse(headers, `Origin is not allowed: ${origin}`);
+    }
+
     // OPTIONSリクエスト（プリフライト）への対応
-    if (event.httpMethod === 'OPTIONS' || event.requestContext?.http?.method === 'OPTIONS') {
+    if (method === 'OPTIONS') {
         return {
             statusCode: 200,
             headers,
@@ -31,26 +101,131 @@ export const handler = async (event) => {
         };
     }
 
-    // パスを取得
-    const path = event.requestContext?.http?.path || event.path || event.rawPath || '/review';
-    const method = event.httpMethod || event.requestContext?.http?.method;
+    // /health エンドポイント（ストレージに障害があっても認証・リクエスト数の制限の前に応答する）
+    if (path.endsWith('/health') && method === 'GET') {
+        return await handleGetHealth(headers);
+    }
+
+    // 認証（トークンがあれば検証し、レビュアー名はサーバー側で確定する）
+    let auth;
+    try {
+        auth = await authenticate(event, loadReviewers);
+    } catch (error) {
+        if (error.name === 'UnauthorizedError') {
+            return unauthorizedResponse(headers, error);
+        }
+        log.error('Error authenticating request', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'Internal server error', message: error.message })
+        };
+    }
+    if (auth) {
+        addLogFields({ reviewer: auth.reviewerName || null, admin: Boolean(auth.isAdmin) });
+    }
+
+    // データセット（レビュー結果・進捗・問題バンクの保存先。datasets.mjs を参照）
+    let keys;
+    try {
+        keys = datasetKeys(resolveDataset(event));
+        addLogFields({ dataset: keys.datasetId });
+    } catch (error) {
+        if (error.name === 'InvalidDatasetError') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Invalid dataset', message: error.message })
+            };
+        }
+        throw error;
+    }
+
+    // リクエスト数の制限（レビュアーまたはIPアドレスごと。rate-limit.mjs を参照）
+    const rateLimit = getRateLimit();
+    const identity = rateLimit > 0 ? rateLimitIdentity(event, auth) : null;
+    if (identity) {
+        const result = await consumeRateLimit(storage, identity, { limit: rateLimit });
+        if (!result.allowed) {
+            log.warn('Rate limit exceeded', { identity, limit: result.limit });
+            return {
+                statusCode: 429,
+                headers: { ...headers, 'Retry-After': String(result.retryAfter) },
+                body: JSON.stringify({
+                    error: 'Too many requests',
+                    message: `Rate limit of ${result.limit} requests per minute exceeded. Retry after ${result.retryAfter} seconds`,
+                    retry_after: result.retryAfter
+                })
+            };
+        }
+    }
+
+    // /me エンドポイント（トークンに対応するレビュアー）
+    if (path.endsWith('/me') && method === 'GET') {
+        return handleGetMe(auth, headers);
+    }
+
+    // /me/data エンドポイント（レビュアーのデータの消去）
+    if (path.endsWith('/me/data') && method === 'DELETE') {
+        return await handleEraseReviewerData(event, auth, headers);
+    }
 
-    console.log(`Processing ${method} ${path}`);
+    // /reviewers エンドポイント（管理者のみ）
+    if (path.endsWith('/reviewers')) {
+        if (method === 'GET') {
+            return await handleListReviewers(auth, headers);
+        } else if (method === 'POST') {
+            return await handleCreateReviewer(event, auth, headers);
+        } else if (method === 'DELETE') {
+            return await handleRevokeReviewer(event, auth, headers);
+        }
+    }
 
     // /progress エンドポイント
     if (path.includes('/progress')) {
-        if (method === 'GET') {
-            return await handleGetProgress(event, headers);
+        if (path.endsWith('/progress/all') && method === 'GET') {
+            return await handleGetAllProgress(auth, keys, headers);
+        } else if (method === 'GET') {
+            return await handleGetProgress(event, keys, headers);
         } else if (method === 'PUT' || method === 'POST') {
-            return await handleSaveProgress(event, headers);
+            return await handleSaveProgress(event, auth, keys, headers);
         }
     }
 
+    // /questions エンドポイント（問題バンク）
+    if (path.endsWith('/questions') && method === 'GET') {
+        return await handleGetQuestions(event, keys, headers);
+    }
+
+    // /stats エンドポイント（集計結果）
+    if (path.endsWith('/stats') && method === 'GET') {
+        return await handleGetStats(event, auth, keys, headers);
+    }
+
+    // /export エンドポイント（JSONL・CSVのダウンロード）
+    if (path.endsWith('/export') && method === 'GET') {
+        return await handleGetExport(event, auth, keys, headers);
+    }
+
+    // /review/missing エンドポイント（未保存の問題）
+    if (path.endsWith('/review/missing') && method === 'GET') {
+        return await handleGetMissingQuestions(event, auth, keys, headers);
+    }
+
+    // /review/batch エンドポイント（まとめて保存）
+    if (path.endsWith('/review/batch') && method === 'POST') {
+        return await handlePostReviewBatch(event, auth, keys, headers);
+    }
+
     // /review エンドポイント（デフォルト）
     if (method === 'GET') {
-        return await handleGetReviews(headers);
+        return await handleGetReviews(event, auth, keys, headers);
     } else if (method === 'POST') {
-        return await handlePostReview(event, headers);
+        return await handlePostReview(event, auth, keys, headers);
+    } else if (method === 'PATCH') {
+        return await handlePatchReview(event, auth, keys, headers);
+    } else if (method === 'DELETE') {
+        return await handleDeleteReview(event, auth, keys, headers);
     }
 
     return {
@@ -58,24 +233,53 @@ export const handler = async (event) => {
         headers,
         body: JSON.stringify({ error: 'Not found' })
     };
-};
+}
+
+/**
+ * GETリクエスト処理: ストレージへの接続とデータセットごとのファイルの大きさを確認（health.mjs を参照）
+ * ストレージに接続できない場合は503を返します
+ */
+async function handleGetHealth(headers) {
+    const health = await checkHealth(storage);
+
+    if (health.status !== 'ok') {
+        log.warn('Health check failed', { error_class: health.storage.error });
+    }
+
+    return {
+        statusCode: health.status === 'ok' ? 200 : 503,
+        headers: { ...headers, 'Cache-Control': 'no-store' },
+        body: JSON.stringify({
+            ...health,
+            time: new Date().toISOString()
+        })
+    };
+}
 
 /**
  * GETリクエスト処理: レビュー結果を取得
+ * クエリパラメータでフィルター・ページング・フィールド指定ができます（review-query.mjs を参照）
+ * AUTH_REQUIRED の場合は /export と同じく、レビュアートークンでは自分のレビューだけ、管理者トークンではすべてのレビューが対象です。
  */
-async function handleGetReviews(headers) {
+async function handleGetReviews(event, auth, keys, headers) {
     try {
-        // S3からreview.jsonを取得
-        const getCommand = new GetObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: REVIEW_FILE_KEY
-        });
+        const query = parseReviewQuery(event.queryStringParameters || {});
+
+        const denied = authorizeReviewerRead(auth, query.filters.reviewer, headers);
+        if (denied) {
+            return denied;
+        }
+        if (AUTH_REQUIRED && !auth.isAdmin) {
+            query.filters.reviewer = auth.reviewerName;
+        }
+
+        // ストレージからreview.jsonを取得
+        const { data: allReviews } = await readJsonObject(storage, keys.review, []);
+        const bank = needsQuestionBank(query) ? await loadDatasetQuestionBank(keys) : null;
 
-        const response = await s3Client.send(getCommand);
-        const bodyContents = await streamToString(response.Body);
-        const reviews = JSON.parse(bodyContents);
+        const { reviews, total, nextCursor } = applyReviewQuery(allReviews, query, bank);
 
-        console.log(`Retrieved ${reviews.length} reviews`);
+        log.info('Retrieved reviews', { records: reviews.length, matched: total, stored: allReviews.length });
 
         return {
             statusCode: 200,
@@ -83,26 +287,28 @@ async function handleGetReviews(headers) {
             body: JSON.stringify({
                 success: true,
                 reviews: reviews,
-                total: reviews.length
+                total: total,
+                next_cursor: nextCursor
             })
         };
 
     } catch (error) {
-        if (error.name === 'NoSuchKey') {
-            // ファイルが存在しない場合は空配列を返す
-            console.log('review.json does not exist yet, returning empty array');
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
+        }
+
+        if (error.name === 'InvalidQueryError') {
             return {
-                statusCode: 200,
+                statusCode: 400,
                 headers,
                 body: JSON.stringify({
-                    success: true,
-                    reviews: [],
-                    total: 0
+                    error: 'Bad request',
+                    message: error.message
                 })
             };
         }
 
-        console.error('Error retrieving reviews:', error);
+        log.error('Error retrieving reviews', error);
         return {
             statusCode: 500,
             headers,
@@ -115,116 +321,99 @@ async function handleGetReviews(headers) {
 }
 
 /**
- * POSTリクエスト処理: レビュー結果を保存
+ * GETリクエスト処理: 問題バンクを取得
+ * 各問題に版（version）を付けて返します。問題バンクの版を ETag とし、If-None-Match が一致する場合は304を返します
  */
-async function handlePostReview(event, headers) {
-
+async function handleGetQuestions(event, keys, headers) {
     try {
-        // リクエストボディの解析
-        const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+        const category = (event.queryStringParameters || {}).category || null;
+        const bank = await loadDatasetQuestionBank(keys);
 
-        // 必須フィールドの検証
-        const requiredFields = [
-            'review_id', 'question_id', 'question_set', 'question_index',
-            'category', 'question_text', 'reviewer_name', 'answer',
-            'correct_answer', 'is_correct', 'timestamp'
-        ];
+        // ブラウザが毎回ETagで確認するようにする（問題バンクを差し替えたらすぐに反映される）
+        const etag = `"${bank.version}"`;
+        const cacheHeaders = { ...headers, ETag: etag, 'Cache-Control': 'no-cache' };
 
-        for (const field of requiredFields) {
-            if (body[field] === undefined) {
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Validation error',
-                        message: `Missing required field: ${field}`
-                    })
-                };
-            }
+        const ifNoneMatch = Object.entries(event.headers || {})
+            .find(([name]) => name.toLowerCase() === 'if-none-match')?.[1];
+        if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag)) {
+            return { statusCode: 304, headers: cacheHeaders, body: '' };
         }
 
-        // レビューデータの構造化
-        const reviewData = {
-            review_id: body.review_id,
-            question_id: body.question_id,
-            question_set: body.question_set,
-            question_index: body.question_index,
-            keyword: body.keyword || '',
-            category: body.category,
-            question_text: body.question_text,
-            reviewer_name: body.reviewer_name,
-            answer: body.answer,
-            correct_answer: body.correct_answer,
-            is_correct: body.is_correct,
-            timestamp: body.timestamp,
-            comment: body.comment || ''
-        };
-
-        // S3から既存のreview.jsonを取得
-        let existingReviews = [];
-        try {
-            const getCommand = new GetObjectCommand({
-                Bucket: BUCKET_NAME,
-                Key: REVIEW_FILE_KEY
-            });
+        const questions = category ? getCategoryQuestions(bank, category) : bank.questions;
 
-            const response = await s3Client.send(getCommand);
-            const bodyContents = await streamToString(response.Body);
-            existingReviews = JSON.parse(bodyContents);
+        log.info('Retrieved question bank', { records: questions.length, question_bank_version: bank.version });
 
-            console.log(`Loaded ${existingReviews.length} existing reviews`);
-        } catch (error) {
-            if (error.name === 'NoSuchKey') {
-                console.log('review.json does not exist yet, creating new file');
-                existingReviews = [];
-            } else {
-                throw error;
-            }
+        return {
+            statusCode: 200,
+            headers: cacheHeaders,
+            body: JSON.stringify({
+                success: true,
+                version: bank.version,
+                category,
+                count: questions.length,
+                questions
+            })
+        };
+
+    } catch (error) {
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
         }
 
-        // 既存のレビューを検索（同じreview_idがあれば更新、なければ追加）
-        const existingIndex = existingReviews.findIndex(r => r.review_id === reviewData.review_id);
-
-        if (existingIndex !== -1) {
-            // 既存のレビューを更新（コメント更新など）
-            existingReviews[existingIndex] = reviewData;
-            console.log(`Updated existing review: ${reviewData.review_id}`);
-        } else {
-            // 新しいレビューを追加
-            existingReviews.push(reviewData);
-            console.log(`Added new review: ${reviewData.review_id}. Total count: ${existingReviews.length}`);
-        }
-
-        // S3に書き戻し
-        const putCommand = new PutObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: REVIEW_FILE_KEY,
-            Body: JSON.stringify(existingReviews, null, 2),
-            ContentType: 'application/json',
-            Metadata: {
-                'last-updated': new Date().toISOString(),
-                'total-reviews': existingReviews.length.toString()
-            }
+        log.error('Error loading question bank', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * GETリクエスト処理: 作成者別・レビュアー別・問題別・カテゴリ別の正答率を取得
+ * 分析ページと同じ計算で、新しいレビューが保存されるまで結果をキャッシュします（stats.mjs を参照）
+ * 集計にはすべてのレビュアーの名前が含まれるため、AUTH_REQUIRED の場合は管理者トークンが必要です。
+ */
+async function handleGetStats(event, auth, keys, headers) {
+    if (AUTH_REQUIRED && !auth) {
+        return unauthorizedResponse(headers, unauthorizedError('Admin token is required to read stats'));
+    }
+    if (AUTH_REQUIRED && !auth.isAdmin) {
+        return forbiddenResponse(headers, 'Admin token is required to read stats');
+    }
+
+    try {
+        const { excludeReviewers } = parseStatsQuery(event.queryStringParameters || {});
+        const bank = await loadDatasetQuestionBank(keys);
+
+        const { stats, reviewEtag, cached } = await getStats(storage, bank, {
+            reviewFileKey: keys.review,
+            excludeReviewers
         });
 
-        await s3Client.send(putCommand);
-        console.log('Successfully updated review.json in S3');
+        log.info('Calculated stats', { records: stats.reviewCount, excluded: excludeReviewers.length, cache: cached || 'miss' });
 
-        // 成功レスポンス
         return {
             statusCode: 200,
-            headers,
+            headers: { ...headers, ...(reviewEtag ? { ETag: reviewEtag } : {}) },
             body: JSON.stringify({
                 success: true,
-                message: 'Review saved successfully',
-                review_id: reviewData.review_id,
-                total_reviews: existingReviews.length
+                stats,
+                exclude: excludeReviewers,
+                question_bank_version: bank.version,
+                cached: Boolean(cached)
             })
         };
 
     } catch (error) {
-        console.error('Error processing request:', error);
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
+        }
 
+        log.error('Error calculating stats', error);
         return {
             statusCode: 500,
             headers,
@@ -237,15 +426,99 @@ async function handlePostReview(event, headers) {
 }
 
 /**
- * GETリクエスト処理: 進捗を取得
+ * GETリクエスト処理: レビュー結果をファイルとして取得
+ * JSONL・問題別CSV・1回答1行CSVを返します（export.mjs を参照）
+ * トークンが必要で、レビュアートークンの場合は自分のレビューだけ、管理者トークンの場合はすべてのレビューが対象です。
  */
-async function handleGetProgress(event, headers) {
+async function handleGetExport(event, auth, keys, headers) {
+    if (!auth) {
+        return unauthorizedResponse(headers, unauthorizedError('Reviewer or admin token is required to export reviews'));
+    }
+
+    try {
+        const query = parseExportQuery(event.queryStringParameters || {});
+
+        if (!auth.isAdmin) {
+            if (query.reviewer && query.reviewer !== auth.reviewerName) {
+                return forbiddenResponse(headers, 'You can only export your own reviews');
+            }
+            query.reviewer = auth.reviewerName;
+        }
+
+        // 仮名の鍵が設定されていない場合は匿名化できない（設定の問題なので500ではなく503）
+        if (query.anonymize && !process.env.PSEUDONYM_SECRET) {
+            log.warn('Anonymized export requested without PSEUDONYM_SECRET');
+            return {
+                statusCode: 503,
+                headers,
+                body: JSON.stringify({
+                    error: 'Service unavailable',
+                    message: 'anonymize=true is not available: PSEUDONYM_SECRET is not configured on the server'
+                })
+            };
+        }
+
+        const bank = await loadDatasetQuestionBank(keys);
+        const { data: reviews } = await readJsonObject(storage, keys.review, []);
+
+        const file = buildExport(reviews, bank, query);
+
+        log.info('Exported reviews', { records: file.count, format: query.format });
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Content-Type': file.contentType,
+                'Content-Disposition': `attachment; filename="${file.filename}"`
+            },
+            body: file.body
+        };
+
+    } catch (error) {
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
+        }
+
+        if (error.name === 'InvalidQueryError') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Bad request',
+                    message: error.message
+                })
+            };
+        }
+
+        log.error('Error exporting reviews', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * GETリクエスト処理: レビュアーがまだ保存していない問題を取得
+ * サーバー側の問題バンクのカテゴリ内の問題と、保存済みレビューの question_id を突き合わせます
+ * AUTH_REQUIRED の場合は、レビュアートークンでは自分の分だけ取得できます。
+ */
+async function handleGetMissingQuestions(event, auth, keys, headers) {
     try {
-        // クエリパラメータから reviewer と category を取得
         const queryParams = event.queryStringParameters || {};
         const reviewerName = queryParams.reviewer;
         const category = queryParams.category;
 
+        const denied = authorizeReviewerRead(auth, reviewerName, headers);
+        if (denied) {
+            return denied;
+        }
+
         if (!reviewerName || !category) {
             return {
                 statusCode: 400,
@@ -257,43 +530,45 @@ async function handleGetProgress(event, headers) {
             };
         }
 
-        // S3からprogress.jsonを取得
-        const getCommand = new GetObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: PROGRESS_FILE_KEY
-        });
+        const bank = await loadDatasetQuestionBank(keys);
+        const categoryQuestions = getCategoryQuestions(bank, category);
 
-        let progressData = {};
-        try {
-            const response = await s3Client.send(getCommand);
-            const bodyContents = await streamToString(response.Body);
-            progressData = JSON.parse(bodyContents);
-        } catch (error) {
-            if (error.name === 'NoSuchKey') {
-                console.log('progress.json does not exist yet');
-                progressData = {};
-            } else {
-                throw error;
-            }
-        }
+        const { data: reviews } = await readJsonObject(storage, keys.review, []);
+        const savedQuestionIds = new Set(
+            filterReviews(reviews, { reviewer: reviewerName, category }).map(r => r.question_id)
+        );
 
-        // 該当する進捗を取得
-        const key = `${reviewerName}__${category}`;
-        const progress = progressData[key] || null;
+        // 問題バンクの出題順でのインデックスを付けて返す
+        const missing = [];
+        categoryQuestions.forEach((question, index) => {
+            if (!savedQuestionIds.has(question.questionID)) {
+                missing.push({ question_id: question.questionID, question_index: index });
+            }
+        });
 
-        console.log(`Retrieved progress for ${key}:`, progress);
+        log.info('Retrieved missing questions', { reviewer: reviewerName, category, records: missing.length, total: categoryQuestions.length });
 
         return {
             statusCode: 200,
             headers,
             body: JSON.stringify({
                 success: true,
-                progress: progress
+                reviewer: reviewerName,
+                category,
+                question_bank_version: bank.version,
+                total_questions: categoryQuestions.length,
+                saved_count: categoryQuestions.length - missing.length,
+                missing_count: missing.length,
+                missing
             })
         };
 
     } catch (error) {
-        console.error('Error retrieving progress:', error);
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
+        }
+
+        log.error('Error retrieving missing questions', error);
         return {
             statusCode: 500,
             headers,
@@ -306,86 +581,123 @@ async function handleGetProgress(event, headers) {
 }
 
 /**
- * PUT/POSTリクエスト処理: 進捗を保存
+ * POSTリクエスト処理: レビュー結果を保存
+ *
+ * Idempotency-Key ヘッダーがあれば、同じキーの再送には最初のレスポンスを返します（idempotency.mjs を参照）。
+ * 同じレビュアーが同じ問題に別の回答を送った場合は、reanswer: true がなければ409を返します（upsertReview を参照）。
+ * 他のレビュアーの review_id への送信は、管理者トークン以外は403です。
  */
-async function handleSaveProgress(event, headers) {
+async function handlePostReview(event, auth, keys, headers) {
+
     try {
+        if (AUTH_REQUIRED && !auth) {
+            return unauthorizedResponse(headers, unauthorizedError('Reviewer token is required'));
+        }
+
         // リクエストボディの解析
-        const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+        const body = parseJsonBody(event);
+        if (!body) {
+            return validationErrorResponse(headers, [{ field: '', message: 'Request body must be a JSON object' }]);
+        }
 
-        // 必須フィールドの検証
-        const { reviewerName, category, questionIndex } = body;
+        // 同じ冪等キーの再送には保存済みのレスポンスを返す
+        const idempotencyKey = getIdempotencyKey(event);
+        const hash = idempotencyKey ? requestHash(auth?.reviewerName || null, body) : null;
+        if (idempotencyKey) {
+            const { data: entries } = await readJsonObject(storage, keys.idempotency, {});
+            const stored = findStoredResponse(entries, idempotencyKey, hash);
+            if (stored) {
+                log.info('Replaying stored response for Idempotency-Key');
+                return {
+                    statusCode: stored.statusCode,
+                    headers: { ...headers, 'Idempotent-Replayed': 'true' },
+                    body: stored.body
+                };
+            }
+        }
 
-        if (!reviewerName || !category || questionIndex === undefined) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({
-                    error: 'Validation error',
-                    message: 'reviewerName, category, and questionIndex are required'
-                })
-            };
+        // スキーマ検証と問題バンクによる正誤判定
+        const bank = await loadDatasetQuestionBank(keys);
+        const { reviewData, errors } = prepareReview(body, auth, bank);
+        if (errors) {
+            return validationErrorResponse(headers, errors);
         }
 
-        // S3から既存のprogress.jsonを取得
-        let progressData = {};
-        try {
-            const getCommand = new GetObjectCommand({
-                Bucket: BUCKET_NAME,
-                Key: PROGRESS_FILE_KEY
+        // review.jsonを条件付きで更新（upsertReview を参照）
+        let outcome;
+        const existingReviews = await updateJsonObject(storage, keys.review, [], (reviews) => {
+            outcome = upsertReview(reviews, indexReviews(reviews), reviewData, {
+                reanswer: body.reanswer === true,
+                by: actorName(auth, reviewData.reviewer_name),
+                isAdmin: Boolean(auth?.isAdmin)
             });
 
-            const response = await s3Client.send(getCommand);
-            const bodyContents = await streamToString(response.Body);
-            progressData = JSON.parse(bodyContents);
-
-            console.log(`Loaded existing progress data`);
-        } catch (error) {
-            if (error.name === 'NoSuchKey') {
-                console.log('progress.json does not exist yet, creating new file');
-                progressData = {};
-            } else {
-                throw error;
+            if (outcome.status === 'forbidden') {
+                throw httpError(403, 'Forbidden', `Review ${reviewData.review_id} belongs to another reviewer`);
+            }
+            // 削除済みのレビューは再送で復活させない
+            if (outcome.status === 'deleted') {
+                throw httpError(409, 'Conflict', `Review has been deleted: ${reviewData.review_id}`);
+            }
+            if (outcome.status === 'conflict') {
+                throw httpError(409, 'Answer conflict',
+                    `${reviewData.reviewer_name} has already answered ${reviewData.question_id} differently. Send reanswer: true to replace the answer`,
+                    { existing_review_id: outcome.review.review_id, existing_answer: outcome.review.answer });
             }
-        }
-
-        // 進捗を更新
-        const key = `${reviewerName}__${category}`;
-        progressData[key] = {
-            reviewerName,
-            category,
-            questionIndex,
-            timestamp: new Date().toISOString()
-        };
 
-        console.log(`Updating progress for ${key}:`, progressData[key]);
+            log.info('Saved review', { review_id: outcome.review.review_id, status: outcome.status, stored: reviews.length });
 
-        // S3に書き戻し
-        const putCommand = new PutObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: PROGRESS_FILE_KEY,
-            Body: JSON.stringify(progressData, null, 2),
-            ContentType: 'application/json',
-            Metadata: {
-                'last-updated': new Date().toISOString()
-            }
+            return {
+                'total-reviews': reviews.length.toString()
+            };
         });
 
-        await s3Client.send(putCommand);
-        console.log('Successfully updated progress.json in S3');
 
-        // 成功レスポンス
-        return {
+        // 成功レスポンス（重複の場合は保存済みのレビューの review_id を返す）
+        const response = {
             statusCode: 200,
             headers,
             body: JSON.stringify({
                 success: true,
-                message: 'Progress saved successfully'
+                message: 'Review saved successfully',
+                status: outcome.status,
+                review_id: outcome.review.review_id,
+                is_correct: outcome.review.is_correct,
+                correct_answer: outcome.review.correct_answer,
+                grading_mismatch: Boolean(outcome.review.grading_mismatch),
+                question_bank_version: outcome.review.question_bank_version,
+                total_reviews: existingReviews.length
             })
         };
 
+        if (idempotencyKey) {
+            await rememberIdempotentResponse(keys, idempotencyKey, hash, response);
+        }
+
+        return response;
+
     } catch (error) {
-        console.error('Error saving progress:', error);
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
+        }
+
+        if (error.name === 'HttpError') {
+            return httpErrorResponse(headers, error);
+        }
+
+        if (error.name === 'IdempotencyError') {
+            return {
+                statusCode: error.statusCode,
+                headers,
+                body: JSON.stringify({ error: 'Invalid idempotency key', message: error.message })
+            };
+        }
+
+        log.error('Error processing request', error);
+
+        if (error.name === 'WriteConflictError') {
+            return writeConflictResponse(headers, error);
+        }
 
         return {
             statusCode: 500,
@@ -399,12 +711,1174 @@ async function handleSaveProgress(event, headers) {
 }
 
 /**
- * Streamを文字列に変換
+ * 冪等キーのレスポンスを保存（保存に失敗してもレビューは保存済みなのでエラーにしない）
  */
-async function streamToString(stream) {
-    const chunks = [];
-    for await (const chunk of stream) {
-        chunks.push(chunk);
+async function rememberIdempotentResponse(keys, idempotencyKey, hash, response) {
+    try {
+        await updateJsonObject(storage, keys.idempotency, {}, (entries) => {
+            storeResponse(entries, idempotencyKey, hash, { statusCode: response.statusCode, body: response.body });
+        });
+    } catch (error) {
+        log.warn('Could not store response for Idempotency-Key', error);
     }
-    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * POSTリクエスト処理: レビュー結果をまとめて保存
+ *
+ * { reviews: [...] } を受け取り、review_id ごとに追加・更新します。
+ * 同じ内容を何度送っても結果は変わらないため、ブラウザに残っている回答をまとめて再送できます。
+ * 不正なレコードがあっても他のレコードは保存し、レコードごとの結果を results で返します。
+ * 他のレビュアーの review_id のレコードは保存せず、forbidden になります（upsertReview を参照）。
+ */
+async function handlePostReviewBatch(event, auth, keys, headers) {
+
+    try {
+        if (AUTH_REQUIRED && !auth) {
+            return unauthorizedResponse(headers, unauthorizedError('Reviewer token is required'));
+        }
+
+        const body = parseJsonBody(event);
+        if (!body || !Array.isArray(body.reviews)) {
+            return validationErrorResponse(headers, [{ field: 'reviews', message: 'reviews must be an array' }]);
+        }
+        if (body.reviews.length > MAX_BATCH_SIZE) {
+            return validationErrorResponse(headers, [{ field: 'reviews', message: `reviews must contain at most ${MAX_BATCH_SIZE} records` }]);
+        }
+
+        // レコードごとに検証・正誤判定（results は送信された順）
+        const bank = await loadDatasetQuestionBank(keys);
+        const results = body.reviews.map((record, index) => {
+            const { reviewData, errors } = prepareReview(record, auth, bank);
+            return errors
+                ? { index, review_id: record?.review_id ?? null, status: 'invalid', errors }
+                : { index, review_id: reviewData.review_id, reviewData };
+        });
+        const validResults = results.filter(r => r.reviewData);
+
+        let storedReviews = null;
+        if (validResults.length > 0) {
+            // 1回の条件付き書き込みでまとめて反映（競合して再試行した場合は状態を判定し直す）
+            storedReviews = await updateJsonObject(storage, keys.review, [], (reviews) => {
+                const index = indexReviews(reviews);
+
+                validResults.forEach(result => {
+                    const outcome = upsertReview(reviews, index, result.reviewData, {
+                        reanswer: body.reviews[result.index].reanswer === true,
+                        by: actorName(auth, result.reviewData.reviewer_name),
+                        isAdmin: Boolean(auth?.isAdmin)
+                    });
+                    result.status = outcome.status;
+                    result.storedReview = outcome.review;
+                });
+
+                return {
+                    'total-reviews': reviews.length.toString()
+                };
+            });
+        }
+
+        const counts = { created: 0, updated: 0, unchanged: 0, duplicate: 0, reanswered: 0, conflict: 0, deleted: 0, forbidden: 0, invalid: 0 };
+        const responseResults = results.map(result => {
+            counts[result.status]++;
+
+            if (!result.reviewData) {
+                return { index: result.index, review_id: result.review_id, status: result.status, errors: result.errors };
+            }
+            if (result.status === 'forbidden') {
+                return { index: result.index, review_id: result.review_id, status: result.status };
+            }
+            if (result.status === 'conflict') {
+                return {
+                    index: result.index,
+                    review_id: result.review_id,
+                    status: result.status,
+                    existing_review_id: result.storedReview.review_id,
+                    existing_answer: result.storedReview.answer
+                };
+            }
+            return {
+                index: result.index,
+                review_id: result.review_id,
+                status: result.status,
+                ...(result.status === 'duplicate' ? { stored_review_id: result.storedReview.review_id } : {}),
+                is_correct: result.reviewData.is_correct,
+                grading_mismatch: Boolean(result.reviewData.grading_mismatch)
+            };
+        });
+
+        log.info('Saved review batch', { records: body.reviews.length, counts });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                ...counts,
+                results: responseResults,
+                question_bank_version: bank.version,
+                total_reviews: storedReviews ? storedReviews.length : null
+            })
+        };
+
+    } catch (error) {
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
+        }
+
+        log.error('Error processing batch request', error);
+
+        if (error.name === 'WriteConflictError') {
+            return writeConflictResponse(headers, error);
+        }
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * PATCHリクエスト処理: 保存済みのレビューの一部（コメント・回答）を変更
+ *
+ * { review_id, comment?, answer?, reason? } を受け取り、変更前後の値を history に残します。
+ * 回答を変更した場合は問題バンクで正誤を判定し直します。
+ * AUTH_REQUIRED に関係なくトークンが必要で、レビュアートークンの場合は自分のレビューだけ変更できます。
+ */
+async function handlePatchReview(event, auth, keys, headers) {
+    try {
+        if (!auth) {
+            return unauthorizedResponse(headers, unauthorizedError('Reviewer or admin token is required to change reviews'));
+        }
+
+        const body = parseJsonBody(event);
+        if (!body) {
+            return validationErrorResponse(headers, [{ field: '', message: 'Request body must be a JSON object' }]);
+        }
+
+        const reviewId = body.review_id || (event.queryStringParameters || {}).review_id;
+        const unknownFields = Object.keys(body).filter(field => !['review_id', 'reason', ...PATCHABLE_FIELDS].includes(field));
+        const updates = Object.fromEntries(PATCHABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+        const errors = [
+            ...(reviewId ? [] : [{ field: 'review_id', message: 'Missing required field: review_id' }]),
+            ...unknownFields.map(field => ({ field, message: `${field} cannot be changed (patchable: ${PATCHABLE_FIELDS.join(', ')})` })),
+            ...(Object.keys(updates).length > 0 ? [] : [{ field: '', message: `At least one of ${PATCHABLE_FIELDS.join(', ')} is required` }])
+        ];
+        if (errors.length > 0) {
+            return validationErrorResponse(headers, errors);
+        }
+
+        const bank = updates.answer !== undefined ? await loadDatasetQuestionBank(keys) : null;
+        let updatedReview = null;
+        let changed = false;
+
+        await updateJsonObject(storage, keys.review, [], (reviews) => {
+            const index = findEditableReview(reviews, reviewId, auth);
+            const existing = reviews[index];
+            const next = { ...existing, ...updates };
+
+            const schemaErrors = ReviewSchema.validateReview(next);
+            if (schemaErrors.length > 0) {
+                throw httpError(400, 'Validation error', schemaErrors.map(e => e.message).join('; '), { errors: schemaErrors });
+            }
+
+            if (bank) {
+                // 回答を変更した場合は現在の版の問題に対する回答として記録する
+                delete next.question_version;
+                const gradingError = gradeReview(next, bank);
+                if (gradingError) {
+                    throw httpError(400, 'Validation error', gradingError.message, { errors: [gradingError] });
+                }
+                // 回答を変更した場合はブラウザの判定との比較は意味がないため残さない
+                delete next.grading_mismatch;
+            }
+
+            changed = !contentEquals(existing, next);
+            if (changed) {
+                reviews[index] = applyChange(existing, next, {
+                    action: 'patched',
+                    by: actorName(auth, existing.reviewer_name),
+                    reason: typeof body.reason === 'string' ? body.reason : null
+                });
+                log.info('Patched review', { review_id: reviewId });
+            }
+            updatedReview = reviews[index];
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: changed ? 'Review updated' : 'Review unchanged',
+                review: updatedReview
+            })
+        };
+
+    } catch (error) {
+        return editErrorResponse(headers, error, 'Error patching review');
+    }
+}
+
+/**
+ * DELETEリクエスト処理: レビューを論理削除
+ *
+ * review_id と reason はクエリパラメータまたはリクエストボディで指定します。
+ * 削除したレビューは GET /review に表示されなくなりますが、review.json には残ります。
+ * 削除したレビューの問題は進捗（progress.json）の回答済みから外します。
+ * AUTH_REQUIRED に関係なくトークンが必要で、レビュアートークンの場合は自分のレビューだけ削除できます。
+ */
+async function handleDeleteReview(event, auth, keys, headers) {
+    try {
+        if (!auth) {
+            return unauthorizedResponse(headers, unauthorizedError('Reviewer or admin token is required to delete reviews'));
+        }
+
+        const queryParams = event.queryStringParameters || {};
+        const body = event.body ? (parseJsonBody(event) || {}) : {};
+        const reviewId = queryParams.review_id || body.review_id;
+        const reason = queryParams.reason || body.reason || null;
+
+        if (!reviewId) {
+            return validationErrorResponse(headers, [{ field: 'review_id', message: 'Missing required field: review_id' }]);
+        }
+
+        let deletedReview = null;
+        let stillAnswered = false;
+
+        await updateJsonObject(storage, keys.review, [], (reviews) => {
+            const index = findEditableReview(reviews, reviewId, auth);
+            markDeleted(reviews[index], {
+                by: actorName(auth, reviews[index].reviewer_name),
+                reason
+            });
+            deletedReview = reviews[index];
+            stillAnswered = reviews.some(r => !isDeleted(r) && reviewerQuestionKey(r) === reviewerQuestionKey(deletedReview));
+            log.info('Deleted review', { review_id: reviewId });
+        });
+
+        // 同じ問題のレビューが残っていなければ、進捗の回答済みからも外す
+        if (!stillAnswered) {
+            await removeAnsweredQuestion(keys, deletedReview);
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Review deleted',
+                review: deletedReview
+            })
+        };
+
+    } catch (error) {
+        return editErrorResponse(headers, error, 'Error deleting review');
+    }
+}
+
+/**
+ * 削除したレビューの問題を進捗の回答済みから外す
+ * 進捗の更新に失敗してもレビューは削除済みのため、エラーにはしません
+ * @param {Object} keys - データセットの保存先のキー
+ * @param {Object} review - 削除したレビュー
+ */
+async function removeAnsweredQuestion(keys, review) {
+    const key = `${review.reviewer_name}__${review.category}`;
+
+    try {
+        const { data: progressData } = await readJsonObject(storage, keys.progress, {});
+        if (!progressData[key]) {
+            return;
+        }
+
+        // 以前の形式（questionIndex）の進捗は問題バンクの出題順で問題IDに変換する
+        const questionIds = ReviewProgress.isLegacy(progressData[key])
+            ? getCategoryQuestions(await loadDatasetQuestionBank(keys), review.category).map(q => q.questionID)
+            : [];
+
+        await updateJsonObject(storage, keys.progress, {}, (data) => {
+            if (data[key]) {
+                data[key] = {
+                    ...ReviewProgress.remove(data[key], review.question_id, questionIds),
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+    } catch (error) {
+        log.error('Could not remove deleted review from progress', error, { review_id: review.review_id });
+    }
+}
+
+/**
+ * 変更・削除するレビューを探す（見つからない・削除済み・他人のレビューの場合は HttpError）
+ * 管理者以外は、トークンのレビュアー名とレビューのレビュアー名が一致する場合だけ変更できます
+ * @returns {number} reviews 内のインデックス
+ */
+function findEditableReview(reviews, reviewId, auth) {
+    if (!auth || (!auth.isAdmin && !auth.reviewerName)) {
+        throw httpError(401, 'Unauthorized', 'Reviewer or admin token is required');
+    }
+
+    const index = reviews.findIndex(r => r.review_id === reviewId);
+
+    if (index === -1) {
+        throw httpError(404, 'Not found', `Review not found: ${reviewId}`);
+    }
+    if (isDeleted(reviews[index])) {
+        throw httpError(410, 'Gone', `Review has been deleted: ${reviewId}`);
+    }
+    if (!auth.isAdmin && reviews[index].reviewer_name !== auth.reviewerName) {
+        throw httpError(403, 'Forbidden', 'You can only change your own reviews');
+    }
+
+    return index;
+}
+
+function editErrorResponse(headers, error, logMessage) {
+    if (error.name === 'HttpError') {
+        return httpErrorResponse(headers, error);
+    }
+    if (error.name === 'QuestionBankNotFoundError') {
+        return questionBankNotFoundResponse(headers, error);
+    }
+
+    log.error(logMessage, error);
+
+    if (error.name === 'WriteConflictError') {
+        return writeConflictResponse(headers, error);
+    }
+
+    return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({
+            error: 'Internal server error',
+            message: error.message
+        })
+    };
+}
+
+/**
+ * 保存済みのレビューを review_id と「レビュアー・問題」で引けるようにする（削除済みは問題では引かない）
+ * @param {Array} reviews - review.json の内容
+ * @returns {{byId: Map, byReviewerQuestion: Map}} キー → reviews のインデックス
+ */
+function indexReviews(reviews) {
+    const byId = new Map();
+    const byReviewerQuestion = new Map();
+
+    reviews.forEach((review, i) => {
+        byId.set(review.review_id, i);
+        if (!isDeleted(review)) {
+            byReviewerQuestion.set(reviewerQuestionKey(review), i);
+        }
+    });
+
+    return { byId, byReviewerQuestion };
+}
+
+function reviewerQuestionKey(review) {
+    return `${review.reviewer_name}__${review.question_id}`;
+}
+
+/**
+ * レビュー1件を reviews に反映（reviews と index を直接変更）
+ *
+ * - 同じ review_id がある:
+ *     他のレビュアーのレビューは管理者以外は反映しない（forbidden）。削除済みなら反映しない（deleted）
+ *     内容が同じなら unchanged。回答が変わっていれば reanswer が指定されている場合だけ置き換え（reanswered）、なければ conflict。
+ *     それ以外の変更（コメントなど）は更新（updated）
+ * - 同じレビュアー・問題の別の review_id がある:
+ *     同じ回答なら二重送信として保存済みのレビューに反映（duplicate。コメントが追加されていれば更新）
+ *     違う回答は reanswer が指定されている場合だけ、保存済みのレビューを論理削除して追加（reanswered）。なければ conflict
+ * - どちらもない: 追加（created）
+ * @param {Array} reviews - review.json の内容
+ * @param {Object} index - indexReviews の戻り値
+ * @param {Object} reviewData - 保存するレビュー（prepareReview の戻り値）
+ * @param {Object} options - { reanswer, by, isAdmin }
+ * @returns {{status: string, review: Object}} review は保存されている（conflict・forbidden の場合は保存済みの）レビュー
+ */
+function upsertReview(reviews, index, reviewData, { reanswer = false, by, isAdmin = false }) {
+    const existingIndex = index.byId.get(reviewData.review_id);
+    if (existingIndex !== undefined) {
+        const existing = reviews[existingIndex];
+
+        // 他のレビュアーのレビューは置き換えない（PATCH / DELETE の findEditableReview と同じ）
+        if (!isAdmin && existing.reviewer_name !== reviewData.reviewer_name) {
+            return { status: 'forbidden', review: existing };
+        }
+        if (isDeleted(existing)) {
+            return { status: 'deleted', review: existing };
+        }
+        if (contentEquals(existing, reviewData)) {
+            return { status: 'unchanged', review: existing };
+        }
+        // 回答の変更は別の review_id で送られた場合と同じく reanswer が必要
+        const answerChanged = existing.answer !== reviewData.answer;
+        if (answerChanged && !reanswer) {
+            return { status: 'conflict', review: existing };
+        }
+        reviews[existingIndex] = applyChange(existing, reviewData, { action: 'replaced', by });
+        return { status: answerChanged ? 'reanswered' : 'updated', review: reviews[existingIndex] };
+    }
+
+    const key = reviewerQuestionKey(reviewData);
+    const previousIndex = index.byReviewerQuestion.get(key);
+    if (previousIndex !== undefined) {
+        const previous = reviews[previousIndex];
+
+        if (previous.answer === reviewData.answer) {
+            const merged = {
+                ...reviewData,
+                review_id: previous.review_id,
+                timestamp: previous.timestamp,
+                comment: reviewData.comment || previous.comment
+            };
+            if (!contentEquals(previous, merged)) {
+                reviews[previousIndex] = applyChange(previous, merged, { action: 'replaced', by });
+            }
+            return { status: 'duplicate', review: reviews[previousIndex] };
+        }
+
+        if (!reanswer) {
+            return { status: 'conflict', review: previous };
+        }
+        markDeleted(previous, { by, reason: `Re-answered as ${reviewData.review_id}` });
+    }
+
+    index.byId.set(reviewData.review_id, reviews.length);
+    index.byReviewerQuestion.set(key, reviews.length);
+    reviews.push(reviewData);
+    return { status: previousIndex !== undefined ? 'reanswered' : 'created', review: reviewData };
+}
+
+/**
+ * 受信したレビュー1件を検証し、保存する形に整える
+ * @param {Object} record - リクエストのレビューデータ
+ * @param {Object|null} auth - 認証情報
+ * @param {Object} bank - 問題バンク
+ * @returns {{reviewData?: Object, errors?: Array<{field: string, message: string}>}}
+ */
+function prepareReview(record, auth, bank) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { errors: [{ field: '', message: 'Review must be a JSON object' }] };
+    }
+
+    // レビュアー名はクライアントの申告ではなくトークンから決定する
+    const body = auth?.reviewerName ? { ...record, reviewer_name: auth.reviewerName } : record;
+
+    // スキーマで検証
+    const errors = ReviewSchema.validateReview(body);
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    // レビューデータの構造化
+    const reviewData = {
+        review_id: body.review_id,
+        question_id: body.question_id,
+        question_set: body.question_set,
+        question_index: body.question_index,
+        keyword: body.keyword || '',
+        category: body.category,
+        question_text: body.question_text,
+        reviewer_name: body.reviewer_name,
+        answer: body.answer,
+        correct_answer: body.correct_answer,
+        is_correct: body.is_correct,
+        timestamp: body.timestamp,
+        comment: body.comment || '',
+        // ブラウザが表示した問題の版（送られてこない場合は gradeReview で現在の版を記録）
+        ...(body.question_version ? { question_version: body.question_version } : {})
+    };
+
+    // 問題バンクで正誤を判定し直す（クライアントの is_correct / correct_answer は信用しない）
+    const gradingError = gradeReview(reviewData, bank);
+    if (gradingError) {
+        return { errors: [gradingError] };
+    }
+
+    return { reviewData };
+}
+
+/**
+ * 問題バンクの正解でレビューの正誤を付け直す（reviewData を直接変更）
+ *
+ * クライアントが送ってきた正誤と異なる場合は grading_mismatch にクライアントの値を残します。
+ * 回答した問題の版（question_version）がなければ現在の版を記録します。
+ * @param {Object} reviewData - レビューデータ
+ * @param {Object} bank - 問題バンク
+ * @returns {{field: string, message: string}|null} 判定できない場合のエラー
+ */
+function gradeReview(reviewData, bank) {
+    const question = bank.byId.get(reviewData.question_id);
+
+    if (!question) {
+        return { field: 'question_id', message: `Unknown question_id: ${reviewData.question_id} (question bank ${bank.version})` };
+    }
+    if (!Array.isArray(question.choice) || !question.choice.includes(reviewData.answer)) {
+        return { field: 'answer', message: `answer is not one of the choices of ${reviewData.question_id}` };
+    }
+
+    const isCorrect = reviewData.answer === question.answer;
+
+    if (reviewData.is_correct !== isCorrect || reviewData.correct_answer !== question.answer) {
+        log.warn('Grading mismatch', {
+            review_id: reviewData.review_id,
+            question_id: reviewData.question_id,
+            client_is_correct: reviewData.is_correct,
+            server_is_correct: isCorrect
+        });
+        reviewData.grading_mismatch = {
+            client_is_correct: reviewData.is_correct,
+            client_correct_answer: reviewData.correct_answer
+        };
+    }
+
+    reviewData.correct_answer = question.answer;
+    reviewData.is_correct = isCorrect;
+    reviewData.question_bank_version = bank.version;
+
+    if (!reviewData.question_version) {
+        reviewData.question_version = question.version;
+    } else if (reviewData.question_version !== question.version) {
+        log.warn('Review answered against a superseded question version', {
+            review_id: reviewData.review_id,
+            question_id: reviewData.question_id,
+            question_version: reviewData.question_version,
+            current_version: question.version
+        });
+    }
+
+    return null;
+}
+
+/**
+ * GETリクエスト処理: 進捗を取得
+ */
+async function handleGetProgress(event, keys, headers) {
+    try {
+        // クエリパラメータから reviewer と category を取得
+        const queryParams = event.queryStringParameters || {};
+        const reviewerName = queryParams.reviewer;
+        const category = queryParams.category;
+
+        if (!reviewerName || !category) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Bad request',
+                    message: 'reviewer and category query parameters are required'
+                })
+            };
+        }
+
+        // ストレージからprogress.jsonを取得
+        const { data: progressData } = await readJsonObject(storage, keys.progress, {});
+
+        // 該当する進捗を取得
+        const key = `${reviewerName}__${category}`;
+        const progress = progressData[key] || null;
+
+        log.info('Retrieved progress', { reviewer: reviewerName, category, found: Boolean(progress) });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                progress: progress
+            })
+        };
+
+    } catch (error) {
+        log.error('Error retrieving progress', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * GETリクエスト処理: すべてのレビュアー・カテゴリの進捗を取得（管理者のみ）
+ * 保存済みレビュー数・未保存の問題数と合わせて返します（progress-overview.mjs を参照）
+ */
+async function handleGetAllProgress(auth, keys, headers) {
+    if (!auth?.isAdmin) {
+        return forbiddenResponse(headers, 'Admin token is required');
+    }
+
+    try {
+        const bank = await loadDatasetQuestionBank(keys);
+        const { data: progressData } = await readJsonObject(storage, keys.progress, {});
+        const { data: reviews } = await readJsonObject(storage, keys.review, []);
+
+        const progress = buildProgressOverview(progressData, filterReviews(reviews, {}), bank);
+
+        log.info('Retrieved progress overview', { records: progress.length });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                question_bank_version: bank.version,
+                progress
+            })
+        };
+
+    } catch (error) {
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
+        }
+
+        log.error('Error retrieving progress overview', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * PUT/POSTリクエスト処理: 進捗を保存
+ *
+ * 回答済みの問題は保存済みの進捗とまとめます（ReviewProgress.merge）。
+ * replace: true の場合は保存済みの進捗を使わずに置き換えます（最初からやり直す場合）。
+ */
+async function handleSaveProgress(event, auth, keys, headers) {
+    try {
+        if (AUTH_REQUIRED && !auth) {
+            return unauthorizedResponse(headers, unauthorizedError('Reviewer token is required'));
+        }
+
+        // リクエストボディの解析
+        const body = parseJsonBody(event);
+        if (!body) {
+            return validationErrorResponse(headers, [{ field: '', message: 'Request body must be a JSON object' }]);
+        }
+
+        // レビュアー名はクライアントの申告ではなくトークンから決定する
+        if (auth?.reviewerName) {
+            body.reviewerName = auth.reviewerName;
+        }
+
+        // スキーマで検証
+        const errors = ReviewSchema.validateProgress(body);
+        if (errors.length > 0) {
+            return validationErrorResponse(headers, errors);
+        }
+
+        const { reviewerName, category } = body;
+
+        // 以前の形式（questionIndex）の進捗は問題バンクの出題順で問題IDに変換する
+        const bank = await loadDatasetQuestionBank(keys);
+        const questionIds = getCategoryQuestions(bank, category).map(q => q.questionID);
+
+        // progress.jsonを条件付きで更新（回答済みの問題は保存済みの進捗とまとめる。replace の場合は置き換える）
+        const key = `${reviewerName}__${category}`;
+        const replace = body.replace === true;
+        let saved;
+        await updateJsonObject(storage, keys.progress, {}, (progressData) => {
+            saved = {
+                ...ReviewProgress.merge(replace ? null : progressData[key] || null, body, questionIds),
+                timestamp: new Date().toISOString()
+            };
+            progressData[key] = saved;
+        });
+
+        log.info('Saved progress', { reviewer: reviewerName, category, records: saved.answeredQuestionIds.length, cursor: saved.cursor, replace });
+
+        // 成功レスポンス
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Progress saved successfully',
+                progress: saved
+            })
+        };
+
+    } catch (error) {
+        if (error.name === 'QuestionBankNotFoundError') {
+            return questionBankNotFoundResponse(headers, error);
+        }
+
+        log.error('Error saving progress', error);
+
+        if (error.name === 'WriteConflictError') {
+            return writeConflictResponse(headers, error);
+        }
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * GETリクエスト処理: トークンに対応するレビュアーを返す
+ */
+function handleGetMe(auth, headers) {
+    if (!auth) {
+        return unauthorizedResponse(headers, unauthorizedError('Reviewer token is required'));
+    }
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            reviewerName: auth.reviewerName,
+            isAdmin: auth.isAdmin
+        })
+    };
+}
+
+/**
+ * DELETEリクエスト処理: レビュアーのレビュー・進捗をすべてのデータセットから消去（erasure.mjs を参照）
+ * レビュアーは自分のデータだけを、管理者は reviewer で指定したレビュアーのデータを消去できます
+ */
+async function handleEraseReviewerData(event, auth, headers) {
+    if (!auth) {
+        return unauthorizedResponse(headers, unauthorizedError('Reviewer token is required'));
+    }
+
+    const requested = (event.queryStringParameters || {}).reviewer || null;
+    if (auth.isAdmin && !requested) {
+        return validationErrorResponse(headers, [{ field: 'reviewer', message: 'reviewer query parameter is required for admin requests' }]);
+    }
+    if (!auth.isAdmin && requested && requested !== auth.reviewerName) {
+        return forbiddenResponse(headers, 'You can only erase your own data');
+    }
+    const reviewerName = auth.isAdmin ? requested : auth.reviewerName;
+
+    try {
+        const datasets = [];
+
+        for (const datasetId of [null, ...await listDatasetIds(storage)]) {
+            const keys = datasetKeys(datasetId);
+            let reviewsRemoved = 0;
+            let progressRemoved = 0;
+
+            // 消去するものがない場合は書き込まない（スナップショットも作られない）
+            const { data: reviews } = await readJsonObject(storage, keys.review, []);
+            if (reviews.some(review => (review.reviewer_name || review.reviewerName) === reviewerName)) {
+                await updateJsonObject(storage, keys.review, [], (data) => {
+                    reviewsRemoved = eraseReviews(data, reviewerName);
+                    return { 'total-reviews': data.length.toString() };
+                });
+            }
+
+            const { data: progressData } = await readJsonObject(storage, keys.progress, {});
+            if (eraseProgress(structuredClone(progressData), reviewerName) > 0) {
+                await updateJsonObject(storage, keys.progress, {}, (data) => {
+                    progressRemoved = eraseProgress(data, reviewerName);
+                });
+            }
+
+            // 上の書き込みで作られたスナップショットも含めて消去する
+            const snapshotsScrubbed = await scrubSnapshots(storage, keys.review, reviewerName)
+                + await scrubSnapshots(storage, keys.progress, reviewerName);
+            if (reviewsRemoved > 0) {
+                await clearStatsCache(storage, keys.review);
+            }
+
+            datasets.push({
+                dataset: datasetId,
+                reviews_removed: reviewsRemoved,
+                progress_removed: progressRemoved,
+                snapshots_scrubbed: snapshotsScrubbed
+            });
+        }
+
+        const totals = datasets.reduce((sum, d) => ({
+            reviews_removed: sum.reviews_removed + d.reviews_removed,
+            progress_removed: sum.progress_removed + d.progress_removed,
+            snapshots_scrubbed: sum.snapshots_scrubbed + d.snapshots_scrubbed
+        }), { reviews_removed: 0, progress_removed: 0, snapshots_scrubbed: 0 });
+
+        log.info('Erased reviewer data', { reviewer: reviewerName, ...totals });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                reviewerName,
+                ...totals,
+                datasets
+            })
+        };
+
+    } catch (error) {
+        log.error('Error erasing reviewer data', error);
+
+        if (error.name === 'WriteConflictError') {
+            return writeConflictResponse(headers, error);
+        }
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * GETリクエスト処理: レビュアー一覧（管理者のみ）
+ */
+async function handleListReviewers(auth, headers) {
+    if (!auth?.isAdmin) {
+        return forbiddenResponse(headers, 'Admin token is required');
+    }
+
+    try {
+        const reviewers = await loadReviewers();
+
+        // トークンのハッシュは返さない
+        const list = Object.values(reviewers).map(({ reviewerName, createdAt, revokedAt }) => ({
+            reviewerName,
+            createdAt,
+            revokedAt: revokedAt || null
+        }));
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                reviewers: list,
+                total: list.length
+            })
+        };
+
+    } catch (error) {
+        log.error('Error listing reviewers', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * POSTリクエスト処理: レビュアーを登録してトークンを発行（管理者のみ）
+ * 同じ名前のレビュアーが既にいる場合はトークンを再発行します（古いトークンは無効になります）
+ */
+async function handleCreateReviewer(event, auth, headers) {
+    if (!auth?.isAdmin) {
+        return forbiddenResponse(headers, 'Admin token is required');
+    }
+
+    try {
+        const body = parseJsonBody(event);
+        if (!body) {
+            return validationErrorResponse(headers, [{ field: '', message: 'Request body must be a JSON object' }]);
+        }
+        const reviewerName = typeof body.reviewerName === 'string' ? body.reviewerName.trim() : '';
+
+        if (!reviewerName) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Validation error',
+                    message: 'reviewerName is required'
+                })
+            };
+        }
+
+        const token = generateToken();
+
+        await updateJsonObject(storage, REVIEWERS_FILE_KEY, {}, (reviewers) => {
+            reviewers[reviewerName] = {
+                reviewerName,
+                tokenHash: hashToken(token),
+                createdAt: new Date().toISOString(),
+                revokedAt: null
+            };
+        });
+
+        log.info('Issued reviewer token', { reviewer: reviewerName });
+
+        // トークンはこのレスポンスでしか返さない（サーバーにはハッシュのみ保存）
+        const appBaseUrl = process.env.APP_BASE_URL;
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                reviewerName,
+                token,
+                inviteUrl: appBaseUrl ? `${appBaseUrl.replace(/\/$/, '')}/index.html?token=${encodeURIComponent(token)}` : null
+            })
+        };
+
+    } catch (error) {
+        log.error('Error creating reviewer', error);
+
+        if (error.name === 'WriteConflictError') {
+            return writeConflictResponse(headers, error);
+        }
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * DELETEリクエスト処理: レビュアーのトークンを失効（管理者のみ）
+ */
+async function handleRevokeReviewer(event, auth, headers) {
+    if (!auth?.isAdmin) {
+        return forbiddenResponse(headers, 'Admin token is required');
+    }
+
+    try {
+        const reviewerName = (event.queryStringParameters || {}).reviewer;
+
+        if (!reviewerName) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Bad request',
+                    message: 'reviewer query parameter is required'
+                })
+            };
+        }
+
+        let found = false;
+        await updateJsonObject(storage, REVIEWERS_FILE_KEY, {}, (reviewers) => {
+            found = Boolean(reviewers[reviewerName]);
+            if (found) {
+                reviewers[reviewerName].revokedAt = new Date().toISOString();
+            }
+        });
+
+        if (!found) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({ error: 'Not found', message: `Reviewer not found: ${reviewerName}` })
+            };
+        }
+
+        log.info('Revoked reviewer token', { reviewer: reviewerName });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Reviewer token revoked'
+            })
+        };
+
+    } catch (error) {
+        log.error('Error revoking reviewer', error);
+
+        if (error.name === 'WriteConflictError') {
+            return writeConflictResponse(headers, error);
+        }
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Internal server error',
+                message: error.message
+            })
+        };
+    }
+}
+
+/**
+ * データセットの問題バンクを読み込む（データセット指定時は同梱ファイルで代用しない）
+ */
+async function loadDatasetQuestionBank(keys) {
+    return loadQuestionBank(storage, keys.questions, { bundledFallback: !keys.datasetId });
+}
+
+/**
+ * reviewers.json を読み込む
+ */
+async function loadReviewers() {
+    const { data } = await readJsonObject(storage, REVIEWERS_FILE_KEY, {});
+    return data;
+}
+
+function unauthorizedResponse(headers, error) {
+    return {
+        statusCode: 401,
+        headers: { ...headers, 'WWW-Authenticate': 'Bearer' },
+        body: JSON.stringify({
+            error: 'Unauthorized',
+            message: error.message
+        })
+    };
+}
+
+/**
+ * AUTH_REQUIRED の場合のレビューの読み取りの権限を確認（/export と同じ）
+ * トークンなしは401、レビュアートークンで他のレビュアーを指定した場合は403です
+ * @param {Object|undefined} auth - authenticate の結果
+ * @param {string|null} reviewer - 指定されたレビュアー名
+ * @param {Object} headers - レスポンスヘッダー
+ * @returns {Object|null} 拒否する場合のレスポンス（許可する場合はnull）
+ */
+function authorizeReviewerRead(auth, reviewer, headers) {
+    if (!AUTH_REQUIRED) {
+        return null;
+    }
+    if (!auth) {
+        return unauthorizedResponse(headers, unauthorizedError('Reviewer or admin token is required to read reviews'));
+    }
+    if (!auth.isAdmin && reviewer && reviewer !== auth.reviewerName) {
+        return forbiddenResponse(headers, 'You can only read your own reviews');
+    }
+    return null;
+}
+
+function forbiddenResponse(headers, message) {
+    return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+            error: 'Forbidden',
+            message
+        })
+    };
+}
+
+/**
+ * スキーマ検証エラーのレスポンス
+ * errors にフィールドごとのエラーを返します
+ * @param {Object} headers - レスポンスヘッダー
+ * @param {Array<{field: string, message: string}>} errors - js/schema.js の検証結果
+ */
+function validationErrorResponse(headers, errors) {
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            error: 'Validation error',
+            message: errors.map(e => e.message).join('; '),
+            errors
+        })
+    };
+}
+
+/**
+ * データセットの問題バンクがない場合のレスポンス（存在しないデータセットIDを指定した場合など）
+ */
+function questionBankNotFoundResponse(headers, error) {
+    return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+            error: 'Dataset not found',
+            message: error.message
+        })
+    };
+}
+
+/**
+ * 処理を中断して指定のステータスを返すためのエラー
+ * @param {number} statusCode - ステータスコード
+ * @param {string} error - error フィールド
+ * @param {string} message - message フィールド
+ * @param {Object} [details] - レスポンスに追加するフィールド
+ */
+function httpError(statusCode, error, message, details = {}) {
+    const httpErr = new Error(message);
+    httpErr.name = 'HttpError';
+    httpErr.statusCode = statusCode;
+    httpErr.error = error;
+    httpErr.details = details;
+    return httpErr;
+}
+
+function httpErrorResponse(headers, error) {
+    return {
+        statusCode: error.statusCode,
+        headers,
+        body: JSON.stringify({
+            error: error.error,
+            message: error.message,
+            ...error.details
+        })
+    };
+}
+
+/**
+ * リクエストボディをJSONオブジェクトとして解析
+ * @param {Object} event - Lambdaイベント
+ * @returns {Object|null} 解析結果（JSONオブジェクトでない場合はnull）
+ */
+function parseJsonBody(event) {
+    let body = event.body;
+
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+}
+
+/**
+ * 書き込み競合が解消しなかった場合のレスポンス
+ * クライアントは時間をおいて再送すれば保存できます
+ */
+function writeConflictResponse(headers, error) {
+    return {
+        statusCode: 503,
+        headers: { ...headers, 'Retry-After': '1' },
+        body: JSON.stringify({
+            error: 'Service unavailable',
+            message: error.message
+        })
+    };
 }
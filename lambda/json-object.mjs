@@ -0,0 +1,87 @@
+/**
+ * ストレージ上のJSONファイルの読み込み・条件付き更新
+ *
+ * review.json / progress.json などは複数のリクエストが同時に書き込むため、
+ * 読み込んだ時点のETagを条件にして書き戻し、競合した場合は読み直して再試行します。
+ * index.mjs から切り出したもので、scripts/ のスクリプトからも同じ方法で更新できます。
+ */
+
+import { snapshotBeforeWrite } from './snapshots.mjs';
+import { log } from './logger.mjs';
+
+// 書き込み前にスナップショットを保存するファイル（データセットごとの同名ファイルも含む。snapshots.mjs を参照）
+const SNAPSHOT_FILE_NAMES = new Set(['review.json', 'progress.json']);
+
+// 条件付き書き込みが競合した場合の最大再試行回数
+const MAX_WRITE_RETRIES = 8;
+
+/**
+ * ストレージからJSONオブジェクトを取得
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} key - オブジェクトキー
+ * @param {*} fallback - オブジェクトが存在しない場合の初期値
+ * @returns {Promise<{data: *, etag: string|null}>} データとETag（存在しない場合はnull）
+ */
+export async function readJsonObject(storage, key, fallback) {
+    const object = await storage.get(key);
+
+    if (!object) {
+        log.debug('Object does not exist yet', { key });
+        return { data: fallback, etag: null };
+    }
+
+    return { data: JSON.parse(object.body), etag: object.etag };
+}
+
+/**
+ * ストレージのJSONオブジェクトを読み込み → 変更 → 条件付きで書き戻す
+ *
+ * 読み込んだ時点のETagを If-Match に指定して書き込むため、
+ * 途中で他のリクエストが書き込んでいた場合は412となり、最新の内容を読み直して再試行します。
+ * ファイルが存在しない場合は If-None-Match: * で新規作成します。
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} key - オブジェクトキー
+ * @param {*} fallback - オブジェクトが存在しない場合の初期値
+ * @param {Function} mutate - データを直接変更する関数（戻り値は追加のメタデータ）
+ * @returns {Promise<*>} 書き込んだデータ
+ */
+export async function updateJsonObject(storage, key, fallback, mutate) {
+    for (let attempt = 1; attempt <= MAX_WRITE_RETRIES; attempt++) {
+        const { data, etag } = await readJsonObject(storage, key, structuredClone(fallback));
+
+        // 変更前の内容を一定間隔ごとに退避（復元用）
+        if (etag && SNAPSHOT_FILE_NAMES.has(key.split('/').pop())) {
+            await snapshotBeforeWrite(storage, key, () => JSON.stringify(data, null, 2));
+        }
+
+        const extraMetadata = mutate(data) || {};
+
+        try {
+            await storage.put(key, JSON.stringify(data, null, 2), {
+                contentType: 'application/json',
+                ...(etag ? { ifMatch: etag } : { ifNoneMatch: '*' }),
+                metadata: {
+                    'last-updated': new Date().toISOString(),
+                    ...extraMetadata
+                }
+            });
+            return data;
+        } catch (error) {
+            if (error.name !== 'PreconditionFailed') {
+                throw error;
+            }
+
+            log.warn('Write conflict, retrying', { key, attempt, max_attempts: MAX_WRITE_RETRIES });
+            // 競合したリクエスト同士が同時に再試行しないようにランダムに待つ
+            await sleep(Math.random() * 100 * attempt);
+        }
+    }
+
+    const conflictError = new Error(`Could not update ${key} after ${MAX_WRITE_RETRIES} attempts due to concurrent writes`);
+    conflictError.name = 'WriteConflictError';
+    throw conflictError;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
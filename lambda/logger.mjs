@@ -0,0 +1,143 @@
+/**
+ * 構造化ログ
+ *
+ * ログは1行1つのJSONとして標準出力（warn・error は標準エラー）に書き出します。
+ * CloudWatch Logs Insights でフィールドごとに検索・集計できます。
+ *   { time, level, message, request_id, method, route, dataset, ...fields }
+ * request_id・route などは runWithLogContext・addLogFields で設定したものが同じリクエストのすべての行に付きます。
+ *
+ * 個人情報はログに残しません:
+ *   - レビュアー名・IPアドレス（reviewer, identity, source_ip）はハッシュに置き換える（同じ人の行を追うことはできる）
+ *   - コメント・回答・問題文・トークン・リクエスト本文は出力しない
+ * ハッシュには環境変数 LOG_HASH_SALT を混ぜられます（レビュアー名の一覧からハッシュを逆算されないように）。
+ * 出力するレベルは環境変数 LOG_LEVEL（debug / info / warn / error、デフォルト info）で変更できます。
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash } from 'node:crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// ハッシュに置き換えるフィールド
+const HASHED_FIELDS = new Set(['reviewer', 'reviewer_name', 'identity', 'source_ip']);
+
+// 出力しないフィールド
+const REDACTED_FIELDS = new Set(['comment', 'answer', 'question_text', 'token', 'authorization', 'body']);
+
+const context = new AsyncLocalStorage();
+
+/**
+ * リクエストの処理中に出力するログに共通のフィールドを付ける
+ * @param {Object} fields - 共通のフィールド（request_id, method, route など）
+ * @param {Function} fn - 処理
+ * @returns {*} fn の戻り値
+ */
+export function runWithLogContext(fields, fn) {
+    return context.run({ ...fields }, fn);
+}
+
+/**
+ * 処理中のリクエストの共通フィールドを追加（以降の行すべてに付く）
+ * @param {Object} fields - フィールド
+ */
+export function addLogFields(fields) {
+    const store = context.getStore();
+    if (store) {
+        Object.assign(store, redact(fields));
+    }
+}
+
+/**
+ * ログの出力
+ * warn・error は2番目の引数にエラーを渡すと error_class・error_message（error はスタックトレースも）を付けます
+ */
+export const log = {
+    debug(message, fields) {
+        write('debug', message, fields);
+    },
+
+    info(message, fields) {
+        write('info', message, fields);
+    },
+
+    warn(message, errorOrFields, fields) {
+        write('warn', message, withError(errorOrFields, fields));
+    },
+
+    error(message, errorOrFields, fields) {
+        const merged = withError(errorOrFields, fields);
+        if (errorOrFields instanceof Error) {
+            merged.error_stack = errorOrFields.stack;
+        }
+        // リクエスト完了の行でもエラーの種類がわかるようにする
+        if (merged.error_class) {
+            addLogFields({ error_class: merged.error_class });
+        }
+        write('error', message, merged);
+    }
+};
+
+/**
+ * 個人情報を含むフィールドを置き換える
+ * @param {Object} fields - フィールド
+ * @returns {Object} 置き換えたフィールド
+ */
+export function redact(fields = {}) {
+    const result = {};
+
+    Object.entries(fields).forEach(([name, value]) => {
+        if (value === undefined) {
+            return;
+        }
+        if (REDACTED_FIELDS.has(name)) {
+            result[name] = '[redacted]';
+        } else if (HASHED_FIELDS.has(name) && value !== null) {
+            result[name] = pseudonym(value);
+        } else {
+            result[name] = value;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * 値のハッシュ（先頭12文字）
+ */
+function pseudonym(value) {
+    return createHash('sha256')
+        .update(`${process.env.LOG_HASH_SALT || ''}${value}`)
+        .digest('hex')
+        .slice(0, 12);
+}
+
+function withError(errorOrFields, fields = {}) {
+    if (errorOrFields instanceof Error) {
+        return {
+            error_class: errorOrFields.name,
+            error_message: errorOrFields.message,
+            ...(errorOrFields.statusCode ? { error_status: errorOrFields.statusCode } : {}),
+            ...fields
+        };
+    }
+    return { ...errorOrFields, ...fields };
+}
+
+function write(level, message, fields) {
+    const threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+    if (LEVELS[level] < threshold) {
+        return;
+    }
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        message,
+        ...context.getStore(),
+        ...redact(fields)
+    };
+
+    // console.log はLambdaが行頭に日時などを付けてJSONとして読めなくなるため、直接書き出す
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
@@ -0,0 +1,79 @@
+/**
+ * GET /progress/all の進捗一覧
+ *
+ * progress.json の「レビュアー__カテゴリ」ごとの進捗に、保存済みレビュー数と未保存の問題数を付けて返します。
+ * 進捗がなくてもレビューが保存されているレビュアー・カテゴリも含めます。
+ *
+ *   status : completed（全問保存済み）/ needs_attention（全問回答したが未保存の問題がある）/ in_progress
+ * 回答済みかどうかは進捗の問題ID（js/progress-state.js）で判定するため、問題を並べ替えた・追加した場合も正しく数えます。
+ */
+
+import { createRequire } from 'node:module';
+import { getCategoryQuestions } from './questions.mjs';
+
+const ReviewProgress = createRequire(import.meta.url)('../js/progress-state.js');
+
+/**
+ * 進捗一覧を作成
+ * @param {Object} progressData - progress.json の内容
+ * @param {Array} reviews - 削除済みを除いたレビュー結果
+ * @param {Object} bank - 問題バンク
+ * @returns {Array<Object>} レビュアー・カテゴリ順の進捗
+ */
+export function buildProgressOverview(progressData, reviews, bank) {
+    const entries = new Map();
+
+    const entryFor = (reviewer, category) => {
+        const key = `${reviewer}__${category}`;
+        if (!entries.has(key)) {
+            entries.set(key, { reviewer, category, progress: null, savedIds: new Set(), lastReviewAt: null });
+        }
+        return entries.get(key);
+    };
+
+    Object.values(progressData).forEach(progress => {
+        entryFor(progress.reviewerName, progress.category).progress = progress;
+    });
+
+    reviews.forEach(review => {
+        const entry = entryFor(review.reviewer_name, review.category);
+        entry.savedIds.add(review.question_id);
+        if (!entry.lastReviewAt || review.timestamp > entry.lastReviewAt) {
+            entry.lastReviewAt = review.timestamp;
+        }
+    });
+
+    return Array.from(entries.values())
+        .map(entry => summarize(entry, getCategoryQuestions(bank, entry.category)))
+        .sort((a, b) => a.reviewer.localeCompare(b.reviewer) || a.category.localeCompare(b.category));
+}
+
+function summarize(entry, categoryQuestions) {
+    const savedCount = categoryQuestions.filter(q => entry.savedIds.has(q.questionID)).length;
+    const missingCount = categoryQuestions.length - savedCount;
+    const state = ReviewProgress.resolve(entry.progress, categoryQuestions);
+    const progressUpdatedAt = entry.progress ? entry.progress.timestamp || null : null;
+
+    let status = 'in_progress';
+    if (categoryQuestions.length > 0 && missingCount === 0) {
+        status = 'completed';
+    } else if (entry.progress && state.complete) {
+        status = 'needs_attention';
+    }
+
+    const activity = [progressUpdatedAt, entry.lastReviewAt].filter(Boolean).sort();
+
+    return {
+        reviewer: entry.reviewer,
+        category: entry.category,
+        question_index: state.cursorIndex >= 0 ? state.cursorIndex : null,
+        answered_count: entry.progress ? state.answeredCount : null,
+        progress_updated_at: progressUpdatedAt,
+        total_questions: categoryQuestions.length,
+        saved_count: savedCount,
+        missing_count: missingCount,
+        last_review_at: entry.lastReviewAt,
+        last_activity_at: activity.length > 0 ? activity[activity.length - 1] : null,
+        status
+    };
+}
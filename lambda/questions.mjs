@@ -0,0 +1,111 @@
+/**
+ * 問題バンク（questions.json）の読み込み
+ *
+ * ストレージに questions.json があればそれを、なければLambdaに同梱した quiz/questions.json を使います。
+ * データセットごとの問題バンク（datasets/<ID>/questions.json）は同梱ファイルで代用しません。
+ * 同梱ファイルの場所は環境変数 QUESTIONS_FILE で変更できます。
+ * 内容のハッシュを version として返すので、どの版の問題バンクを使ったかを記録できます。
+ * 問題ごとにも問題文・選択肢・正解のハッシュを question.version として付けます。
+ * 問題バンク全体の version と違い、ほかの問題を直しても変わらないため、
+ * レビュー後にその問題が変更されたか（古い版に対する回答か）を判定できます。
+ */
+
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const QUESTIONS_FILE_KEY = 'questions.json';
+
+const BUNDLED_QUESTIONS_FILE = process.env.QUESTIONS_FILE
+    || path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../quiz/questions.json');
+
+// ウォームスタート間で再利用するキャッシュ（キー → { etag, bank }）
+const cache = new Map();
+
+/**
+ * 問題バンクがストレージにない場合のエラー（404を返す）
+ * @param {string} key - ストレージ上のキー
+ */
+export function questionBankNotFoundError(key) {
+    const error = new Error(`Question bank not found: ${key}`);
+    error.name = 'QuestionBankNotFoundError';
+    return error;
+}
+
+/**
+ * 問題バンクを読み込む
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} [key] - ストレージ上のキー
+ * @param {Object} [options] - { bundledFallback: ストレージにない場合に同梱ファイルを使うか }
+ * @returns {Promise<{questions: Array, version: string, byId: Map, source: string}>} questions の各問題には version が付きます
+ */
+export async function loadQuestionBank(storage, key = QUESTIONS_FILE_KEY, { bundledFallback = true } = {}) {
+    const object = await storage.get(key);
+
+    if (object) {
+        const cached = cache.get(key);
+        if (cached && cached.etag === object.etag) {
+            return cached.bank;
+        }
+
+        const bank = buildQuestionBank(object.body, `storage:${key}`);
+        cache.set(key, { etag: object.etag, bank });
+        return bank;
+    }
+
+    if (!bundledFallback) {
+        throw questionBankNotFoundError(key);
+    }
+
+    // ストレージにない場合は同梱ファイルを使う
+    const cached = cache.get(BUNDLED_QUESTIONS_FILE);
+    if (cached) {
+        return cached.bank;
+    }
+
+    const body = await fs.readFile(BUNDLED_QUESTIONS_FILE, 'utf-8');
+    const bank = buildQuestionBank(body, `file:${path.basename(BUNDLED_QUESTIONS_FILE)}`);
+    cache.set(BUNDLED_QUESTIONS_FILE, { etag: null, bank });
+    return bank;
+}
+
+/**
+ * カテゴリの問題を出題順に取得
+ * @param {Object} bank - loadQuestionBank の戻り値
+ * @param {string} category - カテゴリ
+ * @returns {Array} 問題の配列
+ */
+export function getCategoryQuestions(bank, category) {
+    return bank.questions.filter(q => q.category === category);
+}
+
+/**
+ * 問題1件の版（問題文・選択肢・正解のハッシュ）
+ * カテゴリ・作成者など回答に関係しない項目は含めません
+ * @param {Object} question - 問題
+ * @returns {string}
+ */
+export function questionVersion(question) {
+    const content = JSON.stringify([question.question, question.choice, question.answer]);
+    return createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+function buildQuestionBank(body, source) {
+    const questions = JSON.parse(body);
+
+    if (!Array.isArray(questions)) {
+        throw new Error(`Question bank must be an array (${source})`);
+    }
+
+    questions.forEach(q => {
+        q.version = questionVersion(q);
+    });
+
+    return {
+        questions,
+        version: createHash('sha256').update(body).digest('hex').slice(0, 12),
+        byId: new Map(questions.map(q => [q.questionID, q])),
+        source
+    };
+}
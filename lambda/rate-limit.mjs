@@ -0,0 +1,90 @@
+/**
+ * リクエスト数の制限
+ *
+ * レビュアー（トークンがある場合）またはIPアドレスごとに、1分あたりのリクエスト数を制限します。
+ * カウントはストレージの rate-limits/<ハッシュ>.json に保存するため、Lambdaのインスタンスをまたいで共有されます。
+ *   { window_start, count }
+ * 上限は環境変数 RATE_LIMIT_PER_MINUTE（デフォルト120、0で無効）。管理者トークンのリクエストは制限しません。
+ */
+
+import { createHash } from 'node:crypto';
+import { log } from './logger.mjs';
+
+export const RATE_LIMIT_PREFIX = 'rate-limits/';
+
+const DEFAULT_LIMIT_PER_MINUTE = 120;
+const WINDOW_MS = 60 * 1000;
+
+// カウントの書き込みが競合した場合の最大再試行回数
+const MAX_COUNT_RETRIES = 3;
+
+/**
+ * 1分あたりの上限。0の場合は制限しない
+ */
+export function getRateLimit(env = process.env) {
+    const value = env.RATE_LIMIT_PER_MINUTE;
+    if (value === undefined || value === '') {
+        return DEFAULT_LIMIT_PER_MINUTE;
+    }
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_LIMIT_PER_MINUTE;
+}
+
+/**
+ * 制限の単位（レビュアー名またはIPアドレス）
+ * @param {Object} event - Lambdaイベント
+ * @param {Object|null} auth - 認証情報
+ * @returns {string|null} 単位（管理者の場合・判別できない場合はnull）
+ */
+export function rateLimitIdentity(event, auth) {
+    if (auth?.isAdmin) {
+        return null;
+    }
+    if (auth?.reviewerName) {
+        return `reviewer:${auth.reviewerName}`;
+    }
+
+    const ip = event.requestContext?.http?.sourceIp || event.requestContext?.identity?.sourceIp;
+    return ip ? `ip:${ip}` : null;
+}
+
+/**
+ * リクエストを1回数え、上限を超えていないか確認
+ * カウントを保存できなかった場合はリクエストを止めません（ストレージの障害で全体が使えなくならないように）
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} identity - rateLimitIdentity の戻り値
+ * @param {Object} [options] - { limit, now }
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfter: number}>} retryAfter は次の区間までの秒数
+ */
+export async function consumeRateLimit(storage, identity, { limit = getRateLimit(), now = new Date() } = {}) {
+    const windowStart = Math.floor(now.getTime() / WINDOW_MS) * WINDOW_MS;
+    const retryAfter = Math.max(1, Math.ceil((windowStart + WINDOW_MS - now.getTime()) / 1000));
+    const key = `${RATE_LIMIT_PREFIX}${createHash('sha256').update(identity).digest('hex').slice(0, 32)}.json`;
+
+    for (let attempt = 1; attempt <= MAX_COUNT_RETRIES; attempt++) {
+        try {
+            const object = await storage.get(key);
+            const stored = object ? JSON.parse(object.body) : null;
+            const count = stored && stored.window_start === windowStart ? stored.count : 0;
+
+            if (count >= limit) {
+                return { allowed: false, limit, remaining: 0, retryAfter };
+            }
+
+            await storage.put(key, JSON.stringify({ window_start: windowStart, count: count + 1 }), {
+                contentType: 'application/json',
+                ...(object ? { ifMatch: object.etag } : { ifNoneMatch: '*' })
+            });
+
+            return { allowed: true, limit, remaining: limit - count - 1, retryAfter };
+
+        } catch (error) {
+            if (error.name !== 'PreconditionFailed') {
+                log.warn('Could not update rate limit', error, { key });
+                break;
+            }
+        }
+    }
+
+    return { allowed: true, limit, remaining: 0, retryAfter };
+}
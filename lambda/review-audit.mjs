@@ -0,0 +1,86 @@
+/**
+ * レビュー結果の変更履歴
+ *
+ * 保存済みのレビューを変更・削除した場合は、レコードの history に
+ * 誰が（by）いつ（at）なぜ（reason）何を変更したか（changes）を追記します。
+ * 削除は論理削除で、deleted_at / deleted_by / delete_reason を付けてレコード自体は残します。
+ *
+ *   history: [{ action: 'replaced' | 'patched' | 'deleted', at, by, reason, changes: { field: { from, to } } }]
+ */
+
+// 変更履歴・削除のためのフィールド（レビューの内容としては比較しない）
+const AUDIT_FIELDS = new Set(['history', 'updated_at', 'updated_by', 'deleted_at', 'deleted_by', 'delete_reason']);
+
+/**
+ * PATCH /review で変更できるフィールド
+ */
+export const PATCHABLE_FIELDS = ['comment', 'answer'];
+
+/**
+ * 削除済みかどうか
+ */
+export function isDeleted(review) {
+    return Boolean(review.deleted_at);
+}
+
+/**
+ * 変更履歴を除いたレビューの内容が同じかどうか
+ */
+export function contentEquals(a, b) {
+    const keys = new Set([...contentKeys(a), ...contentKeys(b)]);
+    return Array.from(keys).every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * 保存済みのレビューを新しい内容に置き換え、変更履歴を引き継いで追記
+ * @param {Object} existing - 保存済みのレビュー
+ * @param {Object} next - 新しい内容
+ * @param {Object} audit - { action, by, reason }
+ * @returns {Object} 置き換え後のレビュー
+ */
+export function applyChange(existing, next, { action, by, reason = null }) {
+    const at = new Date().toISOString();
+    const changes = {};
+
+    new Set([...contentKeys(existing), ...contentKeys(next)]).forEach(key => {
+        if (JSON.stringify(existing[key]) !== JSON.stringify(next[key])) {
+            changes[key] = { from: existing[key] ?? null, to: next[key] ?? null };
+        }
+    });
+
+    return {
+        ...next,
+        updated_at: at,
+        updated_by: by,
+        history: [...(existing.history || []), { action, at, by, reason, changes }]
+    };
+}
+
+/**
+ * レビューを論理削除（review を直接変更）
+ * @param {Object} review - 保存済みのレビュー
+ * @param {Object} audit - { by, reason }
+ */
+export function markDeleted(review, { by, reason = null }) {
+    const at = new Date().toISOString();
+
+    review.deleted_at = at;
+    review.deleted_by = by;
+    review.delete_reason = reason;
+    review.history = [...(review.history || []), { action: 'deleted', at, by, reason, changes: {} }];
+}
+
+/**
+ * 変更・削除を行った人の名前
+ * @param {Object|null} auth - 認証情報
+ * @param {string} [fallback] - 認証がない場合に使う名前（リクエストの申告）
+ */
+export function actorName(auth, fallback) {
+    if (auth?.reviewerName) return auth.reviewerName;
+    if (auth?.isAdmin) return 'admin';
+    return fallback || 'anonymous';
+}
+
+function contentKeys(review) {
+    return Object.keys(review).filter(key => !AUDIT_FIELDS.has(key));
+}
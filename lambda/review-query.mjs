@@ -0,0 +1,183 @@
+/**
+ * GET /review のクエリパラメータ（フィルター・ページング・フィールド指定）
+ *
+ *   reviewer     : レビュアー名
+ *   category     : カテゴリ（category または question_set が一致）
+ *   question_id  : 問題ID
+ *   author       : 問題作成者（問題バンクの authored_by）
+ *   since, until : timestamp の範囲（ISO 8601、since以上・until未満）
+ *   limit        : 1ページの件数（1〜1000、省略時は全件）
+ *   cursor       : 前のレスポンスの next_cursor
+ *   fields       : 返すフィールド（カンマ区切り、review_id は常に含む）
+ *   include_deleted : true の場合、削除済みのレビューも返す（デフォルトは除外）
+ *   include_history : true の場合、変更履歴（history）も返す（デフォルトは除外）
+ */
+
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * クエリパラメータが不正な場合のエラー（400を返す）
+ */
+export function invalidQueryError(message) {
+    const error = new Error(message);
+    error.name = 'InvalidQueryError';
+    return error;
+}
+
+/**
+ * クエリパラメータを解析
+ * @param {Object} params - queryStringParameters
+ * @returns {Object} { filters, limit, cursor, fields }
+ */
+export function parseReviewQuery(params = {}) {
+    const filters = {
+        reviewer: params.reviewer || null,
+        category: params.category || params.question_set || null,
+        questionId: params.question_id || null,
+        author: params.author || null,
+        since: parseTimestampParam(params.since, 'since'),
+        until: parseTimestampParam(params.until, 'until'),
+        includeDeleted: parseBooleanParam(params.include_deleted)
+    };
+
+    let limit = null;
+    if (params.limit !== undefined && params.limit !== '') {
+        limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw invalidQueryError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+    }
+
+    const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+
+    const fields = params.fields
+        ? Array.from(new Set(['review_id', ...params.fields.split(',').map(f => f.trim()).filter(Boolean)]))
+        : null;
+
+    return { filters, limit, cursor, fields, includeHistory: parseBooleanParam(params.include_history) };
+}
+
+/**
+ * フィルターが問題バンクを必要とするか
+ */
+export function needsQuestionBank(query) {
+    return Boolean(query.filters.author);
+}
+
+/**
+ * レビュー結果にフィルター・ページング・フィールド指定を適用
+ * @param {Array} reviews - すべてのレビュー結果
+ * @param {Object} query - parseReviewQuery の戻り値
+ * @param {Object} [bank] - 問題バンク（author フィルター用）
+ * @returns {{reviews: Array, total: number, nextCursor: string|null}}
+ */
+export function applyReviewQuery(reviews, query, bank = null) {
+    const matched = filterReviews(reviews, query.filters, bank);
+
+    // ページングのため timestamp → review_id の順で並べる
+    matched.sort(compareReviews);
+
+    let page = matched;
+    let nextCursor = null;
+
+    if (query.cursor) {
+        page = page.filter(r => compareReviews(r, query.cursor) > 0);
+    }
+
+    if (query.limit !== null && page.length > query.limit) {
+        page = page.slice(0, query.limit);
+        const last = page[page.length - 1];
+        nextCursor = encodeCursor({ timestamp: last.timestamp, review_id: last.review_id });
+    }
+
+    if (query.fields) {
+        page = page.map(r => pickFields(r, query.fields));
+    }
+
+    if (!query.includeHistory) {
+        page = page.map(({ history, ...rest }) => rest);
+    }
+
+    return { reviews: page, total: matched.length, nextCursor };
+}
+
+/**
+ * フィルターだけを適用
+ * @param {Array} reviews - レビュー結果
+ * @param {Object} filters - parseReviewQuery の filters
+ * @param {Object} [bank] - 問題バンク（author フィルター用）
+ * @returns {Array} 条件に一致したレビュー結果
+ */
+export function filterReviews(reviews, filters, bank = null) {
+    const sinceMs = filters.since ? Date.parse(filters.since) : null;
+    const untilMs = filters.until ? Date.parse(filters.until) : null;
+
+    return reviews.filter(r => {
+        if (!filters.includeDeleted && r.deleted_at) return false;
+        if (filters.reviewer && r.reviewer_name !== filters.reviewer) return false;
+        if (filters.category && r.category !== filters.category && r.question_set !== filters.category) return false;
+        if (filters.questionId && r.question_id !== filters.questionId) return false;
+        if (filters.author) {
+            const question = bank ? bank.byId.get(r.question_id) : null;
+            if (!question || question.authored_by !== filters.author) return false;
+        }
+        if (sinceMs !== null || untilMs !== null) {
+            const time = Date.parse(r.timestamp);
+            if (sinceMs !== null && !(time >= sinceMs)) return false;
+            if (untilMs !== null && !(time < untilMs)) return false;
+        }
+        return true;
+    });
+}
+
+function compareReviews(a, b) {
+    const timeA = String(a.timestamp || '');
+    const timeB = String(b.timestamp || '');
+    if (timeA !== timeB) return timeA < timeB ? -1 : 1;
+
+    const idA = String(a.review_id || '');
+    const idB = String(b.review_id || '');
+    if (idA !== idB) return idA < idB ? -1 : 1;
+    return 0;
+}
+
+function pickFields(review, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (review[field] !== undefined) {
+            picked[field] = review[field];
+        }
+    });
+    return picked;
+}
+
+/**
+ * 真偽値のクエリパラメータ（'true' または '1' の場合のみ true）
+ */
+export function parseBooleanParam(value) {
+    return value === 'true' || value === '1';
+}
+
+function parseTimestampParam(value, name) {
+    if (!value) return null;
+    if (Number.isNaN(Date.parse(value))) {
+        throw invalidQueryError(`${name} must be an ISO 8601 timestamp`);
+    }
+    return value;
+}
+
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+        if (typeof position.timestamp !== 'string' || typeof position.review_id !== 'string') {
+            throw new Error('invalid cursor');
+        }
+        return position;
+    } catch (error) {
+        throw invalidQueryError('cursor is invalid');
+    }
+}
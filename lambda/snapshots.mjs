@@ -0,0 +1,197 @@
+/**
+ * review.json / progress.json のスナップショット
+ *
+ * Lambdaが書き込む直前の内容を、一定間隔（SNAPSHOT_INTERVAL_MINUTES、デフォルト60分）ごとに1つ保存します。
+ *   snapshots/<キー>/<時刻>.json   例: snapshots/review.json/2026-10-19T10-00-00Z.json
+ * 不正な書き込みがあった場合は、scripts/snapshots.mjs で差分を確認して復元できます。
+ */
+
+import { log } from './logger.mjs';
+
+export const SNAPSHOT_PREFIX = 'snapshots/';
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// このプロセスで保存済み（または既に存在した）スナップショットのキー
+const takenSnapshots = new Set();
+
+/**
+ * スナップショットの間隔（分）。0の場合はスナップショットを保存しない
+ */
+export function getSnapshotInterval(env = process.env) {
+    const value = env.SNAPSHOT_INTERVAL_MINUTES;
+    if (value === undefined || value === '') {
+        return DEFAULT_INTERVAL_MINUTES;
+    }
+    const minutes = Number(value);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_INTERVAL_MINUTES;
+}
+
+/**
+ * スナップショットのキー
+ * @param {string} key - 元のオブジェクトキー
+ * @param {Date} date - 時刻（間隔の区切りに切り捨てる）
+ * @param {number} intervalMinutes - 間隔（分）
+ * @param {string} [suffix] - キーの末尾に付ける文字列（復元前の退避など）
+ */
+export function snapshotKey(key, date, intervalMinutes = getSnapshotInterval(), suffix = '') {
+    const intervalMs = Math.max(intervalMinutes, 1) * 60 * 1000;
+    const bucket = new Date(Math.floor(date.getTime() / intervalMs) * intervalMs);
+    const stamp = bucket.toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+    return `${SNAPSHOT_PREFIX}${key}/${stamp}${suffix}.json`;
+}
+
+/**
+ * 書き込み前の内容を、現在の区間のスナップショットがまだなければ保存
+ * 同じ区間のスナップショットは最初の1回だけ作成されます（If-None-Match: *）
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} key - 元のオブジェクトキー
+ * @param {Function} getBody - 保存する内容を返す関数（保存が必要な場合だけ呼ばれる）
+ * @param {Date} [now] - 現在時刻
+ */
+export async function snapshotBeforeWrite(storage, key, getBody, now = new Date()) {
+    const intervalMinutes = getSnapshotInterval();
+    if (intervalMinutes === 0) {
+        return;
+    }
+
+    const target = snapshotKey(key, now, intervalMinutes);
+    if (takenSnapshots.has(target)) {
+        return;
+    }
+
+    try {
+        await storage.put(target, getBody(), {
+            contentType: 'application/json',
+            ifNoneMatch: '*',
+            metadata: { 'snapshot-of': key }
+        });
+        log.info('Saved snapshot', { key: target });
+    } catch (error) {
+        if (error.name !== 'PreconditionFailed') {
+            // スナップショットの失敗で本来の書き込みを止めない
+            log.warn('Could not save snapshot', error, { key: target });
+            return;
+        }
+    }
+
+    takenSnapshots.add(target);
+}
+
+/**
+ * スナップショットの一覧（古い順）
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} key - 元のオブジェクトキー
+ * @returns {Promise<Array<{key: string, etag: string, lastModified: string}>>}
+ */
+export async function listSnapshots(storage, key) {
+    const items = await storage.list(`${SNAPSHOT_PREFIX}${key}/`);
+    return items.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * スナップショットのキーから元のオブジェクトキーを取得
+ * @param {string} key - スナップショットのキー
+ * @returns {string|null} 元のキー（スナップショットのキーでない場合はnull）
+ */
+export function sourceKeyOf(key) {
+    if (!key.startsWith(SNAPSHOT_PREFIX)) {
+        return null;
+    }
+    const rest = key.slice(SNAPSHOT_PREFIX.length);
+    const slash = rest.lastIndexOf('/');
+    return slash > 0 ? rest.slice(0, slash) : null;
+}
+
+/**
+ * 2つの内容の差分（from を to に置き換えたときに追加・削除・変更されるもの）
+ * 配列（review.json）は review_id で、オブジェクト（progress.json）はキーで突き合わせます
+ * @param {Array|Object} from - 現在の内容
+ * @param {Array|Object} to - 置き換える内容
+ * @returns {{added: Array, removed: Array, changed: Array<{before, after}>}}
+ */
+export function diffRecords(from, to) {
+    const fromMap = toRecordMap(from);
+    const toMap = toRecordMap(to);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    toMap.forEach((record, id) => {
+        if (!fromMap.has(id)) {
+            added.push(record);
+        } else if (JSON.stringify(fromMap.get(id)) !== JSON.stringify(record)) {
+            changed.push({ before: fromMap.get(id), after: record });
+        }
+    });
+
+    fromMap.forEach((record, id) => {
+        if (!toMap.has(id)) {
+            removed.push(record);
+        }
+    });
+
+    return { added, removed, changed };
+}
+
+/**
+ * スナップショットを復元
+ * 復元前の内容は "-before-restore" 付きのスナップショットとして退避します
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {string} snapshot - スナップショットのキー
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<{key: string, diff: Object, restored: boolean, backupKey: string|null}>}
+ */
+export async function restoreSnapshot(storage, snapshot, { dryRun = false } = {}) {
+    const key = sourceKeyOf(snapshot);
+    if (!key) {
+        throw new Error(`Not a snapshot key: ${snapshot}`);
+    }
+
+    const source = await storage.get(snapshot);
+    if (!source) {
+        throw new Error(`Snapshot not found: ${snapshot}`);
+    }
+
+    const current = await storage.get(key);
+    const currentData = current ? JSON.parse(current.body) : emptyLike(JSON.parse(source.body));
+    const diff = diffRecords(currentData, JSON.parse(source.body));
+
+    if (dryRun) {
+        return { key, diff, restored: false, backupKey: null };
+    }
+
+    let backupKey = null;
+    if (current) {
+        backupKey = snapshotKey(key, new Date(), 0, `-before-restore-${Date.now()}`);
+        await storage.put(backupKey, current.body, {
+            contentType: 'application/json',
+            ifNoneMatch: '*',
+            metadata: { 'snapshot-of': key }
+        });
+    }
+
+    // 確認してから書き込むまでに更新されていた場合は PreconditionFailed になる
+    await storage.put(key, source.body, {
+        contentType: 'application/json',
+        ...(current ? { ifMatch: current.etag } : { ifNoneMatch: '*' }),
+        metadata: {
+            'last-updated': new Date().toISOString(),
+            'restored-from': snapshot
+        }
+    });
+
+    return { key, diff, restored: true, backupKey };
+}
+
+function toRecordMap(data) {
+    if (Array.isArray(data)) {
+        return new Map(data.map((record, index) => [record.review_id || `#${index}`, record]));
+    }
+    return new Map(Object.entries(data || {}));
+}
+
+function emptyLike(data) {
+    return Array.isArray(data) ? [] : {};
+}
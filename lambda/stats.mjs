@@ -0,0 +1,114 @@
+/**
+ * GET /stats の集計とキャッシュ
+ *
+ * 集計は分析ページと同じ js/stats.js（ReviewStats）で計算します。
+ * 結果は review.json のETagと問題バンクの版が変わるまで、メモリとストレージ（cache/stats/）にキャッシュします。
+ *
+ *   exclude : 集計から除外するレビュアー名（カンマ区切り）
+ */
+
+import { createHash } from 'node:crypto';
+import { createRequire } from 'node:module';
+import { log } from './logger.mjs';
+
+const ReviewStats = createRequire(import.meta.url)('../js/stats.js');
+
+export const STATS_CACHE_PREFIX = 'cache/stats/';
+
+// 集計結果の形式（ReviewStats.compute の戻り値の項目を増やしたら上げて、古いキャッシュを使わないようにする）
+const STATS_FORMAT = 2;
+
+// ウォームスタート間で再利用するキャッシュ（除外条件 → キャッシュ内容）
+const MAX_MEMORY_CACHE_ENTRIES = 50;
+const memoryCache = new Map();
+
+/**
+ * クエリパラメータを解析
+ * @param {Object} params - queryStringParameters
+ * @returns {{excludeReviewers: Array<string>}}
+ */
+export function parseStatsQuery(params = {}) {
+    const excludeReviewers = (params.exclude || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    return { excludeReviewers: Array.from(new Set(excludeReviewers)).sort() };
+}
+
+/**
+ * 集計結果を取得（キャッシュがあればそれを返す）
+ * @param {Object} storage - storage.mjs のアダプター
+ * @param {Object} bank - 問題バンク（questions.mjs の loadQuestionBank の戻り値）
+ * @param {Object} options - { reviewFileKey, excludeReviewers }
+ * @returns {Promise<{stats: Object, reviewEtag: string|null, cached: string|null}>} cached はヒットしたキャッシュ（'memory' / 'storage'）
+ */
+export async function getStats(storage, bank, { reviewFileKey, excludeReviewers }) {
+    const filterKey = createHash('sha256').update(JSON.stringify(excludeReviewers)).digest('hex').slice(0, 16);
+    const cacheKey = `${statsCachePrefix(reviewFileKey)}${filterKey}.json`;
+
+    // review.json の本文は読まずにETagだけ確認
+    const head = await storage.head(reviewFileKey);
+    const reviewEtag = head ? head.etag : null;
+    const isFresh = (entry) => entry
+        && entry.format === STATS_FORMAT
+        && entry.review_etag === reviewEtag
+        && entry.question_bank_version === bank.version;
+
+    const memoryEntry = memoryCache.get(cacheKey);
+    if (isFresh(memoryEntry)) {
+        return { stats: memoryEntry.stats, reviewEtag, cached: 'memory' };
+    }
+
+    const stored = await storage.get(cacheKey);
+    if (stored) {
+        const storedEntry = JSON.parse(stored.body);
+        if (isFresh(storedEntry)) {
+            rememberInMemory(cacheKey, storedEntry);
+            return { stats: storedEntry.stats, reviewEtag, cached: 'storage' };
+        }
+    }
+
+    // キャッシュがないか古い場合は集計し直す（読み込んだ review.json のETagで記録する）
+    const object = await storage.get(reviewFileKey);
+    // 削除済みのレビューは集計しない
+    const reviews = (object ? JSON.parse(object.body) : []).filter(review => !review.deleted_at);
+    const stats = ReviewStats.compute(reviews, bank.questions, { excludeReviewers });
+
+    const entry = {
+        format: STATS_FORMAT,
+        review_etag: object ? object.etag : null,
+        question_bank_version: bank.version,
+        exclude: excludeReviewers,
+        generated_at: new Date().toISOString(),
+        stats
+    };
+    rememberInMemory(cacheKey, entry);
+
+    try {
+        await storage.put(cacheKey, JSON.stringify(entry), { contentType: 'application/json' });
+    } catch (error) {
+        // キャッシュの保存に失敗しても集計結果は返す
+        log.warn('Could not write stats cache', error, { key: cacheKey });
+    }
+
+    return { stats, reviewEtag: entry.review_etag, cached: null };
+}
+
+/**
+ * review.json の集計結果のキャッシュのキーの先頭（除外条件ごとにこの後ろが変わる）
+ * @param {string} reviewFileKey - review.json のキー
+ */
+export function statsCachePrefix(reviewFileKey) {
+    return `${STATS_CACHE_PREFIX}${reviewFileKey.replace(/\//g, '_')}-`;
+}
+
+function rememberInMemory(cacheKey, entry) {
+    memoryCache.delete(cacheKey);
+    memoryCache.set(cacheKey, entry);
+
+    // 古いものから削除
+    while (memoryCache.size > MAX_MEMORY_CACHE_ENTRIES) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * ストレージアダプター
+ *
+ * Lambda関数が読み書きするJSONファイル（review.json / progress.json など）の保存先を切り替えます。
+ * 環境変数 STORAGE_BACKEND で選択します:
+ *   - s3     : S3バケット（デフォルト、S3_BUCKET_NAME）
+ *   - local  : ローカルディレクトリ（LOCAL_STORAGE_DIR、デフォルト ./.local-data）
+ *   - memory : メモリ上（テスト用、プロセス終了で消える）
+ *
+ * どのアダプターも同じインターフェースを持ちます:
+ *   get(key)                  → { body, etag } | null
+ *   head(key)                 → { etag, size, lastModified } | null（本文を読まずにETag・バイト数だけ取得）
+ *   put(key, body, options)   → { etag }   options: { ifMatch, ifNoneMatch, contentType, metadata }
+ *   list(prefix)              → [{ key, etag, lastModified }]
+ *   delete(key)               → void
+ *
+ * 条件（ifMatch / ifNoneMatch: '*'）を満たさない書き込みは name が 'PreconditionFailed' のエラーになります。
+ */
+
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * 環境変数からストレージを作成
+ * @param {Object} env - 環境変数
+ * @returns {Object} ストレージアダプター
+ */
+export function createStorage(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 's3').toLowerCase();
+
+    switch (backend) {
+        case 's3':
+            return createS3Storage({
+                region: env.AWS_REGION || 'ap-northeast-1',
+                bucketName: env.S3_BUCKET_NAME || 'sakuraqa-review-results'
+            });
+        case 'local':
+            return createLocalStorage(env.LOCAL_STORAGE_DIR || path.resolve('.local-data'));
+        case 'memory':
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+    }
+}
+
+/**
+ * S3ストレージ
+ * AWS SDKはS3を使う場合だけ読み込みます（ローカル実行ではインストール不要）
+ * @param {Object} options - { region, bucketName }
+ */
+export function createS3Storage({ region, bucketName }) {
+    let sdkPromise = null;
+
+    const loadSdk = async () => {
+        if (!sdkPromise) {
+            sdkPromise = import('@aws-sdk/client-s3').then(sdk => ({
+                sdk,
+                client: new sdk.S3Client({ region })
+            }));
+        }
+        return sdkPromise;
+    };
+
+    return {
+        name: 's3',
+        bucketName,
+
+        async get(key) {
+            const { sdk, client } = await loadSdk();
+            try {
+                const response = await client.send(new sdk.GetObjectCommand({
+                    Bucket: bucketName,
+                    Key: key
+                }));
+                return { body: await streamToString(response.Body), etag: response.ETag };
+            } catch (error) {
+                if (error.name === 'NoSuchKey') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async head(key) {
+            const { sdk, client } = await loadSdk();
+            try {
+                const response = await client.send(new sdk.HeadObjectCommand({
+                    Bucket: bucketName,
+                    Key: key
+                }));
+                return { etag: response.ETag, size: response.ContentLength, lastModified: response.LastModified.toISOString() };
+            } catch (error) {
+                if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async put(key, body, options = {}) {
+            const { sdk, client } = await loadSdk();
+            try {
+                const response = await client.send(new sdk.PutObjectCommand({
+                    Bucket: bucketName,
+                    Key: key,
+                    Body: body,
+                    ContentType: options.contentType || 'application/json',
+                    ...(options.ifMatch ? { IfMatch: options.ifMatch } : {}),
+                    ...(options.ifNoneMatch ? { IfNoneMatch: options.ifNoneMatch } : {}),
+                    Metadata: options.metadata || {}
+                }));
+                return { etag: response.ETag };
+            } catch (error) {
+                // 412: ETagが一致しない / 409: 同じキーへの条件付き書き込みが同時に実行された
+                const status = error.$metadata?.httpStatusCode;
+                if (error.name === 'ConditionalRequestConflict' || status === 412 || status === 409) {
+                    throw preconditionFailed(key);
+                }
+                throw error;
+            }
+        },
+
+        async list(prefix) {
+            const { sdk, client } = await loadSdk();
+            const items = [];
+            let continuationToken;
+
+            do {
+                const response = await client.send(new sdk.ListObjectsV2Command({
+                    Bucket: bucketName,
+                    Prefix: prefix,
+                    ContinuationToken: continuationToken
+                }));
+                (response.Contents || []).forEach(obj => {
+                    items.push({ key: obj.Key, etag: obj.ETag, lastModified: obj.LastModified.toISOString() });
+                });
+                continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+            } while (continuationToken);
+
+            return items;
+        },
+
+        async delete(key) {
+            const { sdk, client } = await loadSdk();
+            await client.send(new sdk.DeleteObjectCommand({
+                Bucket: bucketName,
+                Key: key
+            }));
+        }
+    };
+}
+
+/**
+ * ローカルディレクトリストレージ
+ * キーの "/" はサブディレクトリになります。
+ * 条件付き書き込みは同じプロセス内でのみ排他されます（開発サーバー・テスト用）
+ * @param {string} baseDir - 保存先ディレクトリ
+ */
+export function createLocalStorage(baseDir) {
+    const locks = new Map();
+
+    const filePath = (key) => {
+        const resolved = path.resolve(baseDir, key);
+        if (!resolved.startsWith(path.resolve(baseDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return resolved;
+    };
+
+    const readFile = async (key) => {
+        try {
+            const body = await fs.readFile(filePath(key), 'utf-8');
+            return { body, etag: computeEtag(body) };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    // 同じキーへの「確認 → 書き込み」を直列化する
+    const withLock = async (key, fn) => {
+        const previous = locks.get(key) || Promise.resolve();
+        const current = previous.then(fn, fn);
+        locks.set(key, current.catch(() => {}));
+        return current;
+    };
+
+    return {
+        name: 'local',
+        baseDir,
+
+        get: readFile,
+
+        async head(key) {
+            const object = await readFile(key);
+            if (!object) {
+                return null;
+            }
+            const stat = await fs.stat(filePath(key));
+            return { etag: object.etag, size: stat.size, lastModified: stat.mtime.toISOString() };
+        },
+
+        async put(key, body, options = {}) {
+            return withLock(key, async () => {
+                const current = await readFile(key);
+                checkPrecondition(key, current, options);
+
+                const target = filePath(key);
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                // 一時ファイルに書いてからリネームし、書き込み途中のファイルを読ませない
+                const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+                await fs.writeFile(tmp, body, 'utf-8');
+                await fs.rename(tmp, target);
+
+                return { etag: computeEtag(body) };
+            });
+        },
+
+        async list(prefix) {
+            const items = [];
+            const walk = async (dir) => {
+                let entries;
+                try {
+                    entries = await fs.readdir(dir, { withFileTypes: true });
+                } catch (error) {
+                    if (error.code === 'ENOENT') return;
+                    throw error;
+                }
+                for (const entry of entries) {
+                    const full = path.join(dir, entry.name);
+                    if (entry.isDirectory()) {
+                        await walk(full);
+                    } else if (!entry.name.endsWith('.tmp')) {
+                        const key = path.relative(baseDir, full).split(path.sep).join('/');
+                        if (key.startsWith(prefix)) {
+                            const body = await fs.readFile(full, 'utf-8');
+                            const stat = await fs.stat(full);
+                            items.push({ key, etag: computeEtag(body), lastModified: stat.mtime.toISOString() });
+                        }
+                    }
+                }
+            };
+            await walk(path.resolve(baseDir));
+            return items.sort((a, b) => a.key.localeCompare(b.key));
+        },
+
+        async delete(key) {
+            await withLock(key, async () => {
+                await fs.rm(filePath(key), { force: true });
+            });
+        }
+    };
+}
+
+/**
+ * メモリストレージ（テスト用）
+ */
+export function createMemoryStorage() {
+    const objects = new Map();
+
+    return {
+        name: 'memory',
+        objects,
+
+        async get(key) {
+            const obj = objects.get(key);
+            return obj ? { body: obj.body, etag: obj.etag } : null;
+        },
+
+        async head(key) {
+            const obj = objects.get(key);
+            return obj ? { etag: obj.etag, size: Buffer.byteLength(obj.body), lastModified: obj.lastModified } : null;
+        },
+
+        async put(key, body, options = {}) {
+            checkPrecondition(key, objects.get(key) || null, options);
+            const etag = computeEtag(body);
+            objects.set(key, { body, etag, lastModified: new Date().toISOString() });
+            return { etag };
+        },
+
+        async list(prefix) {
+            return Array.from(objects.entries())
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, obj]) => ({ key, etag: obj.etag, lastModified: obj.lastModified }))
+                .sort((a, b) => a.key.localeCompare(b.key));
+        },
+
+        async delete(key) {
+            objects.delete(key);
+        }
+    };
+}
+
+/**
+ * If-Match / If-None-Match の判定（S3と同じ意味）
+ */
+function checkPrecondition(key, current, options) {
+    if (options.ifNoneMatch === '*' && current) {
+        throw preconditionFailed(key);
+    }
+    if (options.ifMatch && (!current || current.etag !== options.ifMatch)) {
+        throw preconditionFailed(key);
+    }
+}
+
+function preconditionFailed(key) {
+    const error = new Error(`Precondition failed for ${key}`);
+    error.name = 'PreconditionFailed';
+    return error;
+}
+
+function computeEtag(body) {
+    return `"${createHash('md5').update(body).digest('hex')}"`;
+}
+
+/**
+ * Streamを文字列に変換
+ */
+async function streamToString(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
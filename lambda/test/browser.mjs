@@ -0,0 +1,84 @@
+/**
+ * テスト用: ブラウザのスクリプト（js/*.js）を Node.js の vm で読み込む
+ *
+ * window・localStorage・fetch を差し替えた環境で StorageManager を動かします。
+ * IndexedDB はないため、レビュー結果は localStorage に保存されます（StorageManager のフォールバック）。
+ * タイマー（送信待ちの再送）は登録だけして実行しません。ログは出力しません。
+ */
+
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const SCRIPTS = ['schema.js', 'progress-state.js', 'export.js', 'import.js', 'local-db.js', 'storage.js'];
+
+/**
+ * fetch の戻り値（Response の代わり）
+ * @param {number} status - ステータスコード
+ * @param {Object} body - JSONの本文
+ * @param {Object} [headers] - レスポンスヘッダー
+ */
+export function jsonResponse(status, body, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => headers[name] ?? null },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+/**
+ * vm 内で作られた値を通常のオブジェクト・配列にする（assert.deepEqual で比較するため）
+ * @param {*} value - JSONにできる値
+ */
+export function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * StorageManager を読み込む
+ * @param {Object} options - { fetch: (url, init) => Promise<Response>, apiEndpoint }
+ * @returns {{StorageManager: Object, window: Object, localStorage: Object, events: Array<{type: string, detail: Object}>}}
+ */
+export function loadStorageManager({ fetch, apiEndpoint = 'https://api.example.com/review' } = {}) {
+    const items = new Map();
+    const events = [];
+    const listeners = {};
+
+    const sandbox = {
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        fetch,
+        URL,
+        URLSearchParams,
+        setTimeout: () => 0,
+        clearTimeout: () => {},
+        AWS_CONFIG: { enableS3Upload: true, apiEndpoint },
+        localStorage: {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        },
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        },
+        addEventListener(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        dispatchEvent(event) {
+            events.push({ type: event.type, detail: event.detail });
+            (listeners[event.type] || []).forEach(listener => listener(event));
+        }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    SCRIPTS.forEach(file => {
+        const url = new URL(`../../js/${file}`, import.meta.url);
+        vm.runInContext(fs.readFileSync(url, 'utf-8'), sandbox, { filename: url.pathname });
+    });
+
+    return { StorageManager: sandbox.StorageManager, window: sandbox, localStorage: sandbox.localStorage, events };
+}
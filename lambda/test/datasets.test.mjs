@@ -0,0 +1,46 @@
+/**
+ * データセットIDの検証と、問題バンクがないデータセットの扱い
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { apiEvent, reviewFor, parseBody } from './helpers.mjs';
+
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.LOG_LEVEL = 'error';
+delete process.env.AUTH_REQUIRED;
+delete process.env.DATASET_IDS;
+
+const { handler, setStorage } = await import('../index.mjs');
+const { createMemoryStorage } = await import('../storage.mjs');
+
+beforeEach(() => {
+    setStorage(createMemoryStorage());
+});
+
+test('問題バンクがないデータセットは 404', async () => {
+    const questions = await handler(apiEvent('GET', '/questions', { query: { dataset: 'foo' } }));
+    assert.equal(questions.statusCode, 404);
+    assert.equal(parseBody(questions).error, 'Dataset not found');
+
+    const posted = await handler(apiEvent('POST', '/review', { body: reviewFor(0), query: { dataset: 'foo' } }));
+    assert.equal(posted.statusCode, 404);
+
+    const stats = await handler(apiEvent('GET', '/stats', { query: { dataset: 'foo' } }));
+    assert.equal(stats.statusCode, 404);
+});
+
+test('形式が不正なデータセットIDは 400', async () => {
+    const response = await handler(apiEvent('GET', '/questions', { query: { dataset: '../x' } }));
+    assert.equal(response.statusCode, 400);
+});
+
+test('DATASET_IDS にないデータセットIDは 400', async () => {
+    process.env.DATASET_IDS = 'food';
+    try {
+        const response = await handler(apiEvent('GET', '/questions', { query: { dataset: 'foo' } }));
+        assert.equal(response.statusCode, 400);
+    } finally {
+        delete process.env.DATASET_IDS;
+    }
+});
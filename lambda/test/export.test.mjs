@@ -0,0 +1,57 @@
+/**
+ * GET /export の認証と匿名化の設定チェック
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_TOKEN, apiEvent, reviewFor, parseBody } from './helpers.mjs';
+
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.LOG_LEVEL = 'error';
+delete process.env.AUTH_REQUIRED;
+delete process.env.PSEUDONYM_SECRET;
+
+const { handler, setStorage } = await import('../index.mjs');
+const { createMemoryStorage } = await import('../storage.mjs');
+
+let aliceToken;
+
+beforeEach(async () => {
+    setStorage(createMemoryStorage());
+    aliceToken = parseBody(await handler(apiEvent('POST', '/reviewers', { body: { reviewerName: 'alice' }, token: ADMIN_TOKEN }))).token;
+    const bobToken = parseBody(await handler(apiEvent('POST', '/reviewers', { body: { reviewerName: 'bob' }, token: ADMIN_TOKEN }))).token;
+
+    await handler(apiEvent('POST', '/review', { body: reviewFor(0, { review_id: 'review_alice_0' }), token: aliceToken }));
+    await handler(apiEvent('POST', '/review', { body: reviewFor(0, { review_id: 'review_bob_0' }), token: bobToken }));
+});
+
+function exportedReviewers(response) {
+    return response.body.trim().split('\n').map(line => JSON.parse(line).reviewer_name).sort();
+}
+
+test('トークンなしは 401', async () => {
+    const response = await handler(apiEvent('GET', '/export'));
+    assert.equal(response.statusCode, 401);
+});
+
+test('レビュアートークンでは自分のレビューだけ', async () => {
+    const response = await handler(apiEvent('GET', '/export', { token: aliceToken }));
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(exportedReviewers(response), ['alice']);
+
+    const other = await handler(apiEvent('GET', '/export', { query: { reviewer: 'bob' }, token: aliceToken }));
+    assert.equal(other.statusCode, 403);
+});
+
+test('管理者トークンではすべてのレビュー', async () => {
+    const response = await handler(apiEvent('GET', '/export', { token: ADMIN_TOKEN }));
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(exportedReviewers(response), ['alice', 'bob']);
+});
+
+test('PSEUDONYM_SECRET がない場合の anonymize は 503', async () => {
+    const response = await handler(apiEvent('GET', '/export', { query: { anonymize: 'true' }, token: ADMIN_TOKEN }));
+    assert.equal(response.statusCode, 503);
+    assert.match(parseBody(response).message, /PSEUDONYM_SECRET/);
+});
@@ -0,0 +1,59 @@
+/**
+ * テスト用のヘルパー（Lambdaのイベント・レビューの作成）
+ */
+
+import fs from 'node:fs';
+
+export const ADMIN_TOKEN = 'test-admin-token-0123456789';
+
+const QUESTIONS = JSON.parse(fs.readFileSync(new URL('../../quiz/questions.json', import.meta.url), 'utf-8'));
+
+/**
+ * API Gateway（HTTP API）形式のイベント
+ * @param {string} method - HTTPメソッド
+ * @param {string} path - パス
+ * @param {Object} [options] - { body, query, token, headers }
+ */
+export function apiEvent(method, path, { body, query, token, headers = {} } = {}) {
+    return {
+        requestContext: { http: { method, path, sourceIp: '192.0.2.1' } },
+        headers: token ? { ...headers, authorization: `Bearer ${token}` } : headers,
+        queryStringParameters: query,
+        body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    };
+}
+
+/**
+ * 同梱の問題データの i 番目の問題
+ * @param {number} i - 問題の位置
+ */
+export function questionAt(i) {
+    return QUESTIONS[i];
+}
+
+/**
+ * 同梱の問題データの i 番目の問題に対するレビュー
+ * @param {number} i - 問題の位置
+ * @param {Object} [overrides] - 上書きするフィールド
+ */
+export function reviewFor(i, overrides = {}) {
+    const question = QUESTIONS[i];
+    return {
+        review_id: `review_test_${i}`,
+        question_id: question.questionID,
+        question_set: question.category,
+        question_index: i,
+        category: question.category,
+        question_text: question.question,
+        reviewer_name: 'テスト太郎',
+        answer: question.answer,
+        correct_answer: question.answer,
+        is_correct: true,
+        timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(),
+        ...overrides
+    };
+}
+
+export function parseBody(response) {
+    return JSON.parse(response.body);
+}
@@ -0,0 +1,131 @@
+/**
+ * バックアップの読み込み（js/import.js の ReviewImport）の検証と重複チェック、
+ * 読み込んだレビューのサーバーへの送信（js/storage.js の StorageManager.importResults）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { reviewFor } from './helpers.mjs';
+import { loadStorageManager, jsonResponse, plain } from './browser.mjs';
+
+const require = createRequire(import.meta.url);
+const ReviewImport = require('../../js/import.js');
+const ReviewSchema = require('../../js/schema.js');
+const ReviewExport = require('../../js/export.js');
+
+const CSV_HEADERS = Object.keys(ReviewImport.CSV_COLUMNS);
+
+// StorageManager.exportToCSV と同じ形式のCSV
+function toBackupCSV(reviews) {
+    const rows = reviews.map(r => [
+        r.review_id, r.question_id, r.question_set, r.question_index, r.keyword || '', r.category,
+        r.question_text, r.reviewer_name, r.answer, r.correct_answer, r.is_correct ? '正解' : '不正解',
+        r.timestamp, r.comment || ''
+    ]);
+    return '﻿' + ReviewExport.toCSV([CSV_HEADERS, ...rows], '\r\n');
+}
+
+function preview(text, filename, existingIds = new Set()) {
+    return ReviewImport.buildPreview(text, filename, ReviewSchema, existingIds);
+}
+
+test('JSON・JSONL・CSVのバックアップを同じレビュー結果として読み込む', () => {
+    // CSVでは空欄と未設定を区別できないため、任意項目も埋めておく
+    const reviews = [
+        reviewFor(0, { keyword: '人魚', comment: 'カンマ, "引用符"\n改行' }),
+        reviewFor(1, { keyword: '高さ', comment: '不正解の例', is_correct: false })
+    ];
+
+    const fromJSON = preview(JSON.stringify(reviews), 'review_results.json');
+    const fromJSONL = preview(reviews.map(r => JSON.stringify({ ...r, question: {} })).join('\n'), 'export.jsonl');
+    const fromCSV = preview(toBackupCSV(reviews), 'review_results.csv');
+
+    for (const result of [fromJSON, fromJSONL, fromCSV]) {
+        assert.equal(result.total, 2);
+        assert.equal(result.invalid.length, 0);
+        assert.deepEqual(result.records, reviews);
+    }
+    assert.deepEqual([fromJSON.format, fromJSONL.format, fromCSV.format], ['json', 'jsonl', 'csv']);
+});
+
+test('拡張子がない場合は内容から形式を判定する', () => {
+    assert.equal(ReviewImport.detectFormat('backup', '[{}]'), 'json');
+    assert.equal(ReviewImport.detectFormat('backup', '{"review_id":"x"}\n'), 'jsonl');
+    assert.equal(ReviewImport.detectFormat('backup', '﻿レビューID,問題ID\n'), 'csv');
+});
+
+test('ファイル内で重複する review_id は最初の1件、保存済みの review_id は取り込まない', () => {
+    const reviews = [reviewFor(0), reviewFor(0, { comment: '2件目' }), reviewFor(1), reviewFor(2)];
+
+    const result = preview(JSON.stringify(reviews), 'backup.json', new Set([reviewFor(2).review_id]));
+
+    assert.deepEqual(result.records.map(r => r.review_id), [reviewFor(0).review_id, reviewFor(1).review_id]);
+    assert.equal(result.records[0].comment, undefined);
+    assert.equal(result.duplicates, 1);
+    assert.equal(result.existing, 1);
+});
+
+test('スキーマに合わないレコード・削除済みのレビュー・読めない行は行番号と理由を返す', () => {
+    const lines = [
+        JSON.stringify(reviewFor(0)),
+        JSON.stringify(reviewFor(1, { answer: '' })),
+        '{not json',
+        JSON.stringify(reviewFor(2, { deleted_at: '2026-01-02T00:00:00.000Z' }))
+    ];
+
+    const result = preview(lines.join('\n'), 'export.jsonl');
+
+    assert.equal(result.records.length, 1);
+    assert.deepEqual(result.invalid.map(e => e.line), [2, 3, 4]);
+    assert.equal(result.invalid[0].review_id, reviewFor(1).review_id);
+    assert.match(result.invalid[1].message, /JSONとして読めません/);
+    assert.equal(result.invalid[2].message, '削除済みのレビューです');
+});
+
+test('以前のキャメルケースのフィールド名も読み込む', () => {
+    const { review_id, question_id, reviewer_name, is_correct, correct_answer, ...rest } = reviewFor(0);
+    const legacy = { ...rest, reviewId: review_id, questionId: question_id, reviewerName: reviewer_name, isCorrect: is_correct, correctAnswer: correct_answer };
+
+    const result = preview(JSON.stringify([legacy]), 'old.json');
+    assert.deepEqual(result.records, [reviewFor(0)]);
+});
+
+test('ファイル全体が読めない場合はエラー', () => {
+    assert.throws(() => preview('{"review_id": 1}', 'backup.json'), /配列/);
+    assert.throws(() => preview('a,b\n1,2\n', 'other.csv'), /CSVの列名/);
+    assert.throws(() => preview('[', 'broken.json'), SyntaxError);
+});
+
+test('サーバーにはログイン中のレビュアーのレビューだけを送信し、他のレビュアーのレビューはブラウザにだけ読み込む', async () => {
+    const sent = [];
+    const { StorageManager } = loadStorageManager({
+        fetch: async (url, init) => {
+            const { reviews } = JSON.parse(init.body);
+            sent.push(...reviews);
+            return jsonResponse(200, { success: true, created: reviews.length, results: reviews.map((r, index) => ({ index, review_id: r.review_id, status: 'created' })) });
+        }
+    });
+    const reviews = [reviewFor(0), reviewFor(1, { reviewer_name: '花子' }), reviewFor(2)];
+    const file = { name: 'all.jsonl', text: async () => reviews.map(r => JSON.stringify(r)).join('\n') };
+
+    const preview = await StorageManager.previewImport(file, 'テスト太郎');
+    assert.deepEqual(plain(preview.foreign.map(r => r.review_id)), [reviewFor(1).review_id]);
+
+    const result = await StorageManager.importResults(preview.records, { upload: true, reviewerName: 'テスト太郎' });
+    assert.equal(result.imported, 3);
+    assert.equal(result.notUploaded, 1);
+    assert.deepEqual(sent.map(r => r.review_id), [reviewFor(0).review_id, reviewFor(2).review_id]);
+    assert.equal(StorageManager.getAllResults().length, 3);
+});
+
+test('レビュアー名がない場合はサーバーに送信しない', async () => {
+    const { StorageManager } = loadStorageManager({ fetch: async () => assert.fail('送信しない') });
+    const file = { name: 'backup.json', text: async () => JSON.stringify([reviewFor(0)]) };
+
+    const preview = await StorageManager.previewImport(file);
+    const result = await StorageManager.importResults(preview.records, { upload: true });
+
+    assert.equal(preview.foreign.length, 1);
+    assert.deepEqual({ upload: result.upload, notUploaded: result.notUploaded }, { upload: null, notUploaded: 1 });
+});
@@ -0,0 +1,121 @@
+/**
+ * ブラウザの送信待ち（js/storage.js の StorageManager）の再送と、再送しないエラーの扱い
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStorageManager, jsonResponse } from './browser.mjs';
+import { reviewFor } from './helpers.mjs';
+
+function setup(respond) {
+    const requests = [];
+    const env = loadStorageManager({
+        fetch: async (url, init) => {
+            requests.push({ url, method: init.method, headers: init.headers });
+            return respond(url, init);
+        }
+    });
+    return { ...env, requests };
+}
+
+test('送信に成功したら送信待ちから外す', async () => {
+    const { StorageManager, requests } = setup(() => jsonResponse(200, { success: true, status: 'created' }));
+
+    StorageManager.enqueueReview(reviewFor(0), { idempotencyKey: 'key-1' });
+    assert.equal(await StorageManager.flushOutbox({ force: true }), 0);
+    assert.equal(requests[0].headers['Idempotency-Key'], 'key-1');
+});
+
+test('5xx・408・ネットワークエラーは再送する', async () => {
+    for (const respond of [() => jsonResponse(500, { message: 'boom' }), () => jsonResponse(408, {}), () => { throw new TypeError('Failed to fetch'); }]) {
+        const { StorageManager } = setup(respond);
+
+        StorageManager.enqueueReview(reviewFor(0));
+        assert.equal(await StorageManager.flushOutbox({ force: true }), 1);
+
+        const [entry] = StorageManager.getOutbox();
+        assert.equal(entry.attempts, 1);
+        assert.ok(entry.nextAttemptAt > Date.now());
+        assert.equal(StorageManager.getRejectedUploads().length, 0);
+    }
+});
+
+test('429 はサーバーが指定した時間以上待って再送する', async () => {
+    const { StorageManager } = setup(() => jsonResponse(429, { message: 'slow down', retry_after: 120 }, { 'Retry-After': '120' }));
+
+    StorageManager.enqueueReview(reviewFor(0));
+    assert.equal(await StorageManager.flushOutbox({ force: true }), 1);
+    assert.ok(StorageManager.getOutbox()[0].nextAttemptAt >= Date.now() + 119 * 1000);
+});
+
+test('408・429・認証や設定の誤り以外の4xxは再送せず、理由を付けて外す', async () => {
+    const responses = {
+        400: { error: 'Validation error', message: 'Unknown question_id: Q999' },
+        409: { error: 'Conflict', message: 'Review has been deleted' }
+    };
+
+    for (const [status, body] of Object.entries(responses)) {
+        const { StorageManager, events } = setup(() => jsonResponse(Number(status), body));
+
+        StorageManager.enqueueReview(reviewFor(0));
+        assert.equal(await StorageManager.flushOutbox({ force: true }), 0);
+
+        const [record] = StorageManager.getRejectedUploads();
+        assert.equal(record.key, 'review:review_test_0');
+        assert.match(record.reason, new RegExp(body.message));
+
+        const rejectedEvent = events.find(event => event.type === 'upload-rejected');
+        assert.equal(rejectedEvent.detail.rejected.length, 1);
+    }
+});
+
+test('進捗の検証エラーも再送しない', async () => {
+    const { StorageManager } = setup(() => jsonResponse(400, { error: 'Validation error', message: 'answeredQuestionIds must be an array of non-empty strings' }));
+
+    StorageManager.enqueueProgress({ reviewerName: 'テスト太郎', category: 'ディズニー', answeredQuestionIds: ['Q001'], cursor: 'Q001' });
+    assert.equal(await StorageManager.flushOutbox({ force: true }), 0);
+    assert.equal(StorageManager.getRejectedUploads()[0].type, 'progress');
+});
+
+test('401・403・404 は送信待ちに残し、トークン・設定が変わるまで再送しない', async () => {
+    const responses = {
+        401: { error: 'Unauthorized', message: 'Token has been revoked' },
+        403: { error: 'Forbidden', message: 'Access denied' },
+        404: { error: 'Not Found', message: 'Unknown dataset: old' }
+    };
+
+    for (const [status, body] of Object.entries(responses)) {
+        const { StorageManager, events, requests } = setup(() => jsonResponse(Number(status), body));
+
+        StorageManager.enqueueReview(reviewFor(0));
+        StorageManager.enqueueReview(reviewFor(1));
+        assert.equal(await StorageManager.flushOutbox({ force: true }), 2);
+        assert.equal(StorageManager.getRejectedUploads().length, 0);
+        assert.ok(StorageManager.getOutbox().every(entry => entry.pausedFor && entry.lastError.includes(body.message)));
+
+        // 一時停止中は force でも送らない
+        const sent = requests.length;
+        assert.equal(await StorageManager.flushOutbox({ force: true }), 2);
+        assert.equal(requests.length, sent);
+
+        const pausedEvents = events.filter(event => event.type === 'upload-paused');
+        assert.equal(pausedEvents.length, 1);
+        assert.equal(events.filter(event => event.type === 'outbox-change').at(-1).detail.paused, 2);
+    }
+});
+
+test('一時停止した送信待ちはトークンが変わると再送する', async () => {
+    let status = 401;
+    const { StorageManager, localStorage } = setup(() => jsonResponse(status, { success: status === 200, message: 'Token has been revoked' }));
+
+    localStorage.setItem(StorageManager.AUTH_TOKEN_KEY, 'old-token');
+    StorageManager.enqueueReview(reviewFor(0));
+    assert.equal(await StorageManager.flushOutbox({ force: true }), 1);
+    // トークンそのものは送信待ちに残さない
+    assert.ok(!localStorage.getItem(StorageManager.OUTBOX_KEY).includes('old-token'));
+
+    status = 200;
+    StorageManager.setAuthToken('new-token');
+    assert.equal(StorageManager.isOutboxEntryPaused(StorageManager.getOutbox()[0]), false);
+    assert.equal(await StorageManager.flushOutbox({ force: true }), 0);
+});
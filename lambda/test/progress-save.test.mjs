@@ -0,0 +1,100 @@
+/**
+ * PUT /progress の replace（最初からやり直す）と、レビューの削除による進捗の更新
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_TOKEN, apiEvent, reviewFor, parseBody } from './helpers.mjs';
+import { loadStorageManager, jsonResponse, plain } from './browser.mjs';
+
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.LOG_LEVEL = 'error';
+delete process.env.AUTH_REQUIRED;
+
+const { handler, setStorage } = await import('../index.mjs');
+const { createMemoryStorage } = await import('../storage.mjs');
+
+const REVIEWER = 'テスト太郎';
+const CATEGORY = reviewFor(0).category;
+
+let token;
+
+async function saveProgress(body) {
+    const response = await handler(apiEvent('PUT', '/progress', { body: { reviewerName: REVIEWER, category: CATEGORY, ...body }, token }));
+    assert.equal(response.statusCode, 200);
+    return parseBody(response).progress;
+}
+
+async function storedProgress() {
+    const response = await handler(apiEvent('GET', '/progress', { query: { reviewer: REVIEWER, category: CATEGORY }, token }));
+    return parseBody(response).progress;
+}
+
+beforeEach(async () => {
+    setStorage(createMemoryStorage());
+    const response = await handler(apiEvent('POST', '/reviewers', { body: { reviewerName: REVIEWER }, token: ADMIN_TOKEN }));
+    token = parseBody(response).token;
+});
+
+test('PUT /progress は回答済みの問題をまとめ、replace: true の場合は置き換える', async () => {
+    await saveProgress({ answeredQuestionIds: ['Q001', 'Q002'], cursor: 'Q002' });
+    assert.deepEqual((await saveProgress({ answeredQuestionIds: ['Q003'], cursor: 'Q003' })).answeredQuestionIds, ['Q001', 'Q002', 'Q003']);
+
+    const reset = await saveProgress({ answeredQuestionIds: [], replace: true });
+    assert.deepEqual(reset.answeredQuestionIds, []);
+    assert.equal(reset.cursor, null);
+    assert.equal(reset.replace, undefined);
+
+    assert.deepEqual((await saveProgress({ answeredQuestionIds: ['Q001'], cursor: 'Q001' })).answeredQuestionIds, ['Q001']);
+});
+
+test('レビューを削除すると、その問題を進捗の回答済みから外す', async () => {
+    for (const i of [0, 1]) {
+        const response = await handler(apiEvent('POST', '/review', { body: reviewFor(i), token }));
+        assert.equal(response.statusCode, 200);
+    }
+    await saveProgress({ answeredQuestionIds: ['Q001', 'Q002'], cursor: 'Q002' });
+
+    const deleted = await handler(apiEvent('DELETE', '/review', { query: { review_id: reviewFor(1).review_id }, token }));
+    assert.equal(deleted.statusCode, 200);
+
+    const progress = await storedProgress();
+    assert.deepEqual(progress.answeredQuestionIds, ['Q001']);
+    assert.equal(progress.cursor, 'Q002');
+});
+
+test('以前の形式の進捗も、削除したレビューの問題を外して新しい形式にする', async () => {
+    await handler(apiEvent('POST', '/review', { body: reviewFor(0), token }));
+    await saveProgress({ questionIndex: 2 });
+
+    await handler(apiEvent('DELETE', '/review', { query: { review_id: reviewFor(0).review_id }, token }));
+
+    assert.deepEqual((await storedProgress()).answeredQuestionIds, ['Q002', 'Q003']);
+});
+
+test('ブラウザの resetProgress は replace で送り、送信前に保存した進捗も replace のまま送る', async () => {
+    const bodies = [];
+    let online = false;
+    const { StorageManager } = loadStorageManager({
+        fetch: async (url, init) => {
+            if (!online) {
+                throw new TypeError('Failed to fetch');
+            }
+            bodies.push(JSON.parse(init.body));
+            return jsonResponse(200, { success: true });
+        }
+    });
+
+    await StorageManager.resetProgress(REVIEWER, CATEGORY);
+    await StorageManager.saveProgress(REVIEWER, CATEGORY, { answeredQuestionIds: ['Q001'], cursor: 'Q001' });
+    assert.equal(StorageManager.getOutbox().length, 1);
+
+    online = true;
+    assert.equal(await StorageManager.flushOutbox({ force: true }), 0);
+    assert.deepEqual(plain(bodies), [{ reviewerName: REVIEWER, category: CATEGORY, answeredQuestionIds: ['Q001'], cursor: 'Q001', replace: true }]);
+
+    // 送信後の進捗はまとめて保存する
+    await StorageManager.saveProgress(REVIEWER, CATEGORY, { answeredQuestionIds: ['Q001', 'Q002'], cursor: 'Q002' });
+    assert.equal(bodies.at(-1).replace, undefined);
+});
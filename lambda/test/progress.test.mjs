@@ -0,0 +1,91 @@
+/**
+ * 進捗のまとめ方（js/progress-state.js の ReviewProgress.merge）と scripts/migrate-progress.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLocalStorage } from '../storage.mjs';
+import { listSnapshots } from '../snapshots.mjs';
+import { reviewFor } from './helpers.mjs';
+
+const ReviewProgress = createRequire(import.meta.url)('../../js/progress-state.js');
+
+const MIGRATE_SCRIPT = fileURLToPath(new URL('../../scripts/migrate-progress.mjs', import.meta.url));
+const QUESTION_IDS = ['Q001', 'Q002', 'Q003', 'Q004'];
+
+function progress(answeredQuestionIds, cursor, overrides = {}) {
+    return { reviewerName: 'テスト太郎', category: 'ディズニー', answeredQuestionIds, cursor, ...overrides };
+}
+
+test('回答済みの問題は和集合、cursor は新しい進捗のもの', () => {
+    const merged = ReviewProgress.merge(progress(['Q001', 'Q003'], 'Q003'), progress(['Q001', 'Q002'], 'Q002'), QUESTION_IDS);
+
+    assert.deepEqual(merged, progress(['Q001', 'Q003', 'Q002'], 'Q002'));
+});
+
+test('保存済みの進捗がない場合は新しい進捗のまま、cursor がない場合は保存済みの cursor を残す', () => {
+    assert.deepEqual(ReviewProgress.merge(null, progress(['Q002'], 'Q002')), progress(['Q002'], 'Q002'));
+    assert.equal(ReviewProgress.merge(progress(['Q003'], 'Q003'), progress(['Q001'], null)).cursor, 'Q003');
+});
+
+test('以前の形式（questionIndex）の進捗は出題順で問題IDに変換してまとめる', () => {
+    const legacy = { reviewerName: 'テスト太郎', category: 'ディズニー', questionIndex: 1 };
+
+    assert.equal(ReviewProgress.isLegacy(legacy), true);
+    assert.deepEqual(ReviewProgress.merge(legacy, progress(['Q004'], 'Q004'), QUESTION_IDS), progress(['Q001', 'Q002', 'Q004'], 'Q004'));
+    assert.deepEqual(ReviewProgress.merge(progress(['Q004'], 'Q004'), legacy, QUESTION_IDS), progress(['Q004', 'Q001', 'Q002'], 'Q002'));
+});
+
+test('まとめた進捗は cursor より後の最初の未回答の問題から再開する', () => {
+    const merged = ReviewProgress.merge(progress(['Q004'], 'Q004'), progress(['Q001'], 'Q001'), QUESTION_IDS);
+    const resolved = ReviewProgress.resolve(merged, QUESTION_IDS.map(questionID => ({ questionID })));
+
+    assert.equal(resolved.answeredCount, 2);
+    assert.equal(resolved.cursorIndex, 0);
+    assert.equal(resolved.nextIndex, 1);
+    assert.equal(resolved.complete, false);
+});
+
+test('migrate-progress は保存済みの進捗を上書きせず、review.json の進捗とまとめる', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-progress-'));
+    try {
+        const storage = createLocalStorage(dir);
+        await storage.put('review.json', JSON.stringify([
+            reviewFor(0),
+            reviewFor(1),
+            reviewFor(2, { deleted_at: '2026-01-03T00:00:00.000Z' })
+        ]));
+        const before = {
+            // review.json にない回答（Q005）があり、review.json より新しい進捗
+            'テスト太郎__ディズニー': progress(['Q001', 'Q005'], 'Q005', { timestamp: '2026-01-02T00:00:00.000Z' }),
+            // review.json にレビューがない、以前の形式の進捗
+            '花子__ディズニー': { reviewerName: '花子', category: 'ディズニー', questionIndex: 2, timestamp: '2026-01-02T00:00:00.000Z' }
+        };
+        await storage.put('progress.json', JSON.stringify(before));
+
+        execFileSync(process.execPath, [MIGRATE_SCRIPT], {
+            env: { ...process.env, STORAGE_BACKEND: 'local', LOCAL_STORAGE_DIR: dir, LOG_LEVEL: 'error' },
+            timeout: 30000,
+            stdio: 'pipe'
+        });
+
+        const after = JSON.parse((await storage.get('progress.json')).body);
+        assert.deepEqual(after, {
+            'テスト太郎__ディズニー': progress(['Q001', 'Q002', 'Q005'], 'Q005', { timestamp: '2026-01-02T00:00:00.000Z' }),
+            '花子__ディズニー': progress(['Q001', 'Q002', 'Q003'], 'Q003', { reviewerName: '花子', timestamp: '2026-01-02T00:00:00.000Z' })
+        });
+
+        // 書き込み前の内容はスナップショットに残る
+        const snapshots = await listSnapshots(storage, 'progress.json');
+        assert.equal(snapshots.length, 1);
+        assert.deepEqual(JSON.parse((await storage.get(snapshots[0].key)).body), before);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
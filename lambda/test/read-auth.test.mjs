@@ -0,0 +1,73 @@
+/**
+ * AUTH_REQUIRED の場合の GET /review・/review/missing・/stats の認証（/export と同じ）
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_TOKEN, apiEvent, reviewFor, parseBody } from './helpers.mjs';
+
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_REQUIRED = 'true';
+
+const { handler, setStorage } = await import('../index.mjs');
+const { createMemoryStorage } = await import('../storage.mjs');
+
+let aliceToken;
+
+beforeEach(async () => {
+    setStorage(createMemoryStorage());
+    aliceToken = parseBody(await handler(apiEvent('POST', '/reviewers', { body: { reviewerName: 'alice' }, token: ADMIN_TOKEN }))).token;
+    const bobToken = parseBody(await handler(apiEvent('POST', '/reviewers', { body: { reviewerName: 'bob' }, token: ADMIN_TOKEN }))).token;
+
+    await handler(apiEvent('POST', '/review', { body: reviewFor(0, { review_id: 'review_alice_0', comment: 'aliceのコメント' }), token: aliceToken }));
+    await handler(apiEvent('POST', '/review', { body: reviewFor(0, { review_id: 'review_bob_0', comment: 'bobのコメント' }), token: bobToken }));
+});
+
+test('トークンなしは 401', async () => {
+    const requests = [
+        apiEvent('GET', '/review'),
+        apiEvent('GET', '/review', { query: { include_history: 'true' } }),
+        apiEvent('GET', '/review/missing', { query: { reviewer: 'alice', category: 'ディズニー' } }),
+        apiEvent('GET', '/stats')
+    ];
+
+    for (const event of requests) {
+        const response = await handler(event);
+        assert.equal(response.statusCode, 401);
+        assert.doesNotMatch(response.body, /alice|bob/);
+    }
+});
+
+test('レビュアートークンでは自分のレビューだけ、他のレビュアーの指定は 403', async () => {
+    const own = await handler(apiEvent('GET', '/review', { query: { include_history: 'true' }, token: aliceToken }));
+    assert.equal(own.statusCode, 200);
+    assert.deepEqual(parseBody(own).reviews.map(r => r.reviewer_name), ['alice']);
+
+    const other = await handler(apiEvent('GET', '/review', { query: { reviewer: 'bob' }, token: aliceToken }));
+    assert.equal(other.statusCode, 403);
+
+    const missing = await handler(apiEvent('GET', '/review/missing', { query: { reviewer: 'alice', category: 'ディズニー' }, token: aliceToken }));
+    assert.equal(missing.statusCode, 200);
+    assert.equal(parseBody(missing).saved_count, 1);
+
+    const otherMissing = await handler(apiEvent('GET', '/review/missing', { query: { reviewer: 'bob', category: 'ディズニー' }, token: aliceToken }));
+    assert.equal(otherMissing.statusCode, 403);
+});
+
+test('集計は管理者トークンだけ', async () => {
+    const reviewer = await handler(apiEvent('GET', '/stats', { token: aliceToken }));
+    assert.equal(reviewer.statusCode, 403);
+
+    const admin = await handler(apiEvent('GET', '/stats', { token: ADMIN_TOKEN }));
+    assert.equal(admin.statusCode, 200);
+    assert.equal(parseBody(admin).stats.reviewCount, 2);
+});
+
+test('管理者トークンではすべてのレビューを取得できる', async () => {
+    const response = await handler(apiEvent('GET', '/review', { token: ADMIN_TOKEN }));
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(parseBody(response).reviews.map(r => r.reviewer_name).sort(), ['alice', 'bob']);
+});
@@ -0,0 +1,71 @@
+/**
+ * PATCH / DELETE /review の認証と所有者チェック
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_TOKEN, apiEvent, reviewFor, parseBody } from './helpers.mjs';
+
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.LOG_LEVEL = 'error';
+delete process.env.AUTH_REQUIRED;
+
+const { handler, setStorage } = await import('../index.mjs');
+const { createMemoryStorage } = await import('../storage.mjs');
+
+let aliceToken;
+let bobToken;
+
+async function issueToken(reviewerName) {
+    const response = await handler(apiEvent('POST', '/reviewers', { body: { reviewerName }, token: ADMIN_TOKEN }));
+    return parseBody(response).token;
+}
+
+beforeEach(async () => {
+    setStorage(createMemoryStorage());
+    aliceToken = await issueToken('alice');
+    bobToken = await issueToken('bob');
+
+    const response = await handler(apiEvent('POST', '/review', { body: reviewFor(0, { review_id: 'review_alice_0' }), token: aliceToken }));
+    assert.equal(response.statusCode, 200);
+});
+
+test('トークンなしの PATCH は AUTH_REQUIRED が無効でも 401', async () => {
+    const response = await handler(apiEvent('PATCH', '/review', { body: { review_id: 'review_alice_0', comment: 'x' } }));
+    assert.equal(response.statusCode, 401);
+});
+
+test('トークンなしの DELETE は AUTH_REQUIRED が無効でも 401', async () => {
+    const response = await handler(apiEvent('DELETE', '/review', { query: { review_id: 'review_alice_0' } }));
+    assert.equal(response.statusCode, 401);
+
+    const reviews = parseBody(await handler(apiEvent('GET', '/review')));
+    assert.equal(reviews.total, 1);
+});
+
+test('他人のレビューの PATCH / DELETE は 403', async () => {
+    const patched = await handler(apiEvent('PATCH', '/review', { body: { review_id: 'review_alice_0', comment: 'x' }, token: bobToken }));
+    assert.equal(patched.statusCode, 403);
+
+    const deleted = await handler(apiEvent('DELETE', '/review', { query: { review_id: 'review_alice_0' }, token: bobToken }));
+    assert.equal(deleted.statusCode, 403);
+});
+
+test('自分のレビューは変更・削除できる', async () => {
+    const patched = await handler(apiEvent('PATCH', '/review', { body: { review_id: 'review_alice_0', comment: '修正' }, token: aliceToken }));
+    assert.equal(patched.statusCode, 200);
+    assert.equal(parseBody(patched).review.comment, '修正');
+
+    const deleted = await handler(apiEvent('DELETE', '/review', { query: { review_id: 'review_alice_0' }, token: aliceToken }));
+    assert.equal(deleted.statusCode, 200);
+    assert.equal(parseBody(deleted).review.deleted_by, 'alice');
+});
+
+test('管理者はすべてのレビューを変更・削除できる', async () => {
+    const patched = await handler(apiEvent('PATCH', '/review', { body: { review_id: 'review_alice_0', comment: '管理者' }, token: ADMIN_TOKEN }));
+    assert.equal(patched.statusCode, 200);
+
+    const deleted = await handler(apiEvent('DELETE', '/review', { query: { review_id: 'review_alice_0' }, token: ADMIN_TOKEN }));
+    assert.equal(deleted.statusCode, 200);
+});
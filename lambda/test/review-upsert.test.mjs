@@ -0,0 +1,103 @@
+/**
+ * POST /review・/review/batch で保存済みの review_id を送った場合（所有者と回答の変更）
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_TOKEN, apiEvent, reviewFor, parseBody } from './helpers.mjs';
+
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.LOG_LEVEL = 'error';
+delete process.env.AUTH_REQUIRED;
+
+const { handler, setStorage } = await import('../index.mjs');
+const { createMemoryStorage } = await import('../storage.mjs');
+
+let aliceToken;
+let bobToken;
+
+const ALICE_REVIEW = reviewFor(0, { review_id: 'rid_alice' });
+
+async function issueToken(reviewerName) {
+    const response = await handler(apiEvent('POST', '/reviewers', { body: { reviewerName }, token: ADMIN_TOKEN }));
+    return parseBody(response).token;
+}
+
+async function storedReview(reviewId) {
+    const response = await handler(apiEvent('GET', '/review', { query: { include_history: 'true' }, token: ADMIN_TOKEN }));
+    return parseBody(response).reviews.find(r => r.review_id === reviewId);
+}
+
+beforeEach(async () => {
+    setStorage(createMemoryStorage());
+    aliceToken = await issueToken('alice');
+    bobToken = await issueToken('bob');
+
+    const response = await handler(apiEvent('POST', '/review', { body: ALICE_REVIEW, token: aliceToken }));
+    assert.equal(response.statusCode, 200);
+});
+
+test('他人の review_id への POST /review は 403 で、保存済みのレビューは変わらない', async () => {
+    for (const body of [{ ...ALICE_REVIEW, answer: '6人' }, { ...ALICE_REVIEW, answer: '6人', reanswer: true }, ALICE_REVIEW]) {
+        const response = await handler(apiEvent('POST', '/review', { body, token: bobToken }));
+        assert.equal(response.statusCode, 403);
+    }
+
+    const stored = await storedReview('rid_alice');
+    assert.equal(stored.reviewer_name, 'alice');
+    assert.equal(stored.answer, ALICE_REVIEW.answer);
+});
+
+test('他人の review_id は POST /review/batch でも forbidden になり保存しない', async () => {
+    const response = await handler(apiEvent('POST', '/review/batch', {
+        body: { reviews: [{ ...ALICE_REVIEW, answer: '6人', reanswer: true }, reviewFor(1, { review_id: 'rid_bob' })] },
+        token: bobToken
+    }));
+    const body = parseBody(response);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(body.results.map(r => r.status), ['forbidden', 'created']);
+    assert.equal(body.forbidden, 1);
+
+    const stored = await storedReview('rid_alice');
+    assert.equal(stored.reviewer_name, 'alice');
+    assert.equal(stored.answer, ALICE_REVIEW.answer);
+});
+
+test('同じ review_id で回答を変えると reanswer がなければ 409、あれば変更履歴を残して置き換える', async () => {
+    const conflict = await handler(apiEvent('POST', '/review', { body: { ...ALICE_REVIEW, answer: '6人' }, token: aliceToken }));
+    assert.equal(conflict.statusCode, 409);
+    assert.equal(parseBody(conflict).error, 'Answer conflict');
+    assert.equal(parseBody(conflict).existing_answer, ALICE_REVIEW.answer);
+
+    const reanswered = await handler(apiEvent('POST', '/review', { body: { ...ALICE_REVIEW, answer: '6人', reanswer: true }, token: aliceToken }));
+    assert.equal(reanswered.statusCode, 200);
+    assert.equal(parseBody(reanswered).status, 'reanswered');
+
+    const stored = await storedReview('rid_alice');
+    assert.equal(stored.answer, '6人');
+    assert.deepEqual(stored.history.at(-1).changes.answer, { from: ALICE_REVIEW.answer, to: '6人' });
+});
+
+test('同じ review_id の回答の変更は POST /review/batch でも reanswer がなければ conflict', async () => {
+    const response = await handler(apiEvent('POST', '/review/batch', {
+        body: { reviews: [{ ...ALICE_REVIEW, answer: '6人' }] },
+        token: aliceToken
+    }));
+
+    assert.deepEqual(parseBody(response).results.map(r => r.status), ['conflict']);
+    assert.equal((await storedReview('rid_alice')).answer, ALICE_REVIEW.answer);
+});
+
+test('同じ review_id のコメントだけの変更は updated、管理者は他人のレビューも置き換えられる', async () => {
+    const updated = await handler(apiEvent('POST', '/review', { body: { ...ALICE_REVIEW, comment: '追記' }, token: aliceToken }));
+    assert.equal(parseBody(updated).status, 'updated');
+
+    const replaced = await handler(apiEvent('POST', '/review', {
+        body: { ...ALICE_REVIEW, comment: '管理者', reanswer: true, answer: '6人' },
+        token: ADMIN_TOKEN
+    }));
+    assert.equal(replaced.statusCode, 200);
+    assert.equal((await storedReview('rid_alice')).comment, '管理者');
+});
@@ -0,0 +1,109 @@
+/**
+ * ブラウザのレビュー結果とサーバーのレビューの突き合わせ（StorageManager.mergeResults / syncWithServer）
+ * サーバーには memory ストレージの Lambda を使います
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_TOKEN, apiEvent, reviewFor, questionAt, parseBody } from './helpers.mjs';
+import { loadStorageManager, jsonResponse, plain } from './browser.mjs';
+
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.LOG_LEVEL = 'error';
+delete process.env.AUTH_REQUIRED;
+
+const { handler, setStorage } = await import('../index.mjs');
+const { createMemoryStorage } = await import('../storage.mjs');
+
+const API_ENDPOINT = 'https://api.example.com/review';
+
+// ブラウザの fetch を Lambda の handler に渡す
+async function fetchFromLambda(url, init) {
+    const { pathname, searchParams } = new URL(url);
+    const response = await handler(apiEvent(init.method, pathname, {
+        body: init.body,
+        query: Object.fromEntries(searchParams),
+        headers: init.headers
+    }));
+    return jsonResponse(response.statusCode, JSON.parse(response.body), response.headers);
+}
+
+function wrongAnswer(i) {
+    const question = questionAt(i);
+    return question.choice.find(choice => choice !== question.answer);
+}
+
+beforeEach(() => {
+    setStorage(createMemoryStorage());
+});
+
+test('mergeResults は同じ review_id と同じレビュアー・問題のレビューを2回数えない', () => {
+    const { StorageManager } = loadStorageManager({ fetch: fetchFromLambda, apiEndpoint: API_ENDPOINT });
+
+    const server = [
+        reviewFor(0, { review_id: 'server_0' }),
+        reviewFor(1, { review_id: 'server_1' }),
+        reviewFor(2, { review_id: 'server_2', deleted_at: '2026-01-02T00:00:00.000Z' })
+    ];
+    const local = [
+        reviewFor(0, { review_id: 'server_0', comment: 'ローカル' }),
+        reviewFor(1, { review_id: 'local_1' }),
+        reviewFor(2, { review_id: 'server_2' }),
+        reviewFor(3, { review_id: 'local_3' })
+    ];
+
+    const merged = StorageManager.mergeResults(local, server);
+    assert.deepEqual(plain(merged.map(r => r.review_id)), ['server_0', 'server_1', 'local_3']);
+    assert.equal(merged[0].comment, undefined);
+});
+
+test('syncWithServer は送信・取り込み・更新・削除をしたうえで、別の review_id で保存済みのものをサーバーに揃える', async () => {
+    // サーバー: 問題0・1・3・4・5（3は管理者がコメントを変更、4は削除）
+    for (const i of [0, 1, 3, 4, 5]) {
+        const response = await handler(apiEvent('POST', '/review', { body: reviewFor(i, { review_id: `server_${i}` }) }));
+        assert.equal(response.statusCode, 200);
+    }
+    await handler(apiEvent('PATCH', '/review', { body: { review_id: 'server_3', comment: '管理者のコメント' }, token: ADMIN_TOKEN }));
+    await handler(apiEvent('DELETE', '/review', { query: { review_id: 'server_4' }, token: ADMIN_TOKEN }));
+
+    // ブラウザ: 問題0は同じ回答を別の review_id で、問題1は別の回答を別の review_id で保存している
+    const { StorageManager } = loadStorageManager({ fetch: fetchFromLambda, apiEndpoint: API_ENDPOINT });
+    await StorageManager.init();
+    await StorageManager.storeResults([
+        reviewFor(0, { review_id: 'local_0', comment: 'ブラウザのコメント' }),
+        reviewFor(1, { review_id: 'local_1', answer: wrongAnswer(1), is_correct: false }),
+        reviewFor(2, { review_id: 'local_2' }),
+        reviewFor(3, { review_id: 'server_3' }),
+        reviewFor(4, { review_id: 'server_4' })
+    ]);
+
+    const summary = await StorageManager.syncWithServer('テスト太郎');
+
+    assert.equal(summary.pushed, 1);
+    assert.equal(summary.pulled, 3);
+    assert.equal(summary.updated, 1);
+    assert.equal(summary.removed, 1);
+    assert.equal(summary.merged, 1);
+    assert.deepEqual(plain(summary.conflicts.map(c => [c.review_id, c.field, c.kept])), [
+        ['server_3', 'comment', 'server'],
+        ['local_1', 'answer', 'server']
+    ]);
+
+    // 1問につき1件で、サーバーと同じ review_id になっている
+    const results = StorageManager.getAllResults().sort((a, b) => a.question_index - b.question_index);
+    assert.deepEqual(plain(results.map(r => r.review_id)), ['server_0', 'server_1', 'local_2', 'server_3', 'server_5']);
+    assert.equal(results[0].comment, 'ブラウザのコメント');
+    assert.equal(results[1].answer, questionAt(1).answer);
+    assert.equal(results[3].comment, '管理者のコメント');
+
+    // サーバーでも二重送信のコメントが反映され、同じ問題のレビューは1件
+    const serverReviews = parseBody(await handler(apiEvent('GET', '/review', { query: { reviewer: 'テスト太郎' } }))).reviews;
+    assert.equal(serverReviews.find(r => r.review_id === 'server_0').comment, 'ブラウザのコメント');
+    assert.equal(serverReviews.length, 5);
+
+    // もう一度同期しても送信・重複・不一致はない（送信したレビューにサーバーが付けた question_version だけを取り込む）
+    const again = await StorageManager.syncWithServer('テスト太郎');
+    assert.deepEqual([again.pushed, again.pulled, again.updated, again.removed, again.merged, again.conflicts.length], [0, 0, 1, 0, 0, 0]);
+    assert.equal(StorageManager.getAllResults().length, 5);
+});
@@ -0,0 +1,168 @@
+/**
+ * ローカル開発サーバー
+ *
+ * 静的ファイル（index.html / review.html / analytics.html など）を配信し、
+ * API Gateway の代わりに /review・/progress へのリクエストを lambda/index.mjs の handler に渡します。
+ * レビュー結果はローカルのJSONファイルに保存されるため、AWSなしでレビューを一通り試せます。
+ *
+ * 使い方:
+ *   node scripts/dev-server.mjs
+ *   → http://localhost:8000 にアクセス
+ *
+ * 環境変数:
+ *   PORT              : ポート番号（デフォルト 8000）
+ *   STORAGE_BACKEND   : local（デフォルト） / memory / s3
+ *   LOCAL_STORAGE_DIR : 保存先ディレクトリ（デフォルト <リポジトリ>/.local-data）
+ */
+
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT || 8000);
+
+// handler を読み込む前に保存先を決める（storage.mjs は読み込み時に環境変数を参照する）
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+process.env.LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(ROOT_DIR, '.local-data');
+
+const { handler } = await import('../lambda/index.mjs');
+
+// Lambdaに渡すパス（API Gatewayのルートに相当）
+const API_ROUTES = ['/review', '/progress', '/questions', '/stats', '/export', '/me', '/reviewers', '/health'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jsonl': 'application/x-jsonlines; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || `localhost:${PORT}`}`);
+
+    try {
+        if (API_ROUTES.some(route => url.pathname === route || url.pathname.startsWith(`${route}/`))) {
+            await handleApi(req, res, url);
+        } else if (url.pathname === '/js/aws-config.js') {
+            serveAwsConfig(res, url);
+        } else {
+            await serveStatic(res, url);
+        }
+    } catch (error) {
+        console.error('開発サーバーエラー:', error);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+    }
+
+    console.log(`${req.method} ${url.pathname}${url.search} → ${res.statusCode}`);
+});
+
+/**
+ * API Gateway (HTTP API, payload v2.0) と同じ形のイベントを作って handler を呼ぶ
+ */
+async function handleApi(req, res, url) {
+    const body = await readBody(req);
+
+    const event = {
+        version: '2.0',
+        rawPath: url.pathname,
+        rawQueryString: url.search.replace(/^\?/, ''),
+        headers: Object.fromEntries(
+            Object.entries(req.headers).map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : value])
+        ),
+        queryStringParameters: url.searchParams.size > 0 ? Object.fromEntries(url.searchParams) : undefined,
+        requestContext: {
+            requestId: randomUUID(),
+            http: {
+                method: req.method,
+                path: url.pathname,
+                sourceIp: req.socket.remoteAddress,
+                userAgent: req.headers['user-agent'] || ''
+            }
+        },
+        body: body.length > 0 ? body : undefined,
+        isBase64Encoded: false
+    };
+
+    const response = await handler(event);
+
+    res.writeHead(response.statusCode || 200, response.headers || {});
+    res.end(response.isBase64Encoded ? Buffer.from(response.body || '', 'base64') : (response.body || ''));
+}
+
+/**
+ * js/aws-config.js の代わりに、このサーバーのAPIを向いた設定を返す
+ */
+function serveAwsConfig(res, url) {
+    const config = {
+        region: 'local',
+        bucketName: process.env.STORAGE_BACKEND === 'local' ? process.env.LOCAL_STORAGE_DIR : process.env.STORAGE_BACKEND,
+        apiEndpoint: `${url.origin}/review`,
+        enableS3Upload: true
+    };
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'], 'Cache-Control': 'no-store' });
+    res.end(
+        '// 開発サーバーが生成したAWS設定（scripts/dev-server.mjs）\n' +
+        `const AWS_CONFIG = ${JSON.stringify(config, null, 4)};\n\n` +
+        'window.AWS_CONFIG = AWS_CONFIG;\n'
+    );
+}
+
+/**
+ * 静的ファイルを配信
+ */
+async function serveStatic(res, url) {
+    let pathname = decodeURIComponent(url.pathname);
+    if (pathname.endsWith('/')) {
+        pathname += 'index.html';
+    }
+
+    const filePath = path.resolve(ROOT_DIR, `.${pathname}`);
+
+    // リポジトリ外・ドットファイル（.git / .local-data など）は配信しない
+    const relative = path.relative(ROOT_DIR, filePath);
+    if (relative.startsWith('..') || relative.split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Forbidden');
+        return;
+    }
+
+    try {
+        const data = await fs.readFile(filePath);
+        const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': mimeType, 'Cache-Control': 'no-store' });
+        res.end(data);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        throw error;
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', reject);
+    });
+}
+
+server.listen(PORT, () => {
+    console.log(`開発サーバーを起動しました: http://localhost:${PORT}`);
+    console.log(`保存先: ${process.env.STORAGE_BACKEND}${process.env.STORAGE_BACKEND === 'local' ? ` (${process.env.LOCAL_STORAGE_DIR})` : ''}`);
+});
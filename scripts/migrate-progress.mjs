@@ -1,85 +1,64 @@
 /**
- * review.jsonから進捗を復元してprogress.jsonを生成するスクリプト
+ * review.jsonから進捗を復元してprogress.jsonにまとめるスクリプト
+ *
+ * 進捗はレビュアー・カテゴリごとの回答済みの問題IDと、最後に保存したレビューの問題（cursor）です（js/progress-state.js）。
+ * review.json から作った進捗は保存済みの進捗と ReviewProgress.merge でまとめるため、
+ * review.json にない回答済みの問題（送信待ちのまま進捗だけ保存されたものなど）は消えません。
+ * 以前の形式（questionIndex）の進捗は問題データの出題順で問題IDに変換し、新しい形式に置き換えます。
+ *
+ * 書き込みはLambdaと同じく条件付き（ETag）で、書き込み前の内容はスナップショットとして残ります（scripts/snapshots.mjs で復元できます）。
  *
  * 使い方:
- * 1. AWS_REGION, S3_BUCKET_NAME を環境変数に設定
+ * 1. AWS_REGION, S3_BUCKET_NAME を環境変数に設定（S3_BUCKET_NAME のデフォルトは sakuraqa-food-review-results）
+ *    （開発サーバーのデータを対象にする場合は STORAGE_BACKEND=local, LOCAL_STORAGE_DIR）
+ *    （データセットを指定する場合は DATASET_ID。datasets/<ID>/review.json が対象になります）
  * 2. node scripts/migrate-progress.mjs
  */
 
-import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
-
-const REGION = process.env.AWS_REGION || 'ap-northeast-1';
-const BUCKET_NAME = process.env.S3_BUCKET_NAME || 'sakuraqa-food-review-results';
-const REVIEW_FILE_KEY = 'review.json';
-const PROGRESS_FILE_KEY = 'progress.json';
+import { createRequire } from 'node:module';
+import { createStorage } from '../lambda/storage.mjs';
+import { readJsonObject, updateJsonObject } from '../lambda/json-object.mjs';
+import { loadQuestionBank, getCategoryQuestions } from '../lambda/questions.mjs';
+import { datasetKeys } from '../lambda/datasets.mjs';
 
-const s3Client = new S3Client({ region: REGION });
+const ReviewProgress = createRequire(import.meta.url)('../js/progress-state.js');
 
-async function streamToString(stream) {
-    const chunks = [];
-    for await (const chunk of stream) {
-        chunks.push(chunk);
-    }
-    return Buffer.concat(chunks).toString('utf-8');
-}
+// S3_BUCKET_NAME がない場合のバケットはこのスクリプトの以前からのデフォルト（Lambdaのデフォルトとは異なる）
+const storage = createStorage({
+    ...process.env,
+    S3_BUCKET_NAME: process.env.S3_BUCKET_NAME || 'sakuraqa-food-review-results'
+});
+const keys = datasetKeys(process.env.DATASET_ID || null);
 
 async function migrateProgress() {
     try {
-        console.log('S3からreview.jsonを取得中...');
+        console.log(`${keys.review}を取得中...`);
 
-        // review.jsonを取得
-        const getCommand = new GetObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: REVIEW_FILE_KEY
-        });
+        const { data: reviews } = await readJsonObject(storage, keys.review, []);
+        console.log(`${reviews.length}件のレビュー結果を取得しました`);
 
-        const response = await s3Client.send(getCommand);
-        const bodyContents = await streamToString(response.Body);
-        const reviews = JSON.parse(bodyContents);
+        // レビュアー × カテゴリ ごとの回答済みの問題IDを抽出（削除済みのレビューは除く）
+        const rebuilt = ReviewProgress.fromReviews(reviews);
 
-        console.log(`${reviews.length}件のレビュー結果を取得しました`);
+        // 以前の形式の進捗の変換に使う（データセットの問題データがない場合は同梱の問題データ）
+        const bank = await loadQuestionBank(storage, keys.questions, { bundledFallback: !keys.datasetId });
 
-        // レビュアー × カテゴリ ごとの最後の問題インデックスを抽出
-        const progressMap = {};
-
-        reviews.forEach(review => {
-            const reviewerName = review.reviewer_name;
-            const category = review.category;
-            const questionIndex = review.question_index;
-
-            const key = `${reviewerName}__${category}`;
-
-            // 既存の進捗と比較して、より大きいインデックスを保持
-            if (!progressMap[key] || progressMap[key].questionIndex < questionIndex) {
-                progressMap[key] = {
-                    reviewerName,
-                    category,
-                    questionIndex,
-                    timestamp: review.timestamp
-                };
-            }
-        });
+        console.log(`\n${keys.progress}を更新中...`);
 
-        console.log('\n生成された進捗:');
-        Object.entries(progressMap).forEach(([key, progress]) => {
-            console.log(`  ${key}: 問題${progress.questionIndex + 1}まで完了`);
-        });
+        const progressMap = await updateJsonObject(storage, keys.progress, {}, (progressData) => {
+            const progressKeys = new Set([...Object.keys(progressData), ...Object.keys(rebuilt)]);
+
+            progressKeys.forEach(key => {
+                progressData[key] = mergeProgress(progressData[key] || null, rebuilt[key] || null, bank);
+            });
 
-        // progress.jsonとしてS3に保存
-        console.log('\nS3にprogress.jsonを保存中...');
-
-        const putCommand = new PutObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: PROGRESS_FILE_KEY,
-            Body: JSON.stringify(progressMap, null, 2),
-            ContentType: 'application/json',
-            Metadata: {
-                'last-updated': new Date().toISOString(),
-                'migrated-from': 'review.json'
-            }
+            return { 'migrated-from': 'review.json' };
         });
 
-        await s3Client.send(putCommand);
+        console.log('\n移行後の進捗:');
+        Object.entries(progressMap).forEach(([key, progress]) => {
+            console.log(`  ${key}: ${progress.answeredQuestionIds.length}問回答済み（最後に回答: ${progress.cursor}）`);
+        });
 
         console.log('✅ 進捗の移行が完了しました！');
         console.log(`   合計 ${Object.keys(progressMap).length} 件の進捗を保存しました`);
@@ -90,4 +69,23 @@ async function migrateProgress() {
     }
 }
 
+/**
+ * 保存済みの進捗と review.json から作った進捗をまとめる
+ * 回答済みの問題は和集合、cursor は timestamp が新しい方です
+ * @param {Object|null} stored - progress.json の進捗
+ * @param {Object|null} fromReviews - review.json から作った進捗
+ * @param {Object} bank - 問題バンク
+ * @returns {Object} 新しい形式の進捗
+ */
+function mergeProgress(stored, fromReviews, bank) {
+    const storedIsNewer = !fromReviews || (stored && (stored.timestamp || '') > (fromReviews.timestamp || ''));
+    const [older, newer] = storedIsNewer ? [fromReviews, stored] : [stored, fromReviews];
+    const questionIds = getCategoryQuestions(bank, newer.category).map(q => q.questionID);
+
+    return {
+        ...ReviewProgress.merge(older, newer, questionIds),
+        timestamp: newer.timestamp || older?.timestamp || null
+    };
+}
+
 migrateProgress();
@@ -0,0 +1,131 @@
+/**
+ * review.json / progress.json のスナップショットを一覧・比較・復元するスクリプト
+ *
+ * 使い方:
+ * 1. AWS_REGION, S3_BUCKET_NAME を環境変数に設定
+ *    （開発サーバーのデータを対象にする場合は STORAGE_BACKEND=local, LOCAL_STORAGE_DIR）
+ *    （データセットを指定する場合は DATASET_ID。list の対象が datasets/<ID>/review.json などになります）
+ * 2. node scripts/snapshots.mjs <コマンド>
+ *
+ * コマンド:
+ *   list [review.json|progress.json]       スナップショットの一覧
+ *   diff <スナップショット> [<比較先>]       現在の内容（または比較先のスナップショット）との差分
+ *   restore <スナップショット> [--dry-run]  スナップショットを復元（--dry-run は差分の表示のみ）
+ *
+ * <スナップショット> は list で表示されるキー（snapshots/review.json/2026-10-19T10-00-00Z.json など）です。
+ */
+
+import { createStorage } from '../lambda/storage.mjs';
+import { listSnapshots, diffRecords, restoreSnapshot, sourceKeyOf } from '../lambda/snapshots.mjs';
+import { datasetKeys } from '../lambda/datasets.mjs';
+
+const storage = createStorage();
+const keys = datasetKeys(process.env.DATASET_ID || null);
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const positional = args.filter(arg => !arg.startsWith('--'));
+
+    switch (command) {
+        case 'list':
+            await listCommand(positional);
+            break;
+        case 'diff':
+            await diffCommand(positional);
+            break;
+        case 'restore':
+            await restoreCommand(positional, dryRun);
+            break;
+        default:
+            console.log('使い方: node scripts/snapshots.mjs list [review.json|progress.json]');
+            console.log('        node scripts/snapshots.mjs diff <スナップショット> [<比較先のスナップショット>]');
+            console.log('        node scripts/snapshots.mjs restore <スナップショット> [--dry-run]');
+            process.exit(command ? 1 : 0);
+    }
+}
+
+async function listCommand([key]) {
+    const targets = key ? [key] : [keys.review, keys.progress];
+
+    for (const target of targets) {
+        const snapshots = await listSnapshots(storage, target);
+        console.log(`\n${target}: ${snapshots.length}件のスナップショット`);
+
+        for (const snapshot of snapshots) {
+            const object = await storage.get(snapshot.key);
+            const data = JSON.parse(object.body);
+            const count = Array.isArray(data) ? data.length : Object.keys(data).length;
+            console.log(`  ${snapshot.key}  (${count}件, ${snapshot.lastModified})`);
+        }
+    }
+}
+
+async function diffCommand([snapshot, compareTo]) {
+    if (!snapshot) {
+        throw new Error('スナップショットのキーを指定してください');
+    }
+
+    const key = sourceKeyOf(snapshot);
+    if (!key) {
+        throw new Error(`スナップショットのキーではありません: ${snapshot}`);
+    }
+
+    const from = await readJson(compareTo || key);
+    const to = await readJson(snapshot);
+
+    console.log(`${compareTo || key} → ${snapshot}`);
+    printDiff(diffRecords(from, to));
+}
+
+async function restoreCommand([snapshot], dryRun) {
+    if (!snapshot) {
+        throw new Error('スナップショットのキーを指定してください');
+    }
+
+    const result = await restoreSnapshot(storage, snapshot, { dryRun });
+
+    console.log(`${result.key} を ${snapshot} の内容に${dryRun ? '戻した場合の差分' : '戻しました'}:`);
+    printDiff(result.diff);
+
+    if (result.restored) {
+        console.log('\n✅ 復元が完了しました');
+        if (result.backupKey) {
+            console.log(`   復元前の内容: ${result.backupKey}`);
+        }
+    } else {
+        console.log('\n（--dry-run のため変更していません）');
+    }
+}
+
+async function readJson(key) {
+    const object = await storage.get(key);
+    if (!object) {
+        throw new Error(`${key} が見つかりません`);
+    }
+    return JSON.parse(object.body);
+}
+
+function printDiff({ added, removed, changed }) {
+    console.log(`  追加: ${added.length}件 / 削除: ${removed.length}件 / 変更: ${changed.length}件`);
+
+    added.forEach(record => console.log(`  + ${describe(record)}`));
+    removed.forEach(record => console.log(`  - ${describe(record)}`));
+    changed.forEach(({ after }) => console.log(`  ~ ${describe(after)}`));
+}
+
+function describe(record) {
+    if (record.review_id) {
+        return `${record.review_id} (${record.reviewer_name}, ${record.question_id}, ${record.timestamp})`;
+    }
+    if (Array.isArray(record.answeredQuestionIds)) {
+        return `${record.reviewerName}__${record.category}: ${record.answeredQuestionIds.length}問回答済み（最後に回答: ${record.cursor}）`;
+    }
+    // 以前の形式（questionIndex）の進捗
+    return `${record.reviewerName}__${record.category}: 問題${record.questionIndex + 1}`;
+}
+
+main().catch(error => {
+    console.error('❌ エラーが発生しました:', error.message);
+    process.exit(1);
+});